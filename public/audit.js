@@ -0,0 +1,265 @@
+import InactivityLock from "./managers/inactivityLock.js";
+
+const EVENT_LABELS = {
+    login: 'Logged in',
+    login_failed: 'Failed attempt',
+    login_blocked: 'Blocked (locked out)',
+    lockout: 'Locked out',
+    logout: 'Logged out',
+    lock: 'Locked (inactive)'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Theme toggle functionality
+    function initThemeToggle() {
+        const themeToggle = document.getElementById('themeToggle');
+
+        themeToggle.addEventListener('click', () => {
+            const currentTheme = document.documentElement.getAttribute('data-theme');
+            const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+
+            document.documentElement.setAttribute('data-theme', newTheme);
+            localStorage.setItem('theme', newTheme);
+        });
+    }
+
+    // Helper function to join paths with base path
+    function joinPath(path) {
+        const basePath = window.appConfig?.basePath || '';
+        // Remove any leading slash from path and trailing slash from basePath
+        const cleanPath = path.replace(/^\/+/, '');
+        const cleanBase = basePath.replace(/\/+$/, '');
+
+        // Join with single slash
+        return cleanBase ? `${cleanBase}/${cleanPath}` : cleanPath;
+    }
+
+    function formatDuration(ms) {
+        const total = Math.floor(ms / 1000);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        if (hours) return `${hours}h ${minutes}m`;
+        if (minutes) return `${minutes}m ${total % 60}s`;
+        return `${total}s`;
+    }
+
+    function plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    function formatDate(time) {
+        return time ? new Date(time).toLocaleString() : '';
+    }
+
+    function createCell(row, text) {
+        const cell = document.createElement('td');
+        cell.textContent = text ?? '';
+        row.appendChild(cell);
+        return cell;
+    }
+
+    // Collapsible list in a table cell, for a session's connections and commands
+    function createDetails(cell, summary, items) {
+        if (!items.length) {
+            cell.textContent = '0';
+            return;
+        }
+        const details = document.createElement('details');
+        const title = document.createElement('summary');
+        title.textContent = summary;
+        const list = document.createElement('ol');
+        list.className = 'audit-details-list';
+        items.forEach(({ time, text, code, note }) => {
+            const item = document.createElement('li');
+            const meta = document.createElement('span');
+            meta.className = 'audit-meta';
+            meta.textContent = new Date(time).toLocaleTimeString();
+            const content = document.createElement(code ? 'code' : 'span');
+            content.textContent = text;
+            item.append(meta, ' ', content);
+            if (note) {
+                const extra = document.createElement('span');
+                extra.className = 'audit-meta';
+                extra.textContent = ` ${note}`;
+                item.appendChild(extra);
+            }
+            list.appendChild(item);
+        });
+        details.append(title, list);
+        cell.appendChild(details);
+    }
+
+    const rangeSelect = document.querySelector('.audit-range');
+    const userInput = document.querySelector('.audit-user');
+    const searchInput = document.querySelector('.audit-search');
+    const eventSelect = document.querySelector('.audit-login-event');
+    const notice = document.querySelector('.audit-notice');
+    const lockoutsBox = document.querySelector('.audit-lockouts');
+    const loginsBody = document.querySelector('.audit-logins tbody');
+    const sessionsBody = document.querySelector('.audit-sessions tbody');
+
+    let data = { logins: [], sessions: [], lockouts: [] };
+
+    function showEmpty(body, columns, text) {
+        body.innerHTML = '';
+        const row = document.createElement('tr');
+        const cell = createCell(row, text);
+        cell.colSpan = columns;
+        cell.className = 'audit-empty';
+        body.appendChild(row);
+    }
+
+    // Whether a row passes the user and search filters. The search looks through every value.
+    function matches(users, values) {
+        const user = userInput.value.trim().toLowerCase();
+        const search = searchInput.value.trim().toLowerCase();
+        if (user && !users.some(name => name && name.toLowerCase().includes(user))) return false;
+        return !search || values.some(value => value != null && String(value).toLowerCase().includes(search));
+    }
+
+    function renderLockouts() {
+        lockoutsBox.innerHTML = '';
+        lockoutsBox.hidden = !data.lockouts.length;
+        data.lockouts.forEach(({ ip, attempts, lastAttempt, lockedUntil }) => {
+            const line = document.createElement('div');
+            line.className = lockedUntil ? 'audit-lockout locked' : 'audit-lockout';
+            line.textContent = lockedUntil
+                ? `${ip} is locked out until ${new Date(lockedUntil).toLocaleTimeString()} after ${attempts} failed attempts`
+                : `${ip} has ${plural(attempts, 'failed attempt')}, the last at ${new Date(lastAttempt).toLocaleTimeString()}`;
+            lockoutsBox.appendChild(line);
+        });
+    }
+
+    function renderLogins() {
+        const events = eventSelect.value ? eventSelect.value.split(',') : null;
+        const logins = data.logins.filter(entry => (!events || events.includes(entry.event))
+            && matches([entry.user], [entry.user, entry.ip, entry.method, entry.reason, EVENT_LABELS[entry.event]]));
+
+        if (!logins.length) {
+            showEmpty(loginsBody, 6, 'No login events in this range.');
+            return;
+        }
+        loginsBody.innerHTML = '';
+        logins.forEach((entry) => {
+            const row = document.createElement('tr');
+            row.className = `audit-event-${entry.event}`;
+            createCell(row, formatDate(entry.time));
+            createCell(row, EVENT_LABELS[entry.event] || entry.event);
+            createCell(row, entry.user);
+            createCell(row, entry.method);
+            createCell(row, entry.ip);
+            createCell(row, entry.reason || (entry.event === 'lockout' ? `${entry.minutes} minutes` : entry.path));
+            loginsBody.appendChild(row);
+        });
+    }
+
+    function renderSessions() {
+        const sessions = data.sessions.filter(session => matches(
+            [session.user, ...session.connections.map(connection => connection.user), ...session.commands.map(command => command.by)],
+            [session.user, session.pid, session.session, ...session.connections.map(connection => connection.ip), ...session.commands.map(command => command.command)]
+        ));
+
+        if (!sessions.length) {
+            showEmpty(sessionsBody, 7, 'No terminal sessions in this range.');
+            return;
+        }
+        sessionsBody.innerHTML = '';
+        sessions.forEach((session) => {
+            const row = document.createElement('tr');
+            createCell(row, session.startedAt ? formatDate(session.startedAt) : 'Before this range');
+            createCell(row, session.user);
+
+            let duration = '';
+            if (session.running) {
+                duration = 'Running';
+            } else if (session.duration !== null) {
+                duration = formatDuration(session.duration);
+            } else if (session.startedAt && session.endedAt) {
+                duration = formatDuration(new Date(session.endedAt) - new Date(session.startedAt));
+            }
+            const durationCell = createCell(row, duration);
+            if (session.killedBy || session.reason === 'idle') {
+                const note = document.createElement('div');
+                note.className = 'audit-meta';
+                note.textContent = session.killedBy ? `Ended by ${session.killedBy}` : 'Closed for inactivity';
+                durationCell.appendChild(note);
+            }
+            createCell(row, session.pid);
+
+            createDetails(createCell(row), plural(session.connections.length, 'connection'), session.connections.map(connection => ({
+                time: connection.time,
+                text: `${connection.user || 'Guest'} (${connection.role})`,
+                note: connection.ip
+            })));
+            createDetails(createCell(row), plural(session.commands.length, 'command'), session.commands.map(command => ({
+                time: command.time,
+                text: command.command || '(from history)',
+                code: true,
+                note: [command.by !== session.user ? command.by : null, command.approximate ? 'approximate' : null].filter(Boolean).join(', ')
+            })));
+
+            const recordingsCell = createCell(row);
+            session.recordings.forEach(({ user, name }) => {
+                const link = document.createElement('a');
+                link.className = 'recording-play';
+                link.textContent = 'Play';
+                link.title = name;
+                link.href = joinPath(`recordings?${new URLSearchParams({ user, name })}`);
+                recordingsCell.appendChild(link);
+            });
+            sessionsBody.appendChild(row);
+        });
+    }
+
+    function render() {
+        renderLockouts();
+        renderLogins();
+        renderSessions();
+    }
+
+    async function load() {
+        try {
+            const response = await fetch(joinPath(`api/audit?days=${rangeSelect.value}`), { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            data = await response.json();
+        } catch (error) {
+            console.error('Failed to load the audit log:', error);
+            showEmpty(loginsBody, 6, 'Failed to load the audit log.');
+            showEmpty(sessionsBody, 7, 'Failed to load the audit log.');
+            return;
+        }
+
+        notice.hidden = data.enabled && !data.truncated;
+        notice.textContent = data.enabled
+            ? 'Only the most recent events are shown. Pick a shorter range to see everything in it.'
+            : 'The audit log is off. Set AUDIT_LOG=true to record logins, terminal sessions and commands.';
+        render();
+    }
+
+    rangeSelect.addEventListener('change', load);
+    eventSelect.addEventListener('change', renderLogins);
+    [userInput, searchInput].forEach(input => input.addEventListener('input', render));
+
+    document.getElementById('terminalBtn').addEventListener('click', () => {
+        window.location.href = joinPath('/') || '/';
+    });
+
+    /**
+     * Initializes the page
+     */
+    async function initialize() {
+        initThemeToggle();
+
+        const siteTitle = window.appConfig?.siteTitle || 'DumbTerm';
+        document.getElementById('pageTitle').textContent = `${siteTitle} - Audit`;
+        document.getElementById('siteTitle').textContent = siteTitle;
+
+        if (window.appConfig?.inactivityLock) {
+            new InactivityLock(window.appConfig.inactivityLock, window.appConfig.loggedInAt, joinPath);
+        }
+
+        await load();
+    }
+
+    initialize().catch(console.error);
+});
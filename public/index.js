@@ -1,5 +1,8 @@
 import TerminalManager from "./managers/terminal.js";
 import ServiceWorkerManager from "./managers/serviceWorker.js";
+import PasskeyManager from "./managers/passkey.js";
+import RecordingsManager from "./managers/recordings.js";
+import InactivityLock from "./managers/inactivityLock.js";
 
 document.addEventListener('DOMContentLoaded', () => {
     let serviceWorkerManager;
@@ -37,6 +40,50 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Register a passkey for the logged in user
+    const passkeyBtn = document.getElementById('passkeyBtn');
+    if (passkeyBtn) {
+        passkeyBtn.addEventListener('click', async () => {
+            const passkeys = new PasskeyManager(joinPath);
+            const name = navigator.userAgentData?.platform || navigator.platform || 'Passkey';
+            try {
+                await passkeys.register(name);
+                showPasskeyNotice('Passkey added. You can now sign in with it instead of your PIN.');
+            } catch (error) {
+                console.error('Passkey registration failed:', error);
+                showPasskeyNotice(error.name === 'InvalidStateError'
+                    ? 'This device already has a passkey for your account.'
+                    : 'Passkey registration was cancelled or failed.', true);
+            }
+        });
+    }
+
+    // Running terminals page
+    const sessionsBtn = document.getElementById('sessionsBtn');
+    if (sessionsBtn) {
+        sessionsBtn.addEventListener('click', () => {
+            window.location.href = joinPath('sessions');
+        });
+    }
+
+    // Audit log page, the button is only shown to admins
+    const auditBtn = document.getElementById('auditBtn');
+    if (auditBtn) {
+        auditBtn.addEventListener('click', () => {
+            window.location.href = joinPath('audit');
+        });
+    }
+
+    function showPasskeyNotice(message, isError = false) {
+        const notice = document.createElement('div');
+        notice.className = isError ? 'update-notification error' : 'update-notification';
+        notice.innerHTML = '<p></p><button>Dismiss</button>';
+        notice.querySelector('p').textContent = message;
+        notice.querySelector('button').addEventListener('click', () => notice.remove());
+        document.body.appendChild(notice);
+        setTimeout(() => notice.remove(), 5000);
+    }
+
     // Theme toggle functionality
     function initThemeToggle() {
         const themeToggle = document.getElementById('themeToggle');
@@ -203,15 +250,30 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('demo-banner').style.display = 'block';
         }
         
-        if (!window.appConfig?.isPinRequired) {
+        // Users signed in by a trusted proxy log in and out there
+        const hasLocalLogin = window.appConfig?.isAuthRequired && !window.appConfig?.isProxyUser;
+        if (!hasLocalLogin) {
             document.getElementById("logoutBtn").style.display = 'none';
         }
 
+        if (!hasLocalLogin || !window.appConfig?.canRegisterPasskey || !PasskeyManager.isSupported()) {
+            document.getElementById("passkeyBtn").style.display = 'none';
+        }
+
+        if (!window.appConfig?.isAdmin) {
+            document.getElementById("auditBtn").style.display = 'none';
+        }
+
+        if (window.appConfig?.inactivityLock) {
+            new InactivityLock(window.appConfig.inactivityLock, window.appConfig.loggedInAt, joinPath);
+        }
+
         // Wait for fonts to load
         await waitForFonts();
 
         // Initialize terminal
         const terminalManager = new TerminalManager(isMacOS, setupToolTips);
+        new RecordingsManager(joinPath);
 
         // Set up tooltips
         const tooltips = document.querySelectorAll('[data-tooltip]');
@@ -1,3 +1,5 @@
+import PasskeyManager from "./managers/passkey.js";
+
 document.addEventListener('DOMContentLoaded', () => {
     // Theme toggle functionality
     function initThemeToggle() {
@@ -106,16 +108,222 @@ document.addEventListener('DOMContentLoaded', () => {
             });
     }
 
+    // Username + PIN/password inputs for named user accounts
+    function setupAccountInputs() {
+        const form = document.getElementById('pinForm');
+        if (!form) return; // Only run on login page
+
+        form.querySelector('h2').textContent = 'Sign in';
+        const container = document.querySelector('.pin-input-container');
+        container.classList.add('account-inputs');
+        container.innerHTML = `
+            <input type="text" id="username" class="login-input" placeholder="Username" autocomplete="username" autocapitalize="off" spellcheck="false" required>
+            <input type="password" id="password" class="login-input" placeholder="PIN or password" autocomplete="current-password" required>
+            <button type="submit" class="login-button">Sign in</button>
+        `;
+
+        const usernameInput = container.querySelector('#username');
+        const passwordInput = container.querySelector('#password');
+        usernameInput.focus();
+
+        setSubmitHandler(() => {
+            submitPin(passwordInput.value, [passwordInput], usernameInput.value.trim());
+        });
+    }
+
+    // Other ways to sign in, listed below the PIN/password inputs
+    function addSecondaryLoginButton(label, onClick) {
+        const buttons = document.querySelectorAll('.secondary-login-button');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'login-button secondary-login-button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        (buttons[buttons.length - 1] || document.querySelector('.pin-input-container')).after(button);
+    }
+
+    // "Sign in with SSO" sends the browser to the OpenID Connect provider
+    function setupSsoLogin() {
+        if (!document.getElementById('pinForm') || !window.appConfig?.isOidcEnabled) return;
+
+        addSecondaryLoginButton('Sign in with SSO', () => {
+            window.location.href = joinPath('oidc/login');
+        });
+    }
+
+    // "Sign in with passkey" once any passkey has been registered
+    function setupPasskeyLogin() {
+        const form = document.getElementById('pinForm');
+        if (!form || !window.appConfig?.hasPasskeys || !PasskeyManager.isSupported()) return;
+
+        const passkeys = new PasskeyManager(joinPath);
+        addSecondaryLoginButton('Sign in with passkey', async () => {
+            try {
+                const response = await passkeys.login();
+                if (response.redirected) {
+                    window.location.replace(response.url);
+                    return;
+                }
+                showError((await response.json()).error);
+            } catch (error) {
+                // NotAllowedError is the user cancelling or the browser dialog timing out
+                if (error.name !== 'NotAllowedError') console.error('Passkey login failed:', error);
+                showError('Passkey sign-in was cancelled or failed.');
+            }
+        });
+    }
+
+    // The login form is reused for every step, only the current step's handler runs on submit
+    let submitHandler = null;
+    function setSubmitHandler(handler) {
+        if (!submitHandler) {
+            document.getElementById('pinForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                submitHandler();
+            });
+        }
+        submitHandler = handler;
+    }
+
+    function showError(message) {
+        const errorElement = document.querySelector('.pin-error');
+        errorElement.textContent = message;
+        errorElement.setAttribute('aria-hidden', message ? 'false' : 'true');
+    }
+
+    // Swap the form contents for the next login step
+    function showStep(title, html) {
+        document.querySelector('#pinForm h2').textContent = title;
+        document.querySelectorAll('.secondary-login-button').forEach(button => button.remove());
+        const container = document.querySelector('.pin-input-container');
+        container.classList.add('account-inputs');
+        container.innerHTML = html;
+        showError('');
+        return container;
+    }
+
+    // Second step after the PIN when TOTP is enabled: enter a code, or set up an authenticator first
+    function showTotpStep(mode) {
+        if (mode === 'enroll') {
+            showTotpSetup();
+            return;
+        }
+
+        const container = showStep('Two-factor authentication', `
+            <p class="totp-hint">Enter the code from your authenticator app, or one of your recovery codes.</p>
+            <input type="text" id="totpCode" class="login-input" placeholder="Code" autocomplete="one-time-code" autocapitalize="off" spellcheck="false" required>
+            <button type="submit" class="login-button">Verify</button>
+        `);
+        const codeInput = container.querySelector('#totpCode');
+        codeInput.focus();
+
+        setSubmitHandler(async () => {
+            const response = await postTotp('verify-totp', codeInput);
+            if (response && response.redirected) {
+                window.location.replace(response.url);
+            }
+        });
+    }
+
+    async function showTotpSetup() {
+        const response = await fetch(joinPath('totp-setup'), { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok) {
+            restartLogin(data.error);
+            return;
+        }
+
+        const container = showStep('Set up two-factor authentication', `
+            <p class="totp-hint">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+            <img class="totp-qr" alt="TOTP QR code">
+            <code class="totp-secret" title="Enter this key manually if you can't scan the code"></code>
+            <input type="text" id="totpCode" class="login-input" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code" required>
+            <button type="submit" class="login-button">Enable</button>
+        `);
+        container.querySelector('.totp-qr').src = data.qrCode;
+        container.querySelector('.totp-secret').textContent = data.secret;
+        const codeInput = container.querySelector('#totpCode');
+        codeInput.focus();
+
+        setSubmitHandler(async () => {
+            const setupResponse = await postTotp('totp-setup', codeInput);
+            if (setupResponse && setupResponse.ok) {
+                const { recoveryCodes } = await setupResponse.json();
+                showRecoveryCodes(recoveryCodes);
+            }
+        });
+    }
+
+    // Recovery codes are only shown once, right after enrolling
+    function showRecoveryCodes(codes) {
+        const container = showStep('Save your recovery codes', `
+            <p class="totp-hint">Each code can be used once instead of an authenticator code. Keep them somewhere safe, they won't be shown again.</p>
+            <ul class="totp-recovery-codes"></ul>
+            <button type="submit" class="login-button">Continue</button>
+        `);
+        const list = container.querySelector('.totp-recovery-codes');
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+
+        setSubmitHandler(() => {
+            window.location.replace(joinPath('') || '/');
+        });
+    }
+
+    // Post a TOTP code, showing errors. Returns the response when the code was accepted.
+    async function postTotp(path, codeInput) {
+        try {
+            const response = await fetch(joinPath(path), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ code: codeInput.value.trim() }),
+                credentials: 'same-origin',
+                redirect: 'follow'
+            });
+            if (response.ok) return response;
+
+            const data = await response.json();
+            if (response.status === 429) {
+                showError(data.error);
+                codeInput.disabled = true;
+            } else if (data.restart) {
+                restartLogin(data.error);
+            } else {
+                showError(data.attemptsLeft > 0
+                    ? `Incorrect code. ${data.attemptsLeft} attempts remaining.`
+                    : 'Incorrect code. Last attempt before lockout.');
+                codeInput.value = '';
+                codeInput.focus();
+            }
+        } catch (error) {
+            console.error('Error:', error);
+            showError('An error occurred. Please try again.');
+        }
+        return null;
+    }
+
+    // The PIN step has to be repeated, e.g. when the second step took too long
+    function restartLogin(message) {
+        showError(message);
+        setTimeout(() => window.location.reload(), 2000);
+    }
+
     // Handle PIN submission with security features
-    function submitPin(pin, inputs) {
+    function submitPin(pin, inputs, username = null) {
         const errorElement = document.querySelector('.pin-error');
+        const credentialLabel = username !== null ? 'username or PIN' : 'PIN';
         
         fetch(joinPath('verify-pin'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ pin }),
+            body: JSON.stringify(username !== null ? { username, pin } : { pin }),
             credentials: 'same-origin', // Ensure cookies are sent
             redirect: 'follow' // Follow server redirects
         })
@@ -127,6 +335,11 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             const data = await response.json();
+
+            if (response.ok && data.totp) {
+                showTotpStep(data.totp);
+                return;
+            }
             
             if (response.status === 429) {
                 // Handle lockout
@@ -140,8 +353,8 @@ document.addEventListener('DOMContentLoaded', () => {
             } else {
                 // Handle invalid PIN
                 const message = data.attemptsLeft > 0 
-                    ? `Incorrect PIN. ${data.attemptsLeft} attempts remaining.` 
-                    : 'Incorrect PIN. Last attempt before lockout.';
+                    ? `Incorrect ${credentialLabel}. ${data.attemptsLeft} attempts remaining.` 
+                    : `Incorrect ${credentialLabel}. Last attempt before lockout.`;
                 
                 errorElement.textContent = message;
                 errorElement.setAttribute('aria-hidden', 'false');
@@ -169,7 +382,29 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('demo-banner').style.display = 'block';
         }
         initThemeToggle();
-        setupPinInputs();
+        if (window.appConfig?.hasLocalLogin === false) {
+            // SSO only, there's no PIN or password to enter
+            document.querySelector('#pinForm h2').textContent = 'Sign in';
+        } else if (window.appConfig?.isMultiUser) {
+            setupAccountInputs();
+        } else {
+            setupPinInputs();
+        }
+        setupSsoLogin();
+        setupPasskeyLogin();
+        showLoginError();
+    }
+
+    // Errors from the SSO callback come back as a query parameter
+    function showLoginError() {
+        const messages = {
+            sso_unavailable: 'The SSO provider could not be reached. Please try again later.',
+            sso_failed: 'SSO sign-in failed. Please try again.',
+            sso_denied: 'Your SSO account is not allowed to use this terminal.',
+            locked: 'You were signed out after a while without activity. Sign in again to get back to your terminals.'
+        };
+        const error = new URLSearchParams(window.location.search).get('error');
+        if (messages[error]) showError(messages[error]);
     }
     
     initialize();
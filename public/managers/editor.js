@@ -0,0 +1,681 @@
+/**
+ * Editor - A small text editor next to the terminals, for quick edits to config files
+ * Files are opened from the file browser or by running `dt-edit <file>` in a terminal, and read
+ * and saved through the file API as the account's shell user. It's a plain textarea on top of a
+ * highlighted copy of the text, so it stays light and works with phone keyboards.
+ */
+
+const STRING_DOUBLE = String.raw`"(?:[^"\\\n]|\\.)*"`;
+const STRING_SINGLE = String.raw`'(?:[^'\\\n]|\\.)*'`;
+const NUMBER = String.raw`\b(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`;
+const HASH_COMMENT = String.raw`(?:^|(?<=\s))#.*`;
+const SLASH_COMMENTS = String.raw`\/\/.*|\/\*[\s\S]*?(?:\*\/|(?![\s\S]))`;
+const SHELL_VARIABLE = String.raw`\$(?:\{[^}\n]*\}|\w+|[@*#?$!-])`;
+
+const keywords = (words) => String.raw`\b(?:${words.join('|')})\b`;
+
+// Token rules per language, tried in order at each position. Sources must not capture.
+const LANGUAGES = {
+    shell: {
+        extensions: ['sh', 'bash', 'zsh', 'ksh'],
+        filenames: ['.bashrc', '.bash_profile', '.bash_aliases', '.profile', '.zshrc', '.zprofile'],
+        rules: [
+            ['comment', HASH_COMMENT],
+            ['string', STRING_DOUBLE],
+            ['string', String.raw`'[^']*'`],
+            ['variable', SHELL_VARIABLE],
+            ['keyword', keywords(['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in', 'function', 'return', 'export', 'local', 'readonly', 'unset', 'alias', 'source', 'exit'])],
+            ['number', NUMBER]
+        ]
+    },
+    javascript: {
+        extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx'],
+        rules: [
+            ['comment', SLASH_COMMENTS],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE],
+            ['string', String.raw`\`(?:[^\`\\]|\\[\s\S])*\``],
+            ['keyword', keywords(['const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'new', 'class', 'extends', 'import', 'export', 'from', 'default', 'async', 'await', 'try', 'catch', 'finally', 'throw', 'typeof', 'instanceof', 'of', 'in', 'this', 'true', 'false', 'null', 'undefined'])],
+            ['number', NUMBER]
+        ]
+    },
+    json: {
+        extensions: ['json', 'jsonc', 'json5'],
+        rules: [
+            ['comment', SLASH_COMMENTS],
+            ['key', STRING_DOUBLE + String.raw`(?=\s*:)`],
+            ['string', STRING_DOUBLE],
+            ['keyword', keywords(['true', 'false', 'null'])],
+            ['number', String.raw`-?` + NUMBER]
+        ]
+    },
+    python: {
+        extensions: ['py'],
+        rules: [
+            ['comment', HASH_COMMENT],
+            ['string', String.raw`"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S]))`],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE],
+            ['keyword', keywords(['def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'not', 'and', 'or', 'is', 'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise', 'pass', 'break', 'continue', 'lambda', 'yield', 'async', 'await', 'global', 'None', 'True', 'False', 'self'])],
+            ['variable', String.raw`@[\w.]+`],
+            ['number', NUMBER]
+        ]
+    },
+    yaml: {
+        extensions: ['yml', 'yaml'],
+        rules: [
+            ['comment', HASH_COMMENT],
+            ['key', String.raw`[\w.\-/]+(?=\s*:(?:\s|$))`],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE],
+            ['variable', String.raw`[&*][\w-]+`],
+            ['keyword', keywords(['true', 'false', 'yes', 'no', 'on', 'off', 'null'])],
+            ['number', NUMBER]
+        ]
+    },
+    ini: {
+        extensions: ['ini', 'conf', 'cfg', 'toml', 'env', 'properties', 'service', 'timer', 'desktop'],
+        filenames: ['.env', '.gitconfig', '.editorconfig'],
+        rules: [
+            ['comment', String.raw`^\s*[#;].*`],
+            ['keyword', String.raw`^\s*\[[^\]\n]*\]`],
+            ['key', String.raw`^\s*[\w.\-]+(?=\s*=)`],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE],
+            ['variable', SHELL_VARIABLE],
+            ['number', NUMBER]
+        ]
+    },
+    css: {
+        extensions: ['css', 'scss', 'less'],
+        rules: [
+            ['comment', SLASH_COMMENTS],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE],
+            ['keyword', String.raw`@[\w-]+`],
+            ['key', String.raw`[\w-]+(?=\s*:[^:])`],
+            ['number', String.raw`#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:[a-z]+|%)?`],
+            ['variable', String.raw`--[\w-]+|\$[\w-]+`]
+        ]
+    },
+    markup: {
+        extensions: ['html', 'htm', 'xml', 'svg', 'vue'],
+        rules: [
+            ['comment', String.raw`<!--[\s\S]*?(?:-->|(?![\s\S]))`],
+            ['keyword', String.raw`<\/?[\w:.-]+|\/?>`],
+            ['key', String.raw`[\w:.-]+(?==)`],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE]
+        ]
+    },
+    markdown: {
+        extensions: ['md', 'markdown'],
+        rules: [
+            ['string', String.raw`^\`\`\`[\s\S]*?(?:^\`\`\`|(?![\s\S]))`],
+            ['string', String.raw`\`[^\`\n]+\``],
+            ['keyword', String.raw`^#{1,6}\s.*`],
+            ['variable', String.raw`^\s*(?:[-*+]|\d+\.)(?=\s)`],
+            ['key', String.raw`\[[^\]\n]*\](?=\()`]
+        ]
+    },
+    dockerfile: {
+        filenames: ['dockerfile', 'containerfile'],
+        rules: [
+            ['comment', String.raw`^\s*#.*`],
+            ['keyword', String.raw`^\s*(?:FROM|RUN|CMD|LABEL|EXPOSE|ENV|ADD|COPY|ENTRYPOINT|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK|SHELL)\b|\bAS\b`],
+            ['string', STRING_DOUBLE],
+            ['string', STRING_SINGLE],
+            ['variable', SHELL_VARIABLE],
+            ['number', NUMBER]
+        ]
+    }
+};
+
+// Highlighting is redone on every change, so very large files are left plain
+const MAX_HIGHLIGHT_LENGTH = 200000;
+const MAX_SEARCH_MARKS = 1000;
+
+const compiled = new Map();
+
+function escapeHtml(text) {
+    return text.replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pick a language from the file name, or the #! line for scripts without an extension
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {string|null} Key of LANGUAGES
+ */
+function detectLanguage(name, content) {
+    const lower = name.toLowerCase();
+    const ext = lower.includes('.') ? lower.slice(lower.lastIndexOf('.') + 1) : '';
+    for (const [language, { extensions = [], filenames = [] }] of Object.entries(LANGUAGES)) {
+        if (filenames.includes(lower) || extensions.includes(ext)) return language;
+    }
+    // .env.local, Dockerfile.dev...
+    if (lower.startsWith('.env')) return 'ini';
+    if (lower.startsWith('dockerfile')) return 'dockerfile';
+
+    const shebang = content.match(/^#!.*?\b(sh|bash|zsh|ksh|dash|python\d*|node)\b/);
+    if (!shebang) return null;
+    if (shebang[1].startsWith('python')) return 'python';
+    return shebang[1] === 'node' ? 'javascript' : 'shell';
+}
+
+/**
+ * Wrap the tokens of some text in spans for the highlighted layer
+ * @param {string} text
+ * @param {string|null} language - Key of LANGUAGES
+ * @returns {string} HTML
+ */
+function highlight(text, language) {
+    if (!language) return escapeHtml(text);
+    if (!compiled.has(language)) {
+        const rules = LANGUAGES[language].rules;
+        compiled.set(language, {
+            regex: new RegExp(rules.map(([, source]) => `(${source})`).join('|'), 'gm'),
+            classes: rules.map(([name]) => name)
+        });
+    }
+
+    const { regex, classes } = compiled.get(language);
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(regex)) {
+        if (!match[0]) continue;
+        const rule = match.findIndex((group, i) => i > 0 && group !== undefined) - 1;
+        html += escapeHtml(text.slice(last, match.index));
+        html += `<span class="tok-${classes[rule]}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+// Indent with tabs or the number of spaces the file already uses
+function detectIndent(content) {
+    const indented = content.match(/^[ \t]+(?=\S)/m);
+    if (!indented) return '    ';
+    if (indented[0].startsWith('\t')) return '\t';
+    return ' '.repeat(Math.min(Math.max(indented[0].length, 2), 8));
+}
+
+export default class Editor {
+    /**
+     * @param {HTMLElement} panel - Panel element to render into
+     * @param {object} options
+     * @param {Function} options.joinPath - Joins a path with the app's base path
+     * @param {Function} [options.onSave] - Called with the path of each file saved
+     */
+    constructor(panel, { joinPath, onSave = () => {} }) {
+        this.panel = panel;
+        this.joinPath = joinPath;
+        this.onSave = onSave;
+        this.file = null;
+        this.savedContent = '';
+        this.modified = null;
+        this.overwrite = false;
+        this.language = null;
+        this.indent = '    ';
+        this.matches = [];
+        this.currentMatch = -1;
+        this.renderPending = false;
+
+        this.panel.innerHTML = `
+            <div class="editor-header">
+                <span class="editor-title"></span>
+                <span class="editor-status" role="status"></span>
+                <button class="editor-button" data-action="search" aria-label="Find and replace" title="Find and replace (Ctrl+F)">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M10 10m-7 0a7 7 0 1 0 14 0a7 7 0 1 0 -14 0" /><path d="M21 21l-6 -6" /></svg>
+                </button>
+                <button class="editor-button" data-action="save" aria-label="Save" title="Save (Ctrl+S)">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M6 4h10l4 4v10a2 2 0 0 1 -2 2h-12a2 2 0 0 1 -2 -2v-12a2 2 0 0 1 2 -2" /><path d="M12 14m-2 0a2 2 0 1 0 4 0a2 2 0 1 0 -4 0" /><path d="M14 4l0 4l-6 0l0 -4" /></svg>
+                </button>
+                <button class="editor-button" data-action="close" aria-label="Close" title="Close">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M18 6l-12 12" /><path d="M6 6l12 12" /></svg>
+                </button>
+            </div>
+            <div class="editor-search" hidden>
+                <input type="text" class="editor-find" placeholder="Find" aria-label="Find" spellcheck="false">
+                <span class="editor-match-count"></span>
+                <button class="editor-button" data-action="case" aria-label="Match case" aria-pressed="false" title="Match case">Aa</button>
+                <button class="editor-button" data-action="previous" aria-label="Previous match" title="Previous match (Shift+Enter)">↑</button>
+                <button class="editor-button" data-action="next" aria-label="Next match" title="Next match (Enter)">↓</button>
+                <input type="text" class="editor-replace" placeholder="Replace" aria-label="Replace" spellcheck="false">
+                <button class="editor-button editor-text-button" data-action="replace" title="Replace this match">Replace</button>
+                <button class="editor-button editor-text-button" data-action="replace-all" title="Replace every match">All</button>
+            </div>
+            <div class="editor-code">
+                <pre class="editor-matches" aria-hidden="true"></pre>
+                <pre class="editor-highlight" aria-hidden="true"></pre>
+                <textarea class="editor-input" spellcheck="false" autocapitalize="off" autocomplete="off" autocorrect="off" aria-label="File content"></textarea>
+                <div class="editor-message" hidden></div>
+            </div>
+        `;
+        this.title = this.panel.querySelector('.editor-title');
+        this.status = this.panel.querySelector('.editor-status');
+        this.searchBar = this.panel.querySelector('.editor-search');
+        this.findInput = this.panel.querySelector('.editor-find');
+        this.replaceInput = this.panel.querySelector('.editor-replace');
+        this.matchCount = this.panel.querySelector('.editor-match-count');
+        this.caseButton = this.panel.querySelector('[data-action="case"]');
+        this.saveButton = this.panel.querySelector('[data-action="save"]');
+        this.closeButton = this.panel.querySelector('[data-action="close"]');
+        this.input = this.panel.querySelector('.editor-input');
+        this.highlightLayer = this.panel.querySelector('.editor-highlight');
+        this.matchLayer = this.panel.querySelector('.editor-matches');
+        this.message = this.panel.querySelector('.editor-message');
+
+        this.panel.addEventListener('click', (e) => this.handleButton(e));
+        this.panel.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('input', () => this.handleInput());
+        this.input.addEventListener('scroll', () => this.syncScroll());
+        this.findInput.addEventListener('input', () => this.search(true));
+
+        // Don't lose unsaved changes by closing or reloading the page
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isDirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    get isOpen() {
+        return !this.panel.hidden;
+    }
+
+    get isDirty() {
+        return !!this.file && this.input.value !== this.savedContent;
+    }
+
+    /**
+     * Open a file, or bring it to the front if it's already open
+     * @param {string} file - Absolute path
+     */
+    async open(file) {
+        if (this.file === file && this.isOpen) {
+            this.input.focus();
+            return;
+        }
+        if (this.isDirty) {
+            this.setStatus(`Save or close ${this.title.textContent} first`, true);
+            return;
+        }
+
+        this.show();
+        this.setStatus('Opening...');
+        try {
+            const response = await fetch(`${this.joinPath('api/files/read')}?${new URLSearchParams({ path: file })}`, {
+                credentials: 'same-origin'
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+            this.load(result);
+        } catch (error) {
+            console.error('Failed to open file:', error);
+            if (this.file) {
+                this.setStatus(error.message, true);
+            } else {
+                this.showMessage(`Can't open ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * @param {{ path: string, name: string, content: string, modified: string }} file
+     */
+    load({ path, name, content, modified }) {
+        this.file = path;
+        this.savedContent = content;
+        this.modified = modified;
+        this.overwrite = false;
+        this.language = detectLanguage(name, content);
+        this.indent = detectIndent(content);
+
+        this.title.textContent = name;
+        this.title.title = path;
+        this.message.hidden = true;
+        this.input.hidden = false;
+        this.input.value = content;
+        this.input.scrollTop = 0;
+        this.input.scrollLeft = 0;
+        this.input.setSelectionRange(0, 0);
+        this.panel.classList.toggle('plain', content.length > MAX_HIGHLIGHT_LENGTH);
+        this.saveButton.disabled = false;
+        this.setStatus('');
+        this.search(false);
+        this.render();
+        this.input.focus();
+    }
+
+    show() {
+        if (this.isOpen) return;
+        this.panel.hidden = false;
+        // The terminals get narrower
+        window.dispatchEvent(new Event('resize'));
+    }
+
+    // Closing with unsaved changes takes a second click, like deleting in the file browser
+    close() {
+        if (this.isDirty && !this.closeButton.classList.contains('confirm')) {
+            this.closeButton.classList.add('confirm');
+            this.closeButton.title = 'Click again to discard your changes';
+            this.setStatus('Unsaved changes', true);
+            setTimeout(() => {
+                this.closeButton.classList.remove('confirm');
+                this.closeButton.title = 'Close';
+            }, 3000);
+            return;
+        }
+
+        this.closeButton.classList.remove('confirm');
+        this.closeButton.title = 'Close';
+        this.file = null;
+        this.savedContent = '';
+        this.input.value = '';
+        this.searchBar.hidden = true;
+        this.panel.hidden = true;
+        window.dispatchEvent(new Event('resize'));
+    }
+
+    // Show why a file couldn't be opened in place of the text
+    showMessage(text) {
+        this.file = null;
+        this.savedContent = '';
+        this.input.value = '';
+        this.input.hidden = true;
+        this.highlightLayer.innerHTML = '';
+        this.matchLayer.innerHTML = '';
+        this.title.textContent = '';
+        this.saveButton.disabled = true;
+        this.setStatus('');
+        this.message.textContent = text;
+        this.message.hidden = false;
+    }
+
+    /**
+     * @param {string} text - Status message, empty to clear it
+     * @param {boolean} [isError]
+     */
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    async save() {
+        if (!this.file) return;
+        const content = this.input.value;
+        const params = new URLSearchParams({ path: this.file });
+        if (!this.overwrite && this.modified) params.set('modified', this.modified);
+
+        this.setStatus('Saving...');
+        try {
+            const response = await fetch(`${this.joinPath('api/files/save')}?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+                credentials: 'same-origin',
+                body: content
+            });
+            const result = await response.json().catch(() => ({}));
+            if (response.status === 409) {
+                // Someone changed the file since we opened it, saving again overwrites it
+                this.overwrite = true;
+                this.setStatus(`${result.error || 'The file has changed'}. Save again to overwrite it`, true);
+                return;
+            }
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+            this.savedContent = content;
+            this.modified = result.modified;
+            this.overwrite = false;
+            this.updateTitle();
+            this.setStatus('Saved');
+            this.onSave(result.path);
+        } catch (error) {
+            console.error('Failed to save file:', error);
+            this.setStatus(`Save failed: ${error.message}`, true);
+        }
+    }
+
+    handleInput() {
+        this.updateTitle();
+        if (this.status.textContent === 'Saved') this.setStatus('');
+        if (!this.searchBar.hidden) this.search(false);
+        this.scheduleRender();
+    }
+
+    // Mark the title while there are unsaved changes
+    updateTitle() {
+        this.panel.classList.toggle('dirty', this.isDirty);
+    }
+
+    handleButton(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'search':
+                if (this.searchBar.hidden) this.openSearch();
+                else this.closeSearch();
+                break;
+            case 'save':
+                this.save();
+                break;
+            case 'close':
+                this.close();
+                break;
+            case 'case':
+                button.setAttribute('aria-pressed', button.getAttribute('aria-pressed') !== 'true');
+                this.search(true);
+                break;
+            case 'previous':
+                this.findNext(-1);
+                break;
+            case 'next':
+                this.findNext(1);
+                break;
+            case 'replace':
+                this.replace();
+                break;
+            case 'replace-all':
+                this.replaceAll();
+                break;
+        }
+    }
+
+    handleKeydown(e) {
+        const modifier = e.ctrlKey || e.metaKey;
+        // Keep these away from the terminal's own shortcuts
+        if (modifier && e.key === 's') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.save();
+        } else if (modifier && e.key === 'f') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.openSearch();
+        } else if (e.key === 'Escape' && !this.searchBar.hidden) {
+            e.preventDefault();
+            this.closeSearch();
+        } else if (e.key === 'Enter' && e.target === this.findInput) {
+            e.preventDefault();
+            this.findNext(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Enter' && e.target === this.replaceInput) {
+            e.preventDefault();
+            this.replace();
+        } else if (e.target === this.input && e.key === 'Tab' && !e.shiftKey && !modifier) {
+            e.preventDefault();
+            this.insertText(this.indent);
+        } else if (e.target === this.input && e.key === 'Enter' && !modifier) {
+            // Keep the indentation of the line
+            e.preventDefault();
+            const { value, selectionStart } = this.input;
+            const line = value.slice(value.lastIndexOf('\n', selectionStart - 1) + 1, selectionStart);
+            this.insertText('\n' + line.match(/^[ \t]*/)[0]);
+        }
+    }
+
+    /**
+     * Replace the selection, through execCommand where it works so undo still does
+     * @param {string} text
+     */
+    insertText(text) {
+        if (document.activeElement !== this.input) this.input.focus();
+        if (!document.execCommand('insertText', false, text)) {
+            this.input.setRangeText(text, this.input.selectionStart, this.input.selectionEnd, 'end');
+            this.handleInput();
+        }
+    }
+
+    openSearch() {
+        this.searchBar.hidden = false;
+        const { value, selectionStart, selectionEnd } = this.input;
+        const selected = value.slice(selectionStart, selectionEnd);
+        if (selected && !selected.includes('\n')) this.findInput.value = selected;
+        this.findInput.focus();
+        this.findInput.select();
+        this.search(false);
+    }
+
+    closeSearch() {
+        this.searchBar.hidden = true;
+        this.matches = [];
+        this.renderMatches();
+        this.input.focus();
+    }
+
+    /**
+     * Find every match of the search text
+     * @param {boolean} jump - Go to the first match after the cursor
+     */
+    search(jump) {
+        const query = this.findInput.value;
+        this.matches = [];
+        if (query && !this.searchBar.hidden) {
+            const flags = this.caseButton.getAttribute('aria-pressed') === 'true' ? 'g' : 'gi';
+            for (const match of this.input.value.matchAll(new RegExp(escapeRegExp(query), flags))) {
+                this.matches.push([match.index, match.index + query.length]);
+            }
+        }
+
+        const cursor = this.input.selectionStart;
+        this.currentMatch = this.matches.length ? Math.max(this.matches.findIndex(([start]) => start >= cursor), 0) : -1;
+        if (jump && this.currentMatch !== -1) this.selectMatch();
+        this.renderMatches();
+    }
+
+    /**
+     * @param {number} direction - 1 for the next match, -1 for the previous one
+     */
+    findNext(direction) {
+        if (!this.matches.length) return;
+        const [start, end] = this.matches[this.currentMatch] || [];
+        // Stay on the current match the first time if it isn't selected yet
+        const onMatch = this.input.selectionStart === start && this.input.selectionEnd === end;
+        if (onMatch) {
+            this.currentMatch = (this.currentMatch + direction + this.matches.length) % this.matches.length;
+        }
+        this.selectMatch();
+        this.renderMatches();
+    }
+
+    // Select the current match in the textarea, so replacing and typing act on it
+    selectMatch() {
+        const [start, end] = this.matches[this.currentMatch];
+        this.input.setSelectionRange(start, end);
+    }
+
+    replace() {
+        const match = this.matches[this.currentMatch];
+        if (!match) return;
+        if (this.input.selectionStart !== match[0] || this.input.selectionEnd !== match[1]) {
+            this.selectMatch();
+        }
+        this.insertText(this.replaceInput.value);
+        this.search(true);
+        this.replaceInput.focus();
+    }
+
+    replaceAll() {
+        if (!this.matches.length) return;
+        const { value } = this.input;
+        let replaced = '';
+        let last = 0;
+        for (const [start, end] of this.matches) {
+            replaced += value.slice(last, start) + this.replaceInput.value;
+            last = end;
+        }
+        replaced += value.slice(last);
+
+        const count = this.matches.length;
+        this.input.select();
+        this.insertText(replaced);
+        this.input.setSelectionRange(0, 0);
+        this.search(false);
+        this.setStatus(`Replaced ${count} ${count === 1 ? 'match' : 'matches'}`);
+        this.replaceInput.focus();
+    }
+
+    // Draw the matches in a layer under the text, since the textarea can't style them
+    renderMatches() {
+        const count = this.matches.length;
+        this.matchCount.textContent = !this.findInput.value ? ''
+            : count ? `${this.currentMatch + 1} of ${count}` : 'No results';
+
+        if (!count) {
+            this.matchLayer.innerHTML = '';
+            return;
+        }
+        const value = this.input.value;
+        let html = '';
+        let last = 0;
+        this.matches.slice(0, MAX_SEARCH_MARKS).forEach(([start, end], i) => {
+            html += escapeHtml(value.slice(last, start));
+            html += `<mark${i === this.currentMatch ? ' class="current"' : ''}>${escapeHtml(value.slice(start, end))}</mark>`;
+            last = end;
+        });
+        this.matchLayer.innerHTML = html + escapeHtml(value.slice(last)) + (value.endsWith('\n') ? ' ' : '');
+
+        // Scroll the textarea to the current match
+        const current = this.matchLayer.querySelector('mark.current');
+        if (current) {
+            const { clientHeight, clientWidth } = this.input;
+            if (current.offsetTop < this.input.scrollTop || current.offsetTop + current.offsetHeight > this.input.scrollTop + clientHeight) {
+                this.input.scrollTop = current.offsetTop - clientHeight / 2;
+            }
+            if (current.offsetLeft < this.input.scrollLeft || current.offsetLeft + current.offsetWidth > this.input.scrollLeft + clientWidth) {
+                this.input.scrollLeft = Math.max(current.offsetLeft - clientWidth / 2, 0);
+            }
+        }
+        this.syncScroll();
+    }
+
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    render() {
+        const value = this.input.value;
+        // A trailing newline needs something after it to take up a line, like it does in the textarea
+        const end = value.endsWith('\n') ? ' ' : '';
+        this.highlightLayer.innerHTML = value.length > MAX_HIGHLIGHT_LENGTH ? '' : highlight(value, this.language) + end;
+        this.syncScroll();
+    }
+
+    syncScroll() {
+        for (const layer of [this.highlightLayer, this.matchLayer]) {
+            layer.scrollTop = this.input.scrollTop;
+            layer.scrollLeft = this.input.scrollLeft;
+        }
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * FileBrowser - Sidebar listing the files of the active tab's terminal
+ * Starts in the terminal's working directory and can rename, delete, create folders, upload,
+ * download and open a new terminal in a folder. Uploads and downloads go through the
+ * TransferManager, so they share its progress list.
+ */
+
+// Tabler icon paths, drawn as 24x24 stroked SVGs
+const ICONS = {
+    folder: ['M5 4h4l3 3h7a2 2 0 0 1 2 2v8a2 2 0 0 1 -2 2h-14a2 2 0 0 1 -2 -2v-11a2 2 0 0 1 2 -2'],
+    file: ['M14 3v4a1 1 0 0 0 1 1h4', 'M17 21h-10a2 2 0 0 1 -2 -2v-14a2 2 0 0 1 2 -2h7l5 5v11a2 2 0 0 1 -2 2z'],
+    up: ['M12 5l0 14', 'M18 11l-6 -6', 'M6 11l6 -6'],
+    refresh: ['M20 11a8.1 8.1 0 0 0 -15.5 -2m-.5 -4v4h4', 'M4 13a8.1 8.1 0 0 0 15.5 2m.5 4v-4h-4'],
+    mkdir: ['M12 19h-7a2 2 0 0 1 -2 -2v-11a2 2 0 0 1 2 -2h4l3 3h7a2 2 0 0 1 2 2v3.5', 'M16 19h6', 'M19 16v6'],
+    upload: ['M4 17v2a2 2 0 0 0 2 2h12a2 2 0 0 0 2 -2v-2', 'M7 9l5 -5l5 5', 'M12 4l0 12'],
+    download: ['M4 17v2a2 2 0 0 0 2 2h12a2 2 0 0 0 2 -2v-2', 'M7 11l5 5l5 -5', 'M12 4l0 12'],
+    terminal: ['M5 7l5 5l-5 5', 'M12 19l7 0'],
+    edit: ['M7 7h-1a2 2 0 0 0 -2 2v9a2 2 0 0 0 2 2h9a2 2 0 0 0 2 -2v-1', 'M20.385 6.585a2.1 2.1 0 0 0 -2.97 -2.97l-8.415 8.385v3h3l8.385 -8.415z', 'M16 5l3 3'],
+    rename: ['M4 20h4l10.5 -10.5a2.828 2.828 0 1 0 -4 -4l-10.5 10.5v4', 'M13.5 6.5l4 4'],
+    delete: ['M4 7l16 0', 'M10 11l0 6', 'M14 11l0 6', 'M5 7l1 12a2 2 0 0 0 2 2h8a2 2 0 0 0 2 -2l1 -12', 'M9 7v-3a1 1 0 0 1 1 -1h4a1 1 0 0 1 1 1v3']
+};
+
+function icon(name) {
+    const paths = ICONS[name].map(d => `<path d="${d}" />`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">${paths}</svg>`;
+}
+
+export default class FileBrowser {
+    /**
+     * @param {HTMLElement} sidebar - Sidebar element to render into
+     * @param {object} options
+     * @param {Function} options.joinPath - Joins a path with the app's base path
+     * @param {TransferManager} options.transferManager - Handles uploads and downloads
+     * @param {Function} options.openTerminal - Opens a new tab in the given folder
+     * @param {Function} options.openEditor - Opens a file in the editor
+     */
+    constructor(sidebar, { joinPath, transferManager, openTerminal, openEditor }) {
+        this.sidebar = sidebar;
+        this.joinPath = joinPath;
+        this.transferManager = transferManager;
+        this.openTerminal = openTerminal;
+        this.openEditor = openEditor;
+        this.session = null;
+        this.path = null;
+        this.parent = null;
+
+        this.sidebar.innerHTML = `
+            <div class="file-browser-header">
+                <button class="file-browser-button" data-action="up" aria-label="Parent folder" title="Parent folder">${icon('up')}</button>
+                <span class="file-browser-path"></span>
+                <button class="file-browser-button" data-action="refresh" aria-label="Refresh" title="Refresh">${icon('refresh')}</button>
+            </div>
+            <div class="file-browser-toolbar">
+                <button class="file-browser-button" data-action="mkdir" aria-label="New folder" title="New folder">${icon('mkdir')}</button>
+                ${transferManager.uploadsEnabled ? `<button class="file-browser-button" data-action="upload" aria-label="Upload files here" title="Upload files here">${icon('upload')}</button>` : ''}
+                <button class="file-browser-button" data-action="terminal" aria-label="Open terminal here" title="Open terminal here">${icon('terminal')}</button>
+                <input type="file" multiple hidden>
+            </div>
+            <div class="file-browser-error" role="alert" hidden></div>
+            <ul class="file-browser-list"></ul>
+        `;
+        this.list = this.sidebar.querySelector('.file-browser-list');
+        this.pathLabel = this.sidebar.querySelector('.file-browser-path');
+        this.error = this.sidebar.querySelector('.file-browser-error');
+        this.fileInput = this.sidebar.querySelector('input[type="file"]');
+
+        this.sidebar.querySelector('.file-browser-header').addEventListener('click', (e) => this.handleToolbar(e));
+        this.sidebar.querySelector('.file-browser-toolbar').addEventListener('click', (e) => this.handleToolbar(e));
+        this.list.addEventListener('click', (e) => this.handleEntryClick(e));
+        this.fileInput.addEventListener('change', () => {
+            this.transferManager.upload(this.session, this.fileInput.files, this.path);
+            this.fileInput.value = '';
+        });
+        // Files dropped onto the sidebar go to the folder it shows
+        this.transferManager.attach(this.sidebar, () => this.session, () => this.path);
+    }
+
+    get isOpen() {
+        return !this.sidebar.hidden;
+    }
+
+    /**
+     * @param {object} session - Terminal session of the active tab
+     */
+    toggle(session) {
+        this.sidebar.hidden = !this.sidebar.hidden;
+        if (this.isOpen) {
+            this.show(session);
+        }
+        // The terminals get narrower or wider
+        window.dispatchEvent(new Event('resize'));
+    }
+
+    /**
+     * Follow the active tab, starting from its terminal's working directory
+     * @param {object} session - Terminal session of the active tab
+     */
+    show(session) {
+        this.session = session;
+        this.path = null;
+        if (this.isOpen) this.load();
+    }
+
+    /**
+     * Load the listing once a session that was still connecting has its ID
+     * @param {object} session - Session that just connected
+     */
+    update(session) {
+        if (this.isOpen && this.session === session && !this.path) this.load();
+    }
+
+    refresh() {
+        if (this.isOpen) this.load(this.path);
+    }
+
+    /**
+     * List a folder
+     * @param {string|null} [dir] - Absolute path, or null for the terminal's working directory
+     */
+    async load(dir = null) {
+        if (!this.transferManager.isOwner(this.session)) {
+            this.showMessage(this.session && this.session.role === 'collaborator'
+                ? 'Only the terminal\'s owner can browse its files.'
+                : 'Waiting for the terminal...');
+            return;
+        }
+
+        const params = new URLSearchParams({ session: this.session.sessionId });
+        if (dir) params.set('path', dir);
+        try {
+            const response = await fetch(`${this.joinPath('api/files')}?${params}`, { credentials: 'same-origin' });
+            const listing = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(listing.error || `HTTP ${response.status}`);
+            this.render(listing);
+        } catch (error) {
+            console.error('Failed to list folder:', error);
+            // Keep showing the current folder if the one clicked can't be opened
+            if (dir && this.path) {
+                this.showError(error.message);
+            } else {
+                this.showMessage(error.message);
+            }
+        }
+    }
+
+    /**
+     * @param {{ path: string, parent: string|null, entries: Array }} listing
+     */
+    render({ path, parent, entries }) {
+        this.showError('');
+        this.path = path;
+        this.parent = parent;
+        this.pathLabel.textContent = path;
+        this.pathLabel.title = path;
+        this.sidebar.querySelector('[data-action="up"]').disabled = !parent;
+
+        this.list.innerHTML = '';
+        if (!entries.length) {
+            this.list.innerHTML = '<li class="recordings-empty">This folder is empty.</li>';
+            return;
+        }
+
+        entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = `file-entry ${entry.type}`;
+            item.classList.toggle('hidden-file', entry.name.startsWith('.'));
+            item.dataset.name = entry.name;
+            item.dataset.type = entry.type;
+            item.innerHTML = `
+                <button class="file-entry-name">${icon(entry.type === 'directory' ? 'folder' : 'file')}<span></span></button>
+                <span class="file-entry-actions">
+                    ${entry.type === 'directory' ? `<button class="file-browser-button" data-action="terminal" aria-label="Open terminal here" title="Open terminal here">${icon('terminal')}</button>` : ''}
+                    ${entry.type === 'file' ? `<button class="file-browser-button" data-action="edit" aria-label="Edit" title="Edit">${icon('edit')}</button>` : ''}
+                    ${entry.type !== 'other' ? `<button class="file-browser-button" data-action="download" aria-label="Download" title="${entry.type === 'directory' ? 'Download as .tar.gz' : 'Download'}">${icon('download')}</button>` : ''}
+                    <button class="file-browser-button" data-action="rename" aria-label="Rename" title="Rename">${icon('rename')}</button>
+                    <button class="file-browser-button" data-action="delete" aria-label="Delete" title="Delete">${icon('delete')}</button>
+                </span>
+            `;
+            item.querySelector('.file-entry-name span').textContent = entry.name;
+            item.querySelector('.file-entry-name').title = [
+                entry.name,
+                entry.type === 'file' ? this.transferManager.formatSize(entry.size) : '',
+                new Date(entry.modified).toLocaleString(),
+                entry.link ? '(link)' : ''
+            ].filter(Boolean).join(' · ');
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show why something failed above the list, until the next listing
+     * @param {string} text - Error message, empty to hide it
+     */
+    showError(text) {
+        this.error.textContent = text;
+        this.error.hidden = !text;
+    }
+
+    showMessage(text) {
+        this.showError('');
+        this.path = null;
+        this.pathLabel.textContent = '';
+        this.list.innerHTML = '<li class="recordings-empty"></li>';
+        this.list.firstChild.textContent = text;
+    }
+
+    handleToolbar(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || !this.path) {
+            if (button && button.dataset.action === 'refresh') this.load();
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'up':
+                if (this.parent) this.load(this.parent);
+                break;
+            case 'refresh':
+                this.load(this.path);
+                break;
+            case 'mkdir':
+                this.createFolder();
+                break;
+            case 'upload':
+                this.fileInput.click();
+                break;
+            case 'terminal':
+                this.openTerminal(this.path);
+                break;
+        }
+    }
+
+    handleEntryClick(e) {
+        const item = e.target.closest('.file-entry');
+        if (!item) return;
+        const { name, type } = item.dataset;
+        const file = this.join(this.path, name);
+        const button = e.target.closest('[data-action]');
+
+        if (!button) {
+            // Open folders, edit files
+            if (type === 'directory') this.load(file);
+            else if (type === 'file') this.openEditor(file);
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'terminal':
+                this.openTerminal(file);
+                break;
+            case 'edit':
+                this.openEditor(file);
+                break;
+            case 'download':
+                this.transferManager.download(this.session, file);
+                break;
+            case 'rename':
+                this.renameEntry(file, name);
+                break;
+            case 'delete':
+                this.deleteEntry(button, file);
+                break;
+        }
+    }
+
+    // Add a row at the top of the list to type the new folder's name into
+    createFolder() {
+        const item = document.createElement('li');
+        item.className = 'file-entry directory';
+        item.innerHTML = `<button class="file-entry-name">${icon('folder')}<span></span></button>`;
+        this.list.prepend(item);
+        this.editName(item, '', (name) => this.request('api/files/mkdir', { path: this.path, name }));
+    }
+
+    renameEntry(file, name) {
+        const item = Array.from(this.list.children).find(entry => entry.dataset.name === name);
+        this.editName(item, name, (newName) => this.request('api/files/rename', { path: file, name: newName }));
+    }
+
+    // Deleting takes a second click on the same button, so a stray click can't lose files
+    deleteEntry(button, file) {
+        if (!button.classList.contains('confirm')) {
+            button.classList.add('confirm');
+            button.title = 'Click again to delete';
+            setTimeout(() => {
+                button.classList.remove('confirm');
+                button.title = 'Delete';
+            }, 3000);
+            return;
+        }
+        this.request('api/files/delete', { path: file });
+    }
+
+    /**
+     * Edit a name in place, like renaming a tab
+     * @param {HTMLElement} item - List entry
+     * @param {string} currentName - Name to start with, empty for a new folder
+     * @param {Function} onDone - Called with the new name, unless editing was cancelled
+     */
+    editName(item, currentName, onDone) {
+        const label = item.querySelector('.file-entry-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = currentName;
+        input.className = 'rename-input';
+        input.spellcheck = false;
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            const name = input.value.trim();
+            input.replaceWith(label);
+            if (save && name && name !== currentName) {
+                onDone(name);
+            } else if (!currentName) {
+                item.remove();
+            }
+        };
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+    }
+
+    /**
+     * Make a change and list the folder again
+     * @param {string} url - API path
+     * @param {object} body - Request body, the session ID is added
+     */
+    async request(url, body) {
+        try {
+            const response = await fetch(this.joinPath(url), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ session: this.session.sessionId, ...body })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+            this.load(this.path);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    join(dir, name) {
+        return `${dir.replace(/\/+$/, '')}/${name}`;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * InactivityLock - Logs the browser out once nobody has used it for a while, and sends it to
+ * the login page. Keyboard, mouse and touch input in any of the app's tabs counts as use: the
+ * time of the last one is shared through localStorage, so a tab left in the background isn't
+ * locked while another is in use, and a browser that was asleep or closed locks as soon as it's back.
+ * Activity is reported to the server too, which ends logins that go quiet whether or not this runs.
+ */
+import StorageManager from './storage.js';
+
+const ACTIVITY_EVENTS = ['keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart'];
+const ACTIVITY_KEY = 'last-activity';
+const SAVE_INTERVAL = 5000; // ms between saving the time of activity, pointermove fires a lot
+const REPORT_INTERVAL = 30 * 1000; // ms between reporting activity to the server
+const CHECK_INTERVAL = 5000;
+const WARNING_TIME = 60 * 1000; // ms before locking the warning is shown
+
+export default class InactivityLock {
+    /**
+     * @param {number} timeout - How long (ms) the browser may go unused before it's locked
+     * @param {number} loggedInAt - When (ms) the browser logged in, activity from before then doesn't count
+     * @param {Function} joinPath - Joins a path with the app's base path
+     */
+    constructor(timeout, loggedInAt, joinPath) {
+        this.timeout = timeout;
+        this.loggedInAt = loggedInAt || Date.now();
+        this.joinPath = joinPath;
+        this.storage = new StorageManager();
+        this.savedAt = 0;
+        this.reportedAt = 0;
+        this.notice = null;
+        this.locked = false;
+
+        ACTIVITY_EVENTS.forEach(event => document.addEventListener(event, () => this.recordActivity(), { capture: true, passive: true }));
+        // Timers are held back in background tabs and while asleep, so check on the way back too
+        document.addEventListener('visibilitychange', () => this.check());
+        setInterval(() => this.check(), CHECK_INTERVAL);
+        this.check();
+    }
+
+    recordActivity() {
+        const now = Date.now();
+        if (now - this.savedAt < SAVE_INTERVAL && !this.notice) return;
+        this.savedAt = now;
+        this.storage.set(ACTIVITY_KEY, now);
+        this.hideWarning();
+
+        if (now - this.reportedAt < REPORT_INTERVAL) return;
+        this.reportedAt = now;
+        fetch(this.joinPath('activity'), { method: 'POST', credentials: 'same-origin' })
+            .catch(error => console.error('Failed to report activity:', error));
+    }
+
+    check() {
+        if (this.locked) return;
+        // A time saved on an earlier visit still counts, that's the browser coming back
+        const idle = Date.now() - Math.max(this.storage.get(ACTIVITY_KEY) || 0, this.loggedInAt);
+
+        if (idle >= this.timeout) {
+            this.lock();
+        } else if (idle >= this.timeout - WARNING_TIME) {
+            this.showWarning(this.timeout - idle);
+        } else {
+            this.hideWarning();
+        }
+    }
+
+    showWarning(remaining) {
+        if (!this.notice) {
+            this.notice = document.createElement('div');
+            this.notice.className = 'update-notification';
+            this.notice.innerHTML = '<p></p><button>Stay signed in</button>';
+            // Clicking it is activity, which hides the notice
+            document.body.appendChild(this.notice);
+        }
+        this.notice.querySelector('p').textContent = `Signing out in ${Math.ceil(remaining / 1000)} seconds because of inactivity.`;
+    }
+
+    hideWarning() {
+        if (!this.notice) return;
+        this.notice.remove();
+        this.notice = null;
+    }
+
+    // End this browser's login, leaving the terminals running to pick up again after signing back in
+    async lock() {
+        this.locked = true;
+        try {
+            await fetch(this.joinPath('lock'), { method: 'POST', credentials: 'same-origin' });
+        } catch (error) {
+            console.error('Failed to lock:', error);
+        }
+        window.location.href = this.joinPath('login?error=locked');
+    }
+}
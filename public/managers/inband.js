@@ -0,0 +1,273 @@
+/**
+ * In-band file transfers. rz/sz (ZMODEM) and trz/tsz (trzsz) move files through the terminal
+ * itself, so they also work on machines reached over SSH. Output is watched for their
+ * handshakes; once a transfer starts the session switches to raw mode, which sends the PTY's
+ * bytes untouched, and files go through the browser's file pickers and downloads.
+ * Uses the Zmodem and TrzszFilter globals from zmodem.js and trzsz.
+ */
+const ZDLE = '\x18'; // Every ZMODEM header has one
+const TRZSZ_MAGIC = '::TRZSZ:TRANSFER:';
+const RAW_CHECK_INTERVAL = 1000;
+
+// Only used to look for the ASCII markers above in raw output
+const latin1 = new TextDecoder('latin1');
+
+export default class InBandTransfer {
+    /**
+     * @param {Terminal} terminal - xterm.js terminal the transfers run in
+     * @param {object} options
+     * @param {TransferManager} options.transferManager - Shows ZMODEM progress with the other transfers
+     * @param {Function} options.send - Sends a message over the session's WebSocket
+     */
+    constructor(terminal, { transferManager, send }) {
+        this.terminal = terminal;
+        this.transferManager = transferManager;
+        this.send = send;
+        this.encoder = new TextEncoder();
+        this.raw = false;
+        this.rawTimer = null;
+
+        this.zsession = null; // Running ZMODEM session
+        this.detection = null; // ZMODEM upload waiting for the user to pick files
+        this.prompt = null;
+        this.items = new Set(); // Progress items of the running ZMODEM session
+
+        this.sentry = window.Zmodem ? new window.Zmodem.Sentry({
+            to_terminal: (octets) => this.terminal.write(new Uint8Array(octets)),
+            sender: (octets) => this.sendBytes(new Uint8Array(octets)),
+            on_detect: (detection) => this.detect(detection),
+            on_retract: () => this.removePrompt()
+        }) : null;
+
+        // trzsz draws its own progress bars in the terminal and opens its own file pickers
+        this.trzsz = window.TrzszFilter ? new window.TrzszFilter({
+            writeToTerminal: (data) => this.terminal.write(typeof data === 'string' ? data : new Uint8Array(data)),
+            sendToServer: (data) => {
+                // Its first reply to the handshake, after which the remote side sends the files
+                if (this.trzsz.isTransferringFiles()) this.startRaw();
+                if (typeof data === 'string') {
+                    this.send({ type: 'input', data });
+                } else {
+                    this.sendBytes(new Uint8Array(data));
+                }
+            },
+            terminalColumns: terminal.cols
+        }) : null;
+        if (this.trzsz) terminal.onResize(({ cols }) => this.trzsz.setTerminalColumns(cols));
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.multiple = true;
+        this.fileInput.hidden = true;
+        this.fileInput.addEventListener('change', () => {
+            const files = [...this.fileInput.files];
+            this.fileInput.value = '';
+            if (files.length) this.upload(files);
+        });
+        document.body.appendChild(this.fileInput);
+    }
+
+    get isTransferring() {
+        return !!this.zsession || (!!this.trzsz && this.trzsz.isTransferringFiles());
+    }
+
+    /**
+     * Handle output from the PTY, passing on to the terminal whatever isn't part of a transfer
+     * @param {string|Uint8Array} data - Output, bytes when binary is set
+     * @param {boolean} [binary] - Output sent in raw mode
+     */
+    output(data, binary = false) {
+        const text = binary ? latin1.decode(data) : data;
+
+        if (this.trzsz && (this.trzsz.isTransferringFiles() || text.includes(TRZSZ_MAGIC))) {
+            this.trzsz.processServerOutput(data);
+        } else if (this.sentry && (this.zsession || this.detection || text.includes(ZDLE))) {
+            try {
+                this.sentry.consume(binary ? data : this.encoder.encode(data));
+            } catch (error) {
+                console.error('ZMODEM transfer failed:', error);
+                if (this.zsession) this.zsession.abort();
+            }
+        } else {
+            this.terminal.write(data);
+        }
+        this.checkRaw();
+    }
+
+    /**
+     * Handle keystrokes while a transfer runs, where Ctrl+C cancels it
+     * @param {string} data - Keystrokes
+     * @returns {boolean} Whether the keystrokes went to a transfer rather than the shell
+     */
+    input(data) {
+        if (this.trzsz && this.trzsz.isTransferringFiles()) {
+            this.trzsz.processTerminalInput(data);
+            return true;
+        }
+        if (this.zsession || this.detection) {
+            if (data === '\x03') this.cancel();
+            return true;
+        }
+        return false;
+    }
+
+    sendBytes(bytes) {
+        this.send({ type: 'input', data: bytes, binary: true });
+    }
+
+    // Raw mode before anything is sent back, so the remote side's reply already comes as bytes
+    startRaw() {
+        if (this.raw) return;
+        this.raw = true;
+        this.send({ type: 'raw', enabled: true });
+        // A transfer can end without any more output, so keep checking while in raw mode
+        this.rawTimer = setInterval(() => this.checkRaw(), RAW_CHECK_INTERVAL);
+    }
+
+    checkRaw() {
+        if (!this.raw || this.isTransferring) return;
+        this.raw = false;
+        clearInterval(this.rawTimer);
+        this.send({ type: 'raw', enabled: false });
+    }
+
+    // The server leaves raw mode by itself once a transfer ends or stalls, and refuses it when
+    // the shell hasn't started one, so whatever is left of the transfer can't go on
+    rawEnded() {
+        if (!this.raw) return;
+        if (this.isTransferring) {
+            this.reset();
+        } else {
+            this.raw = false;
+            clearInterval(this.rawTimer);
+        }
+    }
+
+    /**
+     * Start a ZMODEM session: sz on the other side sends right away, rz waits for files
+     * @param {object} detection - Zmodem.Detection
+     */
+    detect(detection) {
+        if (detection.get_session_role() === 'receive') {
+            this.receive(this.confirm(detection));
+            return;
+        }
+
+        this.detection = detection;
+        if (this.prompt) return;
+
+        // Browsers only open a file picker on a click
+        const item = this.transferManager.createProgressItem('Upload with ZMODEM');
+        item.bar.parentElement.hidden = true;
+        item.status.textContent = 'The remote side is waiting for files';
+        const choose = document.createElement('button');
+        choose.className = 'share-action';
+        choose.textContent = 'Choose files';
+        choose.addEventListener('click', () => this.fileInput.click());
+        item.status.after(choose);
+        item.cancel.addEventListener('click', () => this.cancel());
+        this.prompt = item;
+    }
+
+    removePrompt() {
+        if (this.prompt) this.prompt.element.remove();
+        this.prompt = null;
+        this.detection = null;
+    }
+
+    confirm(detection) {
+        this.startRaw();
+        const zsession = detection.confirm();
+        this.zsession = zsession;
+        zsession.on('session_end', () => {
+            this.zsession = null;
+            this.items.forEach(item => this.finish(item, 'Cancelled', true));
+            this.checkRaw();
+        });
+        return zsession;
+    }
+
+    cancel() {
+        if (this.detection) {
+            this.detection.deny();
+            this.removePrompt();
+        }
+        if (this.zsession) this.zsession.abort();
+    }
+
+    createItem(name, size) {
+        const item = this.transferManager.createProgressItem(`${name} (${this.transferManager.formatSize(size)})`);
+        item.cancel.addEventListener('click', () => this.cancel());
+        this.items.add(item);
+        return item;
+    }
+
+    finish(item, message, failed = false) {
+        this.items.delete(item);
+        this.transferManager.finish(item, message, failed);
+    }
+
+    /**
+     * Save the files sz sends as browser downloads
+     * @param {object} zsession - Zmodem.Session.Receive
+     */
+    receive(zsession) {
+        zsession.on('offer', (offer) => {
+            const { name, size } = offer.get_details();
+            const item = this.createItem(name, size);
+            item.status.textContent = 'Downloading...';
+
+            let received = 0;
+            offer.on('input', (payload) => {
+                received += payload.length;
+                if (size) item.bar.style.width = `${(received / size) * 100}%`;
+            });
+            offer.accept().then((payloads) => {
+                window.Zmodem.Browser.save_to_disk(payloads, name);
+                this.finish(item, 'Downloaded');
+            });
+        });
+        zsession.start();
+    }
+
+    /**
+     * Send files to rz
+     * @param {File[]} files - Files the user picked
+     */
+    upload(files) {
+        const detection = this.detection;
+        this.removePrompt();
+        if (!detection || !detection.is_valid()) return;
+
+        const zsession = this.confirm(detection);
+        const items = new Map(files.map(file => [file, this.createItem(file.name, file.size)]));
+        window.Zmodem.Browser.send_files(zsession, files, {
+            on_offer_response: (file, xfer) => {
+                if (xfer) {
+                    items.get(file).status.textContent = 'Uploading...';
+                } else {
+                    // rz leaves files that are already there alone
+                    this.finish(items.get(file), 'Skipped by the remote side', true);
+                }
+            },
+            on_progress: (file, xfer) => {
+                if (file.size) items.get(file).bar.style.width = `${(xfer.get_offset() / file.size) * 100}%`;
+            },
+            on_file_complete: (file) => this.finish(items.get(file), 'Uploaded')
+        })
+            .then(() => zsession.close())
+            .catch((error) => {
+                console.error('ZMODEM upload failed:', error);
+                if (this.zsession) this.zsession.abort();
+            });
+    }
+
+    // The server leaves raw mode when the connection drops, which ends any transfer
+    reset() {
+        if (this.trzsz) this.trzsz.stopTransferringFiles();
+        if (this.zsession) this.zsession.abort();
+        this.removePrompt();
+        this.raw = false;
+        clearInterval(this.rawTimer);
+    }
+}
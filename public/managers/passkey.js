@@ -0,0 +1,121 @@
+/**
+ * PasskeyManager - Registers passkeys and logs in with them through the WebAuthn browser API
+ * Converts between the server's JSON options/responses and the ArrayBuffers the browser expects
+ */
+export default class PasskeyManager {
+    /**
+     * @param {Function} joinPath - Joins a path with the app's base path
+     */
+    constructor(joinPath) {
+        this.joinPath = joinPath;
+    }
+
+    /**
+     * Passkeys need browser support and a secure context (HTTPS or localhost)
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!window.PublicKeyCredential && window.isSecureContext;
+    }
+
+    static toBuffer(base64url) {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+        return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    }
+
+    static toBase64url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async post(path, body) {
+        return fetch(this.joinPath(path), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+            credentials: 'same-origin',
+            redirect: 'follow'
+        });
+    }
+
+    /**
+     * Create a passkey for the logged in user
+     * @param {string} name - Label to tell the user's passkeys apart
+     * @returns {Promise<void>} Rejects with an Error if registration failed or was cancelled
+     */
+    async register(name) {
+        const optionsResponse = await this.post('webauthn/register/options', {});
+        const options = await optionsResponse.json();
+        if (!optionsResponse.ok) throw new Error(options.error);
+
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...options,
+                challenge: PasskeyManager.toBuffer(options.challenge),
+                user: { ...options.user, id: PasskeyManager.toBuffer(options.user.id) },
+                excludeCredentials: (options.excludeCredentials || []).map(excluded => ({
+                    ...excluded,
+                    id: PasskeyManager.toBuffer(excluded.id)
+                }))
+            }
+        });
+
+        const response = await this.post('webauthn/register/verify', {
+            name,
+            response: {
+                id: credential.id,
+                rawId: PasskeyManager.toBase64url(credential.rawId),
+                type: credential.type,
+                authenticatorAttachment: credential.authenticatorAttachment,
+                clientExtensionResults: credential.getClientExtensionResults(),
+                response: {
+                    clientDataJSON: PasskeyManager.toBase64url(credential.response.clientDataJSON),
+                    attestationObject: PasskeyManager.toBase64url(credential.response.attestationObject),
+                    transports: credential.response.getTransports?.() || []
+                }
+            }
+        });
+        if (!response.ok) throw new Error((await response.json()).error);
+    }
+
+    /**
+     * Log in with any passkey registered for this site
+     * @returns {Promise<Response>} The server's response, redirected to the app on success
+     */
+    async login() {
+        const optionsResponse = await this.post('webauthn/login/options', {});
+        if (!optionsResponse.ok) return optionsResponse;
+        const options = await optionsResponse.json();
+
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: PasskeyManager.toBuffer(options.challenge),
+                allowCredentials: (options.allowCredentials || []).map(allowed => ({
+                    ...allowed,
+                    id: PasskeyManager.toBuffer(allowed.id)
+                }))
+            }
+        });
+
+        const { userHandle } = credential.response;
+        return this.post('webauthn/login/verify', {
+            response: {
+                id: credential.id,
+                rawId: PasskeyManager.toBase64url(credential.rawId),
+                type: credential.type,
+                authenticatorAttachment: credential.authenticatorAttachment,
+                clientExtensionResults: credential.getClientExtensionResults(),
+                response: {
+                    clientDataJSON: PasskeyManager.toBase64url(credential.response.clientDataJSON),
+                    authenticatorData: PasskeyManager.toBase64url(credential.response.authenticatorData),
+                    signature: PasskeyManager.toBase64url(credential.response.signature),
+                    userHandle: userHandle ? PasskeyManager.toBase64url(userHandle) : undefined
+                }
+            }
+        });
+    }
+}
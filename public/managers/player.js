@@ -0,0 +1,273 @@
+import { getTerminalOptions, openTerminal } from './terminal.js';
+
+// CSI, OSC and other escape sequences, stripped to search the text of a recording
+const ESCAPE_SEQUENCE_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[P^_][^\x1b]*\x1b\\|\x1b[()][\w]|\x1b[@-Z\\-_=>78]/g;
+
+/**
+ * CastPlayer - Plays asciicast v2 recordings in an xterm.js terminal
+ * Supports play/pause, playback speed, seeking, idle time compression and searching the output
+ */
+export default class CastPlayer {
+    /**
+     * @param {HTMLElement} container - Element to open the terminal in
+     * @param {object} options
+     * @param {Function} options.onTimeUpdate - Called with the current position while playing or seeking
+     * @param {Function} options.onStateChange - Called with true/false when playback starts/stops
+     */
+    constructor(container, { onTimeUpdate = () => {}, onStateChange = () => {} } = {}) {
+        this.container = container;
+        this.onTimeUpdate = onTimeUpdate;
+        this.onStateChange = onStateChange;
+
+        this.terminal = null;
+        this.addons = null;
+        this.header = null;
+        this.rawEvents = [];
+        this.events = [];
+        this.index = 0;         // Next event to play
+        this.position = 0;      // Seconds into the (compressed) recording
+        this.duration = 0;
+        this.speed = 1;
+        this.idleTimeLimit = null;
+        this.playing = false;
+        this.timer = null;
+        this.frame = null;
+        this.startedAt = 0;
+        this.startPosition = 0;
+    }
+
+    /**
+     * Load a recording, replacing whatever was loaded before
+     * @param {string} cast - Contents of an asciicast v2 file
+     * @throws {Error} If the file isn't an asciicast v2 recording
+     */
+    load(cast) {
+        const lines = cast.split('\n').filter(line => line.trim());
+        const header = JSON.parse(lines.shift() || 'null');
+        if (!header || header.version !== 2) {
+            throw new Error('Not an asciicast v2 recording');
+        }
+
+        this.pause();
+        this.header = header;
+        this.index = 0;
+        this.rawEvents = [];
+        for (const line of lines) {
+            try {
+                const [time, type, data] = JSON.parse(line);
+                if (typeof time === 'number' && typeof data === 'string') {
+                    this.rawEvents.push({ time, type, data });
+                }
+            } catch {
+                // A recording cut off mid-write can end with a partial line
+            }
+        }
+
+        this.createTerminal();
+        this.setIdleTimeLimit(null);
+    }
+
+    createTerminal() {
+        if (this.terminal) this.terminal.dispose();
+        this.container.innerHTML = '';
+
+        this.terminal = new Terminal({
+            ...getTerminalOptions(),
+            cols: this.header.width,
+            rows: this.header.height,
+            cursorBlink: false,
+            disableStdin: true
+        });
+        this.addons = openTerminal(this.terminal, this.container);
+    }
+
+    /**
+     * Compress pauses longer than the limit, keeping the current place in the recording
+     * @param {number|null} limit - Longest pause to keep in seconds, or null for none
+     */
+    setIdleTimeLimit(limit) {
+        this.idleTimeLimit = limit;
+
+        let previous = 0;
+        let time = 0;
+        this.events = this.rawEvents.map((event) => {
+            const pause = event.time - previous;
+            time += limit ? Math.min(pause, limit) : pause;
+            previous = event.time;
+            return { ...event, time };
+        });
+        this.duration = this.events.length ? this.events[this.events.length - 1].time : 0;
+
+        const current = this.events[Math.min(this.index, this.events.length) - 1];
+        this.seek(current ? current.time : 0);
+    }
+
+    setSpeed(speed) {
+        const wasPlaying = this.playing;
+        this.pause();
+        this.speed = speed;
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * @returns {number} Current position in seconds
+     */
+    currentTime() {
+        if (!this.playing) return this.position;
+        const elapsed = (performance.now() - this.startedAt) / 1000 * this.speed;
+        return Math.min(this.startPosition + elapsed, this.duration);
+    }
+
+    play() {
+        if (this.playing || !this.events.length) return;
+        if (this.index >= this.events.length) this.seek(0);
+
+        this.playing = true;
+        this.startedAt = performance.now();
+        this.startPosition = this.position;
+        this.scheduleNext();
+        this.tick();
+        this.onStateChange(true);
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.position = this.currentTime();
+        this.playing = false;
+        clearTimeout(this.timer);
+        cancelAnimationFrame(this.frame);
+        this.onStateChange(false);
+        this.onTimeUpdate(this.position);
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    scheduleNext() {
+        if (this.index >= this.events.length) {
+            this.pause();
+            this.position = this.duration;
+            this.onTimeUpdate(this.position);
+            return;
+        }
+
+        const delay = (this.events[this.index].time - this.currentTime()) / this.speed * 1000;
+        this.timer = setTimeout(() => {
+            // Write everything that's due in one go - timers can't keep up with fast output
+            const now = this.currentTime();
+            let output = '';
+            while (this.index < this.events.length && this.events[this.index].time <= now) {
+                output = this.apply(this.events[this.index++], output);
+            }
+            if (output) this.terminal.write(output);
+            this.scheduleNext();
+        }, Math.max(0, delay));
+    }
+
+    tick() {
+        this.onTimeUpdate(this.currentTime());
+        if (this.playing) {
+            this.frame = requestAnimationFrame(() => this.tick());
+        }
+    }
+
+    /**
+     * Apply an event, batching output until something else (a resize) has to happen first
+     * @param {{ type: string, data: string }} event
+     * @param {string} output - Output waiting to be written
+     * @returns {string} Output still waiting to be written
+     */
+    apply(event, output) {
+        if (event.type === 'o') return output + event.data;
+
+        if (event.type === 'r') {
+            const [cols, rows] = event.data.split('x').map(Number);
+            if (cols > 0 && rows > 0) {
+                // Writes are parsed asynchronously, so resize once the output before it is on screen
+                this.terminal.write(output, () => this.terminal.resize(cols, rows));
+                return '';
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Jump to a position by replaying the recording up to it from a blank terminal
+     * @param {number} time - Position in seconds
+     */
+    seek(time) {
+        const wasPlaying = this.playing;
+        this.pause();
+
+        this.position = Math.max(0, Math.min(time, this.duration));
+        this.terminal.write('', () => {
+            this.terminal.reset();
+            this.terminal.resize(this.header.width, this.header.height);
+        });
+
+        let output = '';
+        this.index = 0;
+        while (this.index < this.events.length && this.events[this.index].time <= this.position) {
+            output = this.apply(this.events[this.index++], output);
+        }
+        if (output) this.terminal.write(output);
+
+        this.onTimeUpdate(this.position);
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * Find where text appears in the recording's output
+     * @param {string} term - Text to look for, case-insensitive
+     * @returns {number[]} Positions in seconds at which each match has been printed
+     */
+    search(term) {
+        if (!term) return [];
+
+        // Join the output so matches split across events are found too
+        const offsets = [];
+        let text = '';
+        this.events.forEach((event) => {
+            if (event.type !== 'o') return;
+            text += event.data.replace(ESCAPE_SEQUENCE_PATTERN, '').toLowerCase();
+            offsets.push({ end: text.length, time: event.time });
+        });
+
+        const needle = term.toLowerCase();
+        const times = [];
+        let match = text.indexOf(needle);
+        while (match !== -1) {
+            const matchEnd = match + needle.length;
+            const event = offsets.find(offset => offset.end >= matchEnd);
+            if (event && times[times.length - 1] !== event.time) times.push(event.time);
+            match = text.indexOf(needle, matchEnd);
+        }
+        return times;
+    }
+
+    /**
+     * Highlight the latest occurrence of text on screen
+     * @param {string} term - Text to highlight
+     */
+    highlight(term) {
+        // Wait for pending output (e.g. from a seek) to be on screen
+        this.terminal.write('', () => {
+            this.addons.searchAddon.clearDecorations();
+            if (term) {
+                this.terminal.scrollToBottom();
+                this.addons.searchAddon.findPrevious(term);
+            }
+        });
+    }
+
+    dispose() {
+        this.pause();
+        if (this.terminal) this.terminal.dispose();
+        this.terminal = null;
+    }
+}
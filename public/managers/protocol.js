@@ -0,0 +1,110 @@
+/**
+ * Terminal WebSocket protocol, the browser's side of scripts/terminal-protocol.js.
+ * Terminal input and output go as binary messages - a type byte followed by the payload -
+ * and control messages as JSON. If the server doesn't agree to the binary protocol, everything
+ * is sent as JSON like before.
+ */
+
+// Subprotocol names and the version they stand for, newest first
+export const PROTOCOLS = { 'dumbterm.v2': 2 };
+
+const MessageType = {
+    OUTPUT: 0x01,
+    REPLAY: 0x02,
+    RAW_OUTPUT: 0x03,
+    INPUT: 0x11,
+    RAW_INPUT: 0x12
+};
+
+const SEQ_LENGTH = 8;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+    let binary = '';
+    // In slices, as fromCharCode takes its arguments on the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(data) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Open a terminal WebSocket, offering every protocol version we speak
+ * @param {string} url
+ * @returns {WebSocket}
+ */
+export function connect(url) {
+    const ws = new WebSocket(url, Object.keys(PROTOCOLS));
+    ws.binaryType = 'arraybuffer';
+    return ws;
+}
+
+/**
+ * @param {WebSocket} ws
+ * @returns {number} Protocol version the server agreed to
+ */
+export function getVersion(ws) {
+    return PROTOCOLS[ws.protocol] || 1;
+}
+
+/**
+ * Encode a message for the server
+ * @param {object} message - e.g. { type: 'input', data }, or { type: 'input', data: Uint8Array,
+ * binary: true } for in-band transfers
+ * @param {number} version - Protocol version of the connection
+ * @returns {string|Uint8Array}
+ */
+export function encode(message, version = 1) {
+    if (version < 2 || message.type !== 'input') {
+        // Version 1 sends transfer bytes as base64
+        if (message.binary) return JSON.stringify({ ...message, data: toBase64(message.data) });
+        return JSON.stringify(message);
+    }
+
+    const payload = message.binary ? message.data : encoder.encode(message.data);
+    const frame = new Uint8Array(1 + payload.length);
+    frame[0] = message.binary ? MessageType.RAW_INPUT : MessageType.INPUT;
+    frame.set(payload, 1);
+    return frame;
+}
+
+/**
+ * Decode a message from the server
+ * @param {string|ArrayBuffer} data - MessageEvent data
+ * @returns {object} e.g. { type: 'output', data, seq, replay }, with data a Uint8Array when
+ * binary is set
+ */
+export function decode(data) {
+    if (typeof data === 'string') {
+        const message = JSON.parse(data);
+        if (message.type === 'output' && message.binary) message.data = fromBase64(message.data);
+        return message;
+    }
+
+    const bytes = new Uint8Array(data);
+    switch (bytes[0]) {
+        case MessageType.OUTPUT:
+        case MessageType.REPLAY:
+            return {
+                type: 'output',
+                seq: new DataView(data).getFloat64(1),
+                data: decoder.decode(bytes.subarray(1 + SEQ_LENGTH)),
+                replay: bytes[0] === MessageType.REPLAY
+            };
+        case MessageType.RAW_OUTPUT:
+            return { type: 'output', data: bytes.subarray(1), binary: true };
+        default:
+            return {};
+    }
+}
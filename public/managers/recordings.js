@@ -0,0 +1,124 @@
+/**
+ * RecordingsManager - Lists recorded terminal sessions in a panel under the header
+ * Each recording can be played in the recordings page or downloaded as an asciicast v2 (.cast) file
+ */
+export default class RecordingsManager {
+    /**
+     * @param {Function} joinPath - Joins a path with the app's base path
+     */
+    constructor(joinPath) {
+        this.joinPath = joinPath;
+        this.panel = null;
+
+        const recordingsBtn = document.getElementById('recordingsBtn');
+        if (recordingsBtn) {
+            recordingsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggle();
+            });
+        }
+
+        // Close the panel when clicking outside of it or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (this.panel && !this.panel.contains(e.target)) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    toggle() {
+        if (this.panel) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    async open() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'recordings-panel';
+        this.panel.innerHTML = `
+            <div class="recordings-header">
+                <h3>Recordings</h3>
+                <button class="recordings-close" aria-label="Close">×</button>
+            </div>
+            <ul class="recordings-list"><li class="recordings-empty">Loading...</li></ul>
+        `;
+        this.panel.querySelector('.recordings-close').addEventListener('click', () => this.close());
+        document.querySelector('.container').appendChild(this.panel);
+
+        const list = this.panel.querySelector('.recordings-list');
+        try {
+            const response = await fetch(this.joinPath('api/recordings'), { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { recordings } = await response.json();
+            this.render(list, recordings);
+        } catch (error) {
+            console.error('Failed to load recordings:', error);
+            list.innerHTML = '<li class="recordings-empty">Failed to load recordings.</li>';
+        }
+    }
+
+    close() {
+        if (!this.panel) return;
+        this.panel.remove();
+        this.panel = null;
+    }
+
+    /**
+     * @param {HTMLElement} list - List element to fill
+     * @param {Array<{ user: string, name: string, size: number, createdAt: string }>} recordings
+     */
+    render(list, recordings) {
+        list.innerHTML = '';
+        if (!recordings.length) {
+            list.innerHTML = '<li class="recordings-empty">No recordings yet. Use the record button next to the tabs to start one.</li>';
+            return;
+        }
+
+        // Only admins get other users' recordings, so only show names when there's more than one user
+        const showUser = new Set(recordings.map(recording => recording.user)).size > 1;
+
+        recordings.forEach((recording) => {
+            const item = document.createElement('li');
+            item.className = 'recording-item';
+            item.innerHTML = `
+                <div class="recording-info">
+                    <span class="recording-date"></span>
+                    <span class="recording-meta"></span>
+                </div>
+                <div class="recording-actions">
+                    <a class="recording-play" aria-label="Play recording">Play</a>
+                    <a class="recording-download" aria-label="Download recording" download>Download</a>
+                </div>
+            `;
+            item.dataset.user = recording.user;
+            item.dataset.name = recording.name;
+            item.querySelector('.recording-date').textContent = new Date(recording.createdAt).toLocaleString();
+            item.querySelector('.recording-meta').textContent = [showUser ? recording.user : null, this.formatSize(recording.size)]
+                .filter(Boolean)
+                .join(' · ');
+
+            const params = new URLSearchParams({ user: recording.user, name: recording.name });
+            item.querySelector('.recording-play').href = this.joinPath(`recordings?${params}`);
+            item.querySelector('.recording-download').href = this.getUrl(recording.user, recording.name);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {string} user - Owner of the recording
+     * @param {string} name - File name
+     * @returns {string} URL of the recording's .cast file
+     */
+    getUrl(user, name) {
+        return this.joinPath(`api/recordings/${encodeURIComponent(user)}/${encodeURIComponent(name)}`);
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * SharePanel - Creates, shows and revokes the share links of the active terminal
+ * A watch link lets anyone follow the terminal read-only; a collaborate link lets logged in users
+ * type into it too, with the owner deciding who has the keyboard
+ */
+export default class SharePanel {
+    /**
+     * @param {Function} joinPath - Joins a path with the app's base path
+     */
+    constructor(joinPath) {
+        this.joinPath = joinPath;
+        this.panel = null;
+        this.session = null;
+
+        // Close the panel when clicking outside of it or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (this.panel && !this.panel.contains(e.target) && !e.target.closest('.share-button')) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * @param {object} session - Terminal session with share and presence state, requestShare(),
+     * revokeShare() and setKeyboard()
+     */
+    toggle(session) {
+        if (this.panel) {
+            this.close();
+        } else {
+            this.open(session);
+        }
+    }
+
+    open(session) {
+        this.session = session;
+        this.panel = document.createElement('div');
+        this.panel.className = 'recordings-panel share-panel';
+        document.querySelector('.container').appendChild(this.panel);
+        this.render();
+    }
+
+    close() {
+        if (!this.panel) return;
+        this.panel.remove();
+        this.panel = null;
+        this.session = null;
+    }
+
+    /**
+     * Re-render if the panel is showing this session
+     * @param {object} session - Session whose share state changed
+     */
+    update(session) {
+        if (this.panel && this.session === session) this.render();
+    }
+
+    /**
+     * @param {string} mode - 'view' or 'collaborate'
+     * @param {string} token - Link token
+     * @returns {string} The link to hand out. Tokens go in the fragment so they stay out of logs
+     */
+    getLink(mode, token) {
+        return mode === 'view'
+            ? `${new URL(this.joinPath('share'), window.location.href)}#${token}`
+            : `${new URL(this.joinPath('/') || '/', window.location.href)}#join=${token}`;
+    }
+
+    render() {
+        this.panel.innerHTML = `
+            <div class="recordings-header">
+                <h3>Share terminal</h3>
+                <button class="recordings-close" aria-label="Close">×</button>
+            </div>
+            <div class="share-body"></div>
+        `;
+        this.panel.querySelector('.recordings-close').addEventListener('click', () => this.close());
+        const body = this.panel.querySelector('.share-body');
+
+        const { viewers } = this.session.share;
+        body.appendChild(this.renderSection('view', {
+            title: 'Watch',
+            description: 'Anyone with the link can watch this terminal live, read-only, without logging in.',
+            people: viewers.map(viewer => `${viewer.name} · since ${new Date(viewer.since).toLocaleTimeString()}`),
+            emptyText: 'No one is watching.'
+        }));
+
+        const collaborators = this.session.presence.clients.filter(client => !client.owner);
+        const section = this.renderSection('collaborate', {
+            title: 'Collaborate',
+            description: 'Logged in users with the link can type into this terminal with you.',
+            people: collaborators.map(client => client.name),
+            emptyText: 'No one has joined.'
+        });
+        if (this.session.share.links.collaborate) {
+            this.renderKeyboardControls(section, collaborators);
+        }
+        body.appendChild(section);
+    }
+
+    /**
+     * @param {string} mode - 'view' or 'collaborate'
+     * @param {object} options
+     * @param {string} options.title - Section heading
+     * @param {string} options.description - What the link does
+     * @param {string[]} options.people - Who is using the link
+     * @param {string} options.emptyText - Shown when nobody is using it
+     * @returns {HTMLElement}
+     */
+    renderSection(mode, { title, description, people, emptyText }) {
+        const link = this.session.share.links[mode];
+        const section = document.createElement('section');
+        section.className = 'share-section';
+        section.innerHTML = `<h4></h4><p class="share-description"></p>`;
+        section.querySelector('h4').textContent = title;
+        section.querySelector('.share-description').textContent = description;
+
+        if (!link) {
+            const create = document.createElement('button');
+            create.className = 'share-action';
+            create.textContent = 'Create link';
+            create.addEventListener('click', () => this.session.requestShare(mode));
+            section.appendChild(create);
+            return section;
+        }
+
+        const linkRow = document.createElement('div');
+        linkRow.className = 'share-link';
+        linkRow.innerHTML = `
+            <input type="text" readonly aria-label="${title} link">
+            <button class="share-copy">Copy</button>
+        `;
+        const input = linkRow.querySelector('input');
+        input.value = this.getLink(mode, link.token);
+        linkRow.querySelector('.share-copy').addEventListener('click', async (e) => {
+            input.select();
+            try {
+                await navigator.clipboard.writeText(input.value);
+                e.target.textContent = 'Copied';
+            } catch {
+                // Clipboard API needs a secure context, the text is selected for copying by hand
+            }
+        });
+        section.appendChild(linkRow);
+
+        const expiry = document.createElement('p');
+        expiry.className = 'share-description';
+        expiry.textContent = `Expires at ${new Date(link.expiresAt).toLocaleTimeString()}`;
+        section.appendChild(expiry);
+
+        const list = document.createElement('ul');
+        list.className = 'share-viewers';
+        if (!people.length) {
+            list.innerHTML = `<li class="recordings-empty">${emptyText}</li>`;
+        }
+        people.forEach((person) => {
+            const item = document.createElement('li');
+            item.textContent = person;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        const revoke = document.createElement('button');
+        revoke.className = 'share-action share-revoke';
+        revoke.textContent = 'Revoke link';
+        revoke.addEventListener('click', () => this.session.revokeShare(mode));
+        section.appendChild(revoke);
+        return section;
+    }
+
+    /**
+     * Let the owner decide who may type: everyone, only themselves, or one collaborator
+     * @param {HTMLElement} section - Collaborate section to add the controls to
+     * @param {Array<{ id: string, name: string, typing: boolean }>} collaborators
+     */
+    renderKeyboardControls(section, collaborators) {
+        const { keyboard } = this.session.presence;
+        const select = document.createElement('select');
+        select.className = 'share-keyboard';
+        select.setAttribute('aria-label', 'Who can type');
+
+        const options = [
+            { value: '', label: 'Everyone can type' },
+            { value: 'owner', label: 'Only me' },
+            ...collaborators.map(client => ({ value: client.id, label: `Only ${client.name}` }))
+        ];
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === (keyboard || '');
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => this.session.setKeyboard(select.value || null));
+
+        const label = document.createElement('label');
+        label.className = 'share-keyboard-label';
+        label.textContent = 'Keyboard';
+        label.appendChild(select);
+        section.insertBefore(label, section.querySelector('.share-revoke'));
+    }
+}
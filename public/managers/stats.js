@@ -0,0 +1,102 @@
+/**
+ * StatsPanel - Shows what the active terminal's connection costs: how the shell's output was
+ * batched into messages, and how much compression saved on the wire. Refreshes while open.
+ */
+const REFRESH_INTERVAL = 2000;
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default class StatsPanel {
+    constructor() {
+        this.panel = null;
+        this.session = null;
+        this.timer = null;
+
+        // Close the panel when clicking outside of it or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (this.panel && !this.panel.contains(e.target) && !e.target.closest('#statsBtn')) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * @param {object} session - Terminal session with requestStats()
+     */
+    toggle(session) {
+        if (this.panel) {
+            this.close();
+        } else {
+            this.open(session);
+        }
+    }
+
+    open(session) {
+        this.session = session;
+        this.panel = document.createElement('div');
+        this.panel.className = 'recordings-panel stats-panel';
+        this.panel.innerHTML = `
+            <div class="recordings-header">
+                <h3>Connection stats</h3>
+                <button class="recordings-close" aria-label="Close">×</button>
+            </div>
+            <div class="share-body"><p class="share-description">Loading...</p></div>
+        `;
+        this.panel.querySelector('.recordings-close').addEventListener('click', () => this.close());
+        document.querySelector('.container').appendChild(this.panel);
+
+        // Collaborators see the owner's shell through their own connection, which isn't tracked
+        if (session.role !== 'owner') {
+            this.panel.querySelector('.share-body').innerHTML = '<p class="share-description">Stats are only kept for your own terminals.</p>';
+            return;
+        }
+        session.requestStats();
+        this.timer = setInterval(() => session.requestStats(), REFRESH_INTERVAL);
+    }
+
+    close() {
+        if (!this.panel) return;
+        clearInterval(this.timer);
+        this.panel.remove();
+        this.panel = null;
+        this.session = null;
+    }
+
+    /**
+     * Show stats sent by the server, if the panel is showing their session
+     * @param {object} session - Terminal session the stats are for
+     * @param {object} stats - Stats message
+     */
+    update(session, stats) {
+        if (!this.panel || this.session !== session) return;
+
+        const saved = stats.bytes ? Math.max(0, Math.round((1 - stats.sent / stats.bytes) * 100)) : 0;
+        const perBatch = stats.batches ? (stats.chunks / stats.batches).toFixed(1) : '0';
+        const rows = [
+            ['Protocol', stats.protocol >= 2 ? `Binary (version ${stats.protocol})` : 'JSON (version 1)'],
+            ['Compression', stats.compression ? `Level ${stats.compression.level}, messages over ${formatBytes(stats.compression.threshold)}` : 'Off'],
+            ['Output batching', stats.batchDelay ? `${stats.batchDelay} ms` : 'Off'],
+            ['Shell output', `${stats.chunks} writes in ${stats.batches} messages (${perBatch} per message)`],
+            ['Sent', `${formatBytes(stats.bytes)} in ${stats.messages} messages`],
+            ['On the wire', `${formatBytes(stats.sent)} sent${stats.compression ? `, ${saved}% saved` : ''}, ${formatBytes(stats.received)} received`],
+            ['Connected', new Date(stats.since).toLocaleTimeString()],
+            ['Output', stats.paused ? 'Paused until the browser catches up' : 'Flowing']
+        ];
+
+        const list = document.createElement('dl');
+        list.className = 'stats-list';
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            list.append(term, description);
+        });
+        this.panel.querySelector('.share-body').replaceChildren(list);
+    }
+}
@@ -1,4 +1,15 @@
 import StorageManager from './storage.js';
+import SharePanel from './share.js';
+import StatsPanel from './stats.js';
+import TransferManager from './transfer.js';
+import FileBrowser from './files.js';
+import Editor from './editor.js';
+import InBandTransfer from './inband.js';
+import { connect, getVersion, encode, decode } from './protocol.js';
+
+// Characters of output written between acknowledgements to the server, which pauses the shell
+// when a client falls behind. Must stay below the server's low watermark (64K).
+const ACK_INTERVAL = 32 * 1024;
 
 // Helper function to join paths with base path
 function joinPath(path) {
@@ -8,6 +19,120 @@ function joinPath(path) {
     return cleanBase ? `${cleanBase}/${cleanPath}` : cleanPath;
 }
 
+// xterm.js options shared by live terminals and the recording player
+export function getTerminalOptions() {
+    const style = getComputedStyle(document.documentElement);
+    return {
+        cursorBlink: true,
+        fontSize: 15,
+        fontFamily: style.getPropertyValue('--terminal-font').trim(),
+        theme: {
+            background: style.getPropertyValue('--terminal-bg').trim(),
+            foreground: style.getPropertyValue('--terminal-text').trim(),
+            cursor: style.getPropertyValue('--terminal-cursor').trim(),
+            selectionBackground: style.getPropertyValue('--terminal-selection').trim(),
+            // Warp-like color scheme
+            black: '#1C1C1C',
+            red: '#FF6B6B',
+            green: '#4FD6BE',
+            yellow: '#F9C859',
+            blue: '#6B95FF',
+            magenta: '#FF75B5',
+            cyan: '#4FF2F8',
+            white: '#E0E0E0',
+            brightBlack: '#666666',
+            brightRed: '#FF8383',
+            brightGreen: '#89FFDD',
+            brightYellow: '#FFD866',
+            brightBlue: '#89A9FF',
+            brightMagenta: '#FF8DC7',
+            brightCyan: '#89FFFF',
+            brightWhite: '#FFFFFF'
+        },
+        allowTransparency: true,
+        macOptionIsMeta: false,
+        scrollback: 5000,
+        minimumContrastRatio: 50,
+        cursorStyle: 'block',
+        cursorWidth: 1.5,
+        letterSpacing: 0.5,
+        lineHeight: 1.2,
+        // Add and modify these options
+        windowOptions: {
+            setWinSize: true,
+            getWinSize: true
+        },
+        allowProposedApi: true,
+        rightClickSelectsWord: true,
+        convertEol: true,
+        termProgram: 'xterm-256color',
+        // Add these new options for better control sequence handling
+        smoothScrollDuration: 0,
+        fastScrollModifier: 'alt',
+        fastScrollSensitivity: 5,
+        // Better handling of alternative screen buffer
+        altClickMovesCursor: true,
+        screenReaderMode: false
+    };
+}
+
+/**
+ * Open a terminal in a container and load the addons, preferring the WebGL renderer
+ * @returns {object} The loaded addons, by name
+ */
+export function openTerminal(terminal, container) {
+    // Initialize addons
+    const fitAddon = new FitAddon.FitAddon();
+    const webLinksAddon = new WebLinksAddon.WebLinksAddon();
+    const webglAddon = new WebglAddon.WebglAddon();
+    const canvasAddon = new CanvasAddon.CanvasAddon();
+    const imageAddon = new ImageAddon.ImageAddon();
+    const ligaturesAddon = new LigaturesAddon.LigaturesAddon();
+    const searchAddon = new SearchAddon.SearchAddon();
+    const serializeAddon = new SerializeAddon.SerializeAddon();
+    const unicode11Addon = new Unicode11Addon.Unicode11Addon();
+
+    // Open terminal in the container first
+    terminal.open(container);
+
+    // Load Unicode support first
+    terminal.loadAddon(unicode11Addon);
+    terminal.unicode.activeVersion = '11';
+
+    // Register custom handlers for problematic control sequences
+    terminal.parser.registerOscHandler(133, () => true); // Ignore OSC 133 (shell integration)
+    terminal.parser.registerCsiHandler({final: 'h'}, () => true); // Better handling of DECSET
+    terminal.parser.registerCsiHandler({final: 'l'}, () => true); // Better handling of DECRST
+    
+    // Then load other addons
+    terminal.loadAddon(fitAddon);
+    terminal.loadAddon(webLinksAddon);
+    terminal.loadAddon(searchAddon);
+    terminal.loadAddon(serializeAddon);
+
+    // Try to load WebGL first, fallback to Canvas if it fails
+    try {
+        terminal.loadAddon(webglAddon);
+        webglAddon.onContextLoss(e => {
+            console.warn('WebGL context lost, falling back to canvas renderer');
+            terminal.loadAddon(canvasAddon);
+        });
+    } catch (e) {
+        console.warn('WebGL addon could not be loaded, using canvas renderer:', e);
+        terminal.loadAddon(canvasAddon);
+    }
+
+    // Load remaining addons
+    terminal.loadAddon(imageAddon);
+    try {
+        terminal.loadAddon(ligaturesAddon);
+    } catch (e) {
+        console.warn('Ligatures addon could not be loaded:', e);
+    }
+
+    return { fitAddon, webLinksAddon, webglAddon, canvasAddon, imageAddon, ligaturesAddon, searchAddon, serializeAddon, unicode11Addon };
+}
+
 export default class TerminalManager {
     constructor(isMacOS, setupToolTips) {
         this.terminals = new Map();
@@ -16,6 +141,9 @@ export default class TerminalManager {
         this.isMacOS = isMacOS;
         this.setupToolTips = setupToolTips;
         this.terminalAddons = new Map(); // Store addon references for each terminal
+        this.terminalSessions = new Map(); // Store server session info for each terminal
+        this.idleNotice = null; // Warning about terminals the server is about to close for being idle
+        this.idleNoticeTimer = null;
         
         // Initialize storage manager
         this.storageManager = new StorageManager('dumbterm-');
@@ -35,12 +163,83 @@ export default class TerminalManager {
             newTabButton.addEventListener('click', this.handleNewTab);
         }
 
+        const recordButton = document.querySelector('.record-button');
+        if (recordButton) {
+            recordButton.addEventListener('click', () => this.toggleRecording());
+        }
+
+        this.sharePanel = new SharePanel(joinPath);
+        const shareButton = document.querySelector('.share-button');
+        if (shareButton) {
+            shareButton.addEventListener('click', () => this.toggleSharePanel());
+        }
+
+        this.statsPanel = new StatsPanel();
+        const statsButton = document.getElementById('statsBtn');
+        if (statsButton) {
+            statsButton.addEventListener('click', () => this.toggleStatsPanel());
+        }
+
+        this.transferManager = new TransferManager(joinPath, {
+            // Show uploaded files in the file browser
+            onUpload: () => this.fileBrowser && this.fileBrowser.refresh(),
+            // dt-edit in a terminal
+            onEdit: (file) => this.editor && this.editor.open(file)
+        });
+        const transferButtons = {
+            upload: [document.querySelector('.upload-button'), this.transferManager.uploadsEnabled],
+            download: [document.querySelector('.download-button'), this.transferManager.downloadsEnabled]
+        };
+        Object.entries(transferButtons).forEach(([type, [button, enabled]]) => {
+            if (!button) return;
+            if (enabled) {
+                button.addEventListener('click', () => this.toggleTransferPanel(type));
+            } else {
+                button.remove();
+            }
+        });
+
+        // Editor panel next to the terminals, which needs the same file access as downloads
+        this.editor = null;
+        const editorPanel = document.querySelector('.editor');
+        if (editorPanel && this.transferManager.downloadsEnabled) {
+            this.editor = new Editor(editorPanel, {
+                joinPath,
+                onSave: () => this.fileBrowser && this.fileBrowser.refresh()
+            });
+        }
+
+        // File browser sidebar, which needs the same file access as downloads
+        this.fileBrowser = null;
+        const filesButton = document.querySelector('.files-button');
+        const fileBrowserSidebar = document.querySelector('.file-browser');
+        if (filesButton && fileBrowserSidebar) {
+            if (this.transferManager.downloadsEnabled) {
+                this.fileBrowser = new FileBrowser(fileBrowserSidebar, {
+                    joinPath,
+                    transferManager: this.transferManager,
+                    openTerminal: (cwd) => this.createNewTab(cwd),
+                    openEditor: (file) => this.editor.open(file)
+                });
+                filesButton.addEventListener('click', () => this.toggleFileBrowser());
+            } else {
+                filesButton.remove();
+            }
+        }
+
         // Add overflow detection for tabs
         this.initTabOverflowHandling();
         
         // Load any saved sessions or create a default tab
         this.loadSessionState();
 
+        // Opened from a collaboration link - join that terminal in a new tab
+        const joinToken = new URLSearchParams(window.location.hash.slice(1)).get('join');
+        if (joinToken) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            this.joinSession(joinToken);
+        }
+
         // Add search button click handler
         const searchOpenBtn = document.getElementById('search-open');
         if (searchOpenBtn) {
@@ -374,14 +573,26 @@ export default class TerminalManager {
         const container = document.createElement('div');
         container.id = `terminal-${id}`;
         document.querySelector('.terminals-container').appendChild(container);
+        this.transferManager.attach(container, () => {
+            const entry = this.terminals.get(id);
+            return entry && this.terminalSessions.get(entry.terminal);
+        });
         return container;
     }
 
     async handleNewTab() {
+        this.createNewTab();
+    }
+
+    /**
+     * Open a new tab with a new shell
+     * @param {string|null} [cwd] - Folder for the shell to start in, instead of the home directory
+     */
+    createNewTab(cwd = null) {
         const id = this.tabCounter++;
         const tab = this.createTab(id);
         const container = this.createTerminalContainer(id);
-        const terminal = this.initTerminal(container);
+        const terminal = this.initTerminal(container, null, null, cwd);
         
         this.terminals.set(id, { tab, container, terminal });
         this.activateTab(id, true); // Added parameter to skip saving on initial creation
@@ -390,6 +601,22 @@ export default class TerminalManager {
         this.checkTabOverflow();
     }
 
+    /**
+     * Open a tab attached to someone else's terminal as a collaborator
+     * @param {string} joinToken - Token from the owner's collaboration link
+     */
+    joinSession(joinToken) {
+        const id = this.tabCounter++;
+        const tab = this.createTab(id);
+        tab.querySelector('span').textContent = 'Shared';
+        const container = this.createTerminalContainer(id);
+        const terminal = this.initTerminal(container, null, joinToken);
+
+        this.terminals.set(id, { tab, container, terminal });
+        this.activateTab(id);
+        this.checkTabOverflow();
+    }
+
     handleTabClick(id) {
         this.activateTab(id);
     }
@@ -403,11 +630,17 @@ export default class TerminalManager {
         
         const wasActive = this.activeTabId === id;
 
-        // Clean up terminal first
+        // Kill the server-side shell, then clean up terminal
+        const session = this.terminalSessions.get(terminal.terminal);
+        if (session) {
+            session.terminate();
+            this.terminalSessions.delete(terminal.terminal);
+        }
         terminal.terminal.dispose();
         terminal.tab.remove();
         terminal.container.remove();
         this.terminals.delete(id);
+        this.updateIdleWarning();
 
         // If we just closed the active tab and there are other tabs, activate the last remaining tab
         if (wasActive && this.terminals.size > 0) {
@@ -556,6 +789,12 @@ export default class TerminalManager {
                 }
             }
             
+            this.updateRecordingIndicators();
+            this.updateShareIndicators();
+            this.updatePresenceIndicators();
+            this.sharePanel.close();
+            if (this.fileBrowser) this.fileBrowser.show(this.terminalSessions.get(next.terminal));
+
             // Save session state when changing tabs, unless skipSaving is true
             if (!skipSaving) {
                 this.saveSessionState();
@@ -564,124 +803,15 @@ export default class TerminalManager {
     }
 
     // Terminal initialization
-    initTerminal(container, savedContent = null) {
-        const terminal = new Terminal({
-            cursorBlink: true,
-            fontSize: 15,
-            fontFamily: getComputedStyle(document.documentElement).getPropertyValue('--terminal-font').trim(),
-            theme: {
-                background: getComputedStyle(document.documentElement).getPropertyValue('--terminal-bg').trim(),
-                foreground: getComputedStyle(document.documentElement).getPropertyValue('--terminal-text').trim(),
-                cursor: getComputedStyle(document.documentElement).getPropertyValue('--terminal-cursor').trim(),
-                selectionBackground: getComputedStyle(document.documentElement).getPropertyValue('--terminal-selection').trim(),
-                // Warp-like color scheme
-                black: '#1C1C1C',
-                red: '#FF6B6B',
-                green: '#4FD6BE',
-                yellow: '#F9C859',
-                blue: '#6B95FF',
-                magenta: '#FF75B5',
-                cyan: '#4FF2F8',
-                white: '#E0E0E0',
-                brightBlack: '#666666',
-                brightRed: '#FF8383',
-                brightGreen: '#89FFDD',
-                brightYellow: '#FFD866',
-                brightBlue: '#89A9FF',
-                brightMagenta: '#FF8DC7',
-                brightCyan: '#89FFFF',
-                brightWhite: '#FFFFFF'
-            },
-            allowTransparency: true,
-            macOptionIsMeta: false,
-            scrollback: 5000,
-            minimumContrastRatio: 50,
-            cursorStyle: 'block',
-            cursorWidth: 1.5,
-            letterSpacing: 0.5,
-            lineHeight: 1.2,
-            // Add and modify these options
-            windowOptions: {
-                setWinSize: true,
-                getWinSize: true
-            },
-            allowProposedApi: true,
-            rightClickSelectsWord: true,
-            convertEol: true,
-            termProgram: 'xterm-256color',
-            // Add these new options for better control sequence handling
-            smoothScrollDuration: 0,
-            fastScrollModifier: 'alt',
-            fastScrollSensitivity: 5,
-            // Better handling of alternative screen buffer
-            altClickMovesCursor: true,
-            screenReaderMode: false
-        });
+    initTerminal(container, savedSessionId = null, joinToken = null, cwd = null) {
+        const terminal = new Terminal(getTerminalOptions());
 
-        // Initialize addons
-        const fitAddon = new FitAddon.FitAddon();
-        const webLinksAddon = new WebLinksAddon.WebLinksAddon();
-        const webglAddon = new WebglAddon.WebglAddon();
-        const canvasAddon = new CanvasAddon.CanvasAddon();
-        const imageAddon = new ImageAddon.ImageAddon();
-        const ligaturesAddon = new LigaturesAddon.LigaturesAddon();
-        const searchAddon = new SearchAddon.SearchAddon();
-        const serializeAddon = new SerializeAddon.SerializeAddon();
-        const unicode11Addon = new Unicode11Addon.Unicode11Addon();
-        
-        // Store addons for this terminal
-        const addons = { fitAddon, webLinksAddon, webglAddon, canvasAddon, imageAddon, ligaturesAddon, searchAddon, serializeAddon, unicode11Addon };
+        const addons = openTerminal(terminal, container);
+        const { fitAddon } = addons;
         this.terminalAddons.set(terminal, addons);
 
-        // Open terminal in the container first
-        terminal.open(container);
-
-        // Load Unicode support first
-        terminal.loadAddon(unicode11Addon);
-        terminal.unicode.activeVersion = '11';
-
-        // Register custom handlers for problematic control sequences
-        terminal.parser.registerOscHandler(133, () => true); // Ignore OSC 133 (shell integration)
-        terminal.parser.registerCsiHandler({final: 'h'}, () => true); // Better handling of DECSET
-        terminal.parser.registerCsiHandler({final: 'l'}, () => true); // Better handling of DECRST
-        
-        // Then load other addons
-        terminal.loadAddon(fitAddon);
-        terminal.loadAddon(webLinksAddon);
-        terminal.loadAddon(searchAddon);
-        terminal.loadAddon(serializeAddon);
-
-        // Try to load WebGL first, fallback to Canvas if it fails
-        try {
-            terminal.loadAddon(webglAddon);
-            webglAddon.onContextLoss(e => {
-                console.warn('WebGL context lost, falling back to canvas renderer');
-                terminal.loadAddon(canvasAddon);
-            });
-        } catch (e) {
-            console.warn('WebGL addon could not be loaded, using canvas renderer:', e);
-            terminal.loadAddon(canvasAddon);
-        }
-
-        // Load remaining addons
-        terminal.loadAddon(imageAddon);
-        try {
-            terminal.loadAddon(ligaturesAddon);
-        } catch (e) {
-            console.warn('Ligatures addon could not be loaded:', e);
-        }
-
         // Initial fit
         fitAddon.fit();
-        
-        // Restore saved content if available
-        if (savedContent) {
-            try {
-                terminal.write(savedContent);
-            } catch (e) {
-                console.warn('Failed to restore terminal content:', e);
-            }
-        }
 
         // WebSocket connection management
         let ws;
@@ -690,12 +820,97 @@ export default class TerminalManager {
         let reconnectAttempts = 0;
         const self = this; // Store reference to 'this' for use in callbacks
 
+        // Server-side session this terminal is attached to, so reconnects resume the same shell.
+        // lastSeq is the position in the session's output we've written; the server replays the
+        // rest on reconnect, so a fresh terminal (page reload) starts from 0 and gets everything.
+        // Collaborators join someone else's session through joinToken instead of a session ID.
+        // cwd is the folder a new session's shell starts in.
+        const session = {
+            sessionId: savedSessionId,
+            joinToken,
+            cwd,
+            role: joinToken ? 'collaborator' : 'owner',
+            owner: null,
+            clientId: null,
+            helperToken: null, // Proves dt-download and dt-edit requests came from this terminal's shell
+            lastSeq: 0,
+            ackedSeq: null,
+            closed: false,
+            superseded: false,
+            recording: false,
+            idleClosesAt: null, // When the server will close the idle shell, once it has warned us
+            share: { links: { view: null, collaborate: null }, viewers: [] },
+            presence: { clients: [], keyboard: null },
+            applyingRemoteSize: false,
+            setRecording(enabled) {
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'record', enabled }));
+                }
+            },
+            requestShare(mode) {
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'share', mode }));
+                }
+            },
+            revokeShare(mode) {
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'unshare', mode }));
+                }
+            },
+            // null lets everyone type, 'owner' takes the keyboard, a client ID gives it to a collaborator
+            setKeyboard(holder) {
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'keyboard', holder }));
+                }
+            },
+            requestStats() {
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'stats' }));
+                }
+            },
+            keepAlive() {
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'keepalive' }));
+                }
+            },
+            terminate() {
+                session.closed = true;
+                // Closing a joined tab just leaves, the shell is the owner's
+                if (ws && ws.readyState === WebSocket.OPEN && session.role === 'owner') {
+                    ws.send(JSON.stringify({ type: 'terminate' }));
+                }
+                if (ws) ws.close();
+            }
+        };
+        this.terminalSessions.set(terminal, session);
+
+        // rz/sz and trz/tsz in the owner's shell, which the demo's pretend shell doesn't have
+        const inBand = window.appConfig?.isDemoMode ? null : new InBandTransfer(terminal, {
+            transferManager: this.transferManager,
+            send: (message) => {
+                if (ws && ws.readyState === WebSocket.OPEN) ws.send(encode(message, getVersion(ws)));
+            }
+        });
+
         function connectWebSocket() {
+            // Tab was closed, don't bring the connection back
+            if (session.closed) return;
+            session.superseded = false;
+            session.ackedSeq = null;
+
             const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
             const basePath = window.appConfig?.basePath || '';
+            let query = '';
+            if (session.joinToken) {
+                query = `?join=${encodeURIComponent(session.joinToken)}`;
+            } else if (session.sessionId) {
+                query = `?session=${encodeURIComponent(session.sessionId)}&seq=${session.lastSeq}`;
+            } else if (session.cwd) {
+                query = `?cwd=${encodeURIComponent(session.cwd)}`;
+            }
             
             // Create WebSocket connection - cookies will be automatically included
-            ws = new WebSocket(`${protocol}//${window.location.host}${basePath}`);
+            ws = connect(`${protocol}//${window.location.host}${basePath}${query}`);
 
             // Set a generous timeout for the initial connection
             const connectionTimeout = setTimeout(() => {
@@ -725,6 +940,7 @@ export default class TerminalManager {
             };
 
             ws.onclose = (event) => {
+                if (inBand) inBand.reset();
                 handleReconnect(event);
             };
 
@@ -733,34 +949,89 @@ export default class TerminalManager {
                 ws.close();
             };
 
-            let isInAlternateBuffer = false;
-            
             ws.onmessage = (event) => {
                 try {
-                    const message = JSON.parse(event.data);
-                    if (message.type === 'output') {
-                        if (message.data.includes('\x1b[?1049h')) {
-                            // Entering alternate buffer (editor mode)
-                            terminal.altBuffer = true;
-                        } else if (message.data.includes('\x1b[?1049l')) {
-                            // Exiting alternate buffer (editor mode)
-                            terminal.altBuffer = false;
-                            // Force a save after exiting editor mode
-                            setTimeout(() => {
-                                self.saveSessionState();
-                            }, 100);
+                    const message = decode(event.data);
+                    if (message.type === 'session' && message.role === 'collaborator') {
+                        // Joined sessions replay everything on every connect
+                        if (session.owner) terminal.reset();
+                        else self.renameTab(terminal, `${message.owner} (shared)`);
+                        session.owner = message.owner;
+                        session.clientId = message.clientId;
+                        session.recording = !!message.recording;
+                        session.idleClosesAt = message.idleClosesIn ? Date.now() + message.idleClosesIn : null;
+                        self.updateRecordingIndicators();
+                        self.updateIdleWarning();
+                        self.updatePresence(session, message.presence);
+                        self.saveSessionState();
+                    } else if (message.type === 'session') {
+                        if (session.sessionId && !message.resumed) {
+                            terminal.writeln('\r\nPrevious session has ended. Started a new one.');
+                        } else if (message.truncated && session.lastSeq > 0) {
+                            terminal.writeln('\r\n[Some output was lost while disconnected]');
                         }
-                        
-                        // Always write the data
-                        terminal.write(message.data);
-                        
-                        // Only save state if not in alternate buffer
-                        if (!terminal.altBuffer) {
-                            clearTimeout(self.saveTimeout);
-                            self.saveTimeout = setTimeout(() => {
-                                self.saveSessionState();
-                            }, 500);
+                        // A new session numbers its output from 0 again
+                        if (!message.resumed) session.lastSeq = 0;
+                        session.sessionId = message.sessionId;
+                        session.helperToken = message.helperToken || null;
+                        session.clientId = message.clientId;
+                        session.recording = !!message.recording;
+                        session.idleClosesAt = message.idleClosesIn ? Date.now() + message.idleClosesIn : null;
+                        self.updateRecordingIndicators();
+                        self.updateIdleWarning();
+                        self.updateShare(session, message.share);
+                        self.updatePresence(session, message.presence);
+                        self.saveSessionState();
+                        if (self.fileBrowser) self.fileBrowser.update(session);
+                    } else if (message.type === 'recording') {
+                        session.recording = message.enabled;
+                        self.updateRecordingIndicators();
+                    } else if (message.type === 'idle') {
+                        session.idleClosesAt = message.closesIn === null ? null : Date.now() + message.closesIn;
+                        self.updateIdleWarning();
+                    } else if (message.type === 'share') {
+                        self.updateShare(session, message);
+                    } else if (message.type === 'presence') {
+                        self.updatePresence(session, message);
+                    } else if (message.type === 'stats') {
+                        self.statsPanel.update(session, message);
+                    } else if (message.type === 'resize') {
+                        // Shared terminals are sized for everyone, which may not match this window
+                        session.applyingRemoteSize = true;
+                        terminal.resize(message.cols, message.rows);
+                        session.applyingRemoteSize = false;
+                    } else if (message.type === 'exit') {
+                        if (message.reason === 'idle') {
+                            terminal.writeln('\r\nTerminal was closed after a while without input or output.');
+                        }
+                        // Shell is gone, the next connection should start a fresh one of our own
+                        session.sessionId = null;
+                        session.joinToken = null;
+                        session.role = 'owner';
+                        session.lastSeq = 0;
+                        session.recording = false;
+                        session.idleClosesAt = null;
+                        self.updateRecordingIndicators();
+                        self.updateIdleWarning();
+                        self.updateShare(session, null);
+                        self.updatePresence(session, null);
+                        self.saveSessionState();
+                    } else if (message.type === 'raw') {
+                        if (inBand) inBand.rawEnded();
+                    } else if (message.type === 'output' && message.binary) {
+                        // Raw mode, only sent while one of our in-band transfers runs
+                        if (inBand) inBand.output(message.data, true);
+                    } else if (message.type === 'output') {
+                        if (inBand && session.role === 'owner' && !message.replay) {
+                            inBand.output(message.data);
+                        } else {
+                            terminal.write(message.data);
                         }
+                        session.lastSeq = message.seq;
+                        if (session.role === 'owner') self.transferManager.scanOutput(session, message.data, !!message.replay);
+                        // Writes are processed in order, so this runs once the output above is drawn
+                        const seq = message.seq;
+                        terminal.write('', () => acknowledge(seq));
                     }
                 } catch (e) {
                     console.error('Error processing message:', e);
@@ -768,6 +1039,15 @@ export default class TerminalManager {
             };
         }
 
+        // Tell the server how far we've got, the first time on each connection and then every ACK_INTERVAL
+        function acknowledge(seq) {
+            if (session.ackedSeq !== null && seq - session.ackedSeq < ACK_INTERVAL) return;
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'ack', seq }));
+                session.ackedSeq = seq;
+            }
+        }
+
         function handleReconnect(event) {
             // Handle authentication failure (code 1008 is policy violation)
             if (event && event.code === 1008) {
@@ -780,6 +1060,39 @@ export default class TerminalManager {
                 return;
             }
 
+            // This browser was logged out for being left unused (code 4005)
+            if (event && event.code === 4005) {
+                terminal.writeln('\r\nLocked after inactivity. Redirecting to login...');
+                window.location.href = joinPath('login?error=locked');
+                return;
+            }
+
+            // Collaboration link was revoked or expired (code 4003)
+            if (event && event.code === 4003) {
+                session.joinToken = null;
+                session.closed = true;
+                terminal.writeln('\r\nThe collaboration link has expired or been revoked.');
+                self.updatePresence(session, null);
+                self.saveSessionState();
+                return;
+            }
+
+            // Closed from the sessions page (code 4004)
+            if (event && event.code === 4004) {
+                session.superseded = true;
+                terminal.writeln('\r\nDisconnected by an admin. Type to reconnect.');
+                return;
+            }
+
+            // Another window attached to this session (code 4001)
+            if (event && event.code === 4001) {
+                session.superseded = true;
+                terminal.writeln('\r\nSession was opened in another window. Type to take it back.');
+                return;
+            }
+
+            if (session.closed) return;
+
             if (event && event.wasClean) {
                 terminal.writeln('\r\nConnection closed normally.');
                 return;
@@ -818,24 +1131,21 @@ export default class TerminalManager {
 
         // Handle terminal input with connection check
         terminal.onData(data => {
+            if (inBand && inBand.input(data)) return;
             if (ws && ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify({
-                    type: 'input',
-                    data: data
-                }));
+                ws.send(encode({ type: 'input', data }, getVersion(ws)));
             } else {
                 terminal.writeln('\r\nConnection not available. Attempting to reconnect...');
                 if (reconnectAttempts < maxReconnectAttempts) {
                     connectWebSocket();
                 }
             }
-            
-            // Save session state on terminal input
-            this.saveSessionState();
         });
 
         // Handle terminal resize with connection check
         terminal.onResize(size => {
+            // Only report this window's own size, not the size the server told us to use
+            if (session.applyingRemoteSize) return;
             if (ws && ws.readyState === WebSocket.OPEN) {
                 // Ensure size values are integers and within reasonable bounds
                 const cols = Math.max(2, Math.min(500, Math.floor(size.cols)));
@@ -852,6 +1162,8 @@ export default class TerminalManager {
         // Handle page visibility changes
         document.addEventListener('visibilitychange', () => {
             if (document.visibilityState === 'visible') {
+                // Don't steal the session back from another window just by looking at this one
+                if (session.superseded) return;
                 if (!ws || ws.readyState === WebSocket.CLOSED) {
                     reconnectAttempts = 0; // Reset attempts when page becomes visible
                     connectWebSocket();
@@ -908,77 +1220,211 @@ export default class TerminalManager {
         return terminal;
     }
 
-    saveSessionState() {
-        // Skip saving if terminal is in alternate buffer mode
-        if (this.isInAlternateBuffer) {
+    // Start or stop recording the active tab's session
+    toggleRecording() {
+        const active = this.terminals.get(this.activeTabId);
+        const session = active && this.terminalSessions.get(active.terminal);
+        if (!session) return;
+
+        // With RECORD_SESSIONS every session is recorded and can't be stopped
+        if (session.recording && window.appConfig?.recordAllSessions) return;
+        session.setRecording(!session.recording);
+    }
+
+    // Mark recording tabs, and show whether the active one is recording on the record button
+    updateRecordingIndicators() {
+        for (const [id, { tab, terminal }] of this.terminals) {
+            const session = this.terminalSessions.get(terminal);
+            const recording = !!(session && session.recording);
+            tab.classList.toggle('recording', recording);
+
+            if (id === this.activeTabId) {
+                const recordButton = document.querySelector('.record-button');
+                if (recordButton) {
+                    recordButton.classList.toggle('recording', recording);
+                    recordButton.setAttribute('aria-pressed', recording);
+                }
+            }
+        }
+    }
+
+    // Mark the tabs the server is about to close for being idle, and count down to it in a notice
+    // with a button to keep them open
+    updateIdleWarning() {
+        const idle = [];
+        for (const { tab, terminal } of this.terminals.values()) {
+            const session = this.terminalSessions.get(terminal);
+            const closesAt = session && session.idleClosesAt;
+            tab.classList.toggle('idle', !!closesAt);
+            if (closesAt) idle.push({ session, name: tab.querySelector('span').textContent, closesAt });
+        }
+
+        clearTimeout(this.idleNoticeTimer);
+        if (!idle.length) {
+            if (this.idleNotice) this.idleNotice.remove();
+            this.idleNotice = null;
             return;
         }
 
+        if (!this.idleNotice) {
+            this.idleNotice = document.createElement('div');
+            this.idleNotice.className = 'update-notification error';
+            this.idleNotice.innerHTML = '<p></p><button>Keep open</button>';
+            this.idleNotice.querySelector('button').addEventListener('click', () => {
+                for (const session of this.terminalSessions.values()) {
+                    if (session.idleClosesAt) session.keepAlive();
+                }
+            });
+            document.body.appendChild(this.idleNotice);
+        }
+        const seconds = Math.max(0, Math.ceil((Math.min(...idle.map(({ closesAt }) => closesAt)) - Date.now()) / 1000));
+        const names = idle.map(({ name }) => name).join(', ');
+        this.idleNotice.querySelector('p').textContent =
+            `${names} ${idle.length === 1 ? 'has' : 'have'} been idle and will be closed in ${seconds} seconds.`;
+        this.idleNoticeTimer = setTimeout(() => this.updateIdleWarning(), 1000);
+    }
+
+    // Open the share panel for the active tab's session
+    toggleSharePanel() {
+        const active = this.terminals.get(this.activeTabId);
+        const session = active && this.terminalSessions.get(active.terminal);
+        if (session) this.sharePanel.toggle(session);
+    }
+
+    toggleStatsPanel() {
+        const active = this.terminals.get(this.activeTabId);
+        const session = active && this.terminalSessions.get(active.terminal);
+        if (session) this.statsPanel.toggle(session);
+    }
+
+    // Show or hide the file browser, following the active tab
+    toggleFileBrowser() {
+        const active = this.terminals.get(this.activeTabId);
+        const session = active && this.terminalSessions.get(active.terminal);
+        this.fileBrowser.toggle(session);
+        document.querySelector('.files-button').classList.toggle('active', this.fileBrowser.isOpen);
+    }
+
+    /**
+     * Open the upload or download panel for the active tab's session
+     * @param {string} type - 'upload' or 'download'
+     */
+    toggleTransferPanel(type) {
+        const active = this.terminals.get(this.activeTabId);
+        const session = active && this.terminalSessions.get(active.terminal);
+        if (session) this.transferManager.toggle(type, session);
+    }
+
+    /**
+     * Store a session's share links and viewers as sent by the server
+     * @param {object} session - Terminal session
+     * @param {{ links: object, viewers: Array }|null} share - Share state, null when the session ended
+     */
+    updateShare(session, share) {
+        session.share = {
+            links: share ? share.links : { view: null, collaborate: null },
+            viewers: share ? share.viewers : []
+        };
+        this.updateShareIndicators();
+        this.sharePanel.update(session);
+    }
+
+    /**
+     * Store who is attached to a session and whether this window may type
+     * @param {object} session - Terminal session
+     * @param {{ clients: Array, keyboard: string|null }|null} presence - Presence, null when the session ended
+     */
+    updatePresence(session, presence) {
+        session.presence = presence || { clients: [], keyboard: null };
+
+        const me = session.presence.clients.find(client => client.id === session.clientId);
+        for (const { terminal } of this.terminals.values()) {
+            if (this.terminalSessions.get(terminal) === session) {
+                terminal.options.disableStdin = !!me && !me.typing;
+            }
+        }
+
+        this.updateShareIndicators();
+        this.updatePresenceIndicators();
+        this.sharePanel.update(session);
+    }
+
+    // Mark shared tabs, and show whether the active one is shared on the share button
+    updateShareIndicators() {
+        for (const [id, { tab, terminal }] of this.terminals) {
+            const session = this.terminalSessions.get(terminal);
+            const { view, collaborate } = session ? session.share.links : {};
+            const shared = !!(view || collaborate || (session && session.role === 'collaborator'));
+            tab.classList.toggle('shared', shared);
+
+            if (id === this.activeTabId) {
+                const shareButton = document.querySelector('.share-button');
+                if (shareButton) {
+                    const watching = session ? session.share.viewers.length + Math.max(session.presence.clients.length - 1, 0) : 0;
+                    shareButton.classList.toggle('shared', shared);
+                    shareButton.dataset.viewers = watching || '';
+                }
+
+                // Only the owner shares, records and transfers files to and from a session
+                const isCollaborator = !!session && session.role === 'collaborator';
+                document.querySelectorAll('.share-button, .record-button, .upload-button, .download-button').forEach((button) => {
+                    button.disabled = isCollaborator;
+                });
+            }
+        }
+    }
+
+    // Show who else is in the active tab's terminal and who has the keyboard
+    updatePresenceIndicators() {
+        const list = document.querySelector('.presence-list');
+        if (!list) return;
+
+        const active = this.terminals.get(this.activeTabId);
+        const session = active && this.terminalSessions.get(active.terminal);
+        const clients = session ? session.presence.clients : [];
+        list.innerHTML = '';
+        if (clients.length < 2) return;
+
+        clients.forEach((client) => {
+            const chip = document.createElement('span');
+            chip.className = 'presence-chip';
+            chip.classList.toggle('typing', client.typing);
+            chip.classList.toggle('self', client.id === session.clientId);
+            chip.textContent = client.name.slice(0, 2).toUpperCase();
+            chip.title = [
+                client.name,
+                client.owner ? '(owner)' : '',
+                client.id === session.clientId ? '(you)' : '',
+                client.typing ? '- can type' : '- watching'
+            ].filter(Boolean).join(' ');
+            list.appendChild(chip);
+        });
+    }
+
+    /**
+     * @param {Terminal} terminal - Terminal whose tab to rename
+     * @param {string} name - New tab name
+     */
+    renameTab(terminal, name) {
+        for (const { tab, terminal: tabTerminal } of this.terminals.values()) {
+            if (tabTerminal === terminal) tab.querySelector('span').textContent = name;
+        }
+    }
+
+    saveSessionState() {
+        // Terminal content lives on the server and is replayed on reconnect,
+        // so only the tab layout and session IDs need to be kept locally
         const sessionState = {
             activeTabId: this.activeTabId,
             tabCounter: this.tabCounter,
             terminals: Array.from(this.terminals.entries()).map(([id, { tab, terminal }]) => {
-                const addons = this.terminalAddons.get(terminal);
-                let serializedContent = null;
-                
-                if (addons && addons.serializeAddon) {
-                    try {
-                        serializedContent = addons.serializeAddon.serialize();
-                        if (serializedContent) {
-                            const lines = serializedContent.split(/\r?\n/);
-                            let lastContentLineIndex = -1;
-                            let seenNonPrompt = false;
-                            
-                            // Common prompt patterns
-                            const promptPatterns = [
-                                // Standard prompt patterns (user@host:path$, root@host:dir#, etc.)
-                                /^.*@.*[:~][#$>]\s*$/,
-                                // Bash/zsh default prompts
-                                /^[^@]+@[^:]+:[^$#>]+[#$>]\s*$/,
-                                // Simple $ or # or > prompts
-                                /^[$#>]\s*$/,
-                                // PS1 with directory
-                                /^\w+:\s*[\w/~]+[$#>]\s*$/,
-                                // Starship or other ANSI-colored prompts
-                                /^\s*\u001b\[\d+(?:;\d+)*m/,
-                                // ANSI input mode sequences
-                                /\u001b\[\?\d+[hl]/
-                            ];
-                            
-                            for (let i = lines.length - 1; i >= 0; i--) {
-                                const line = lines[i].trimEnd();
-                                
-                                if (line === '') {
-                                    continue;
-                                }
-                                
-                                const isPrompt = promptPatterns.some(pattern => pattern.test(line));
-                                
-                                if (!isPrompt) {
-                                    lastContentLineIndex = i;
-                                    seenNonPrompt = true;
-                                    break;
-                                }
-                            }
-                            
-                            if (seenNonPrompt) {
-                                serializedContent = lines.slice(0, lastContentLineIndex + 1).join('\n');
-                                if (serializedContent.length > 0) {
-                                    serializedContent += '\n';
-                                }
-                            } else {
-                                serializedContent = '';
-                            }
-                        }
-                    } catch (e) {
-                        console.warn('Failed to serialize terminal content:', e);
-                    }
-                }
+                const session = this.terminalSessions.get(terminal);
                 
                 return {
                     id,
                     name: tab.querySelector('span').textContent,
-                    content: serializedContent,
+                    sessionId: session ? session.sessionId : null,
+                    joinToken: session ? session.joinToken : null,
                     order: Array.from(this.terminals.keys()).indexOf(id)
                 };
             })
@@ -993,11 +1439,11 @@ export default class TerminalManager {
             sessionState.terminals.sort((a, b) => (a.order || 0) - (b.order || 0));
             
             // Create all terminals in the sorted order
-            sessionState.terminals.forEach(({ id, name, content }) => {
+            sessionState.terminals.forEach(({ id, name, sessionId, joinToken }) => {
                 const tab = this.createTab(id);
                 tab.querySelector('span').textContent = name;
                 const container = this.createTerminalContainer(id);
-                const terminal = this.initTerminal(container, content || '');
+                const terminal = this.initTerminal(container, sessionId || null, joinToken || null);
                 this.terminals.set(id, { tab, container, terminal });
             });
             
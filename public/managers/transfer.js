@@ -0,0 +1,376 @@
+/**
+ * TransferManager - Moves files between the browser and a terminal's filesystem
+ * Files are uploaded by dropping them onto a terminal or picking them in the upload panel, with a
+ * folder to save them to. They're downloaded from the download panel, or by running
+ * `dt-download <file>` in the terminal, which prints an escape sequence picked out of the output.
+ * `dt-edit <file>` prints the same kind of sequence to open a file in the editor.
+ * Each upload is its own request so it gets its own progress bar and can be cancelled.
+ */
+
+// OSC 7337 with the terminal's helper token and the base64 encoded absolute path, printed by
+// scripts/bin/dt-download and dt-edit
+const HELPER_SEQUENCE = /\x1b\]7337;(download|edit)=([0-9a-f]*);([A-Za-z0-9+/=]*)\x07/g;
+const HELPER_PREFIX = '\x1b]7337;';
+const MAX_PARTIAL_SEQUENCE = 4096;
+
+export default class TransferManager {
+    /**
+     * @param {Function} joinPath - Joins a path with the app's base path
+     * @param {object} [options]
+     * @param {Function} [options.onUpload] - Called with the path of each file uploaded
+     * @param {Function} [options.onEdit] - Called with the path of each file `dt-edit` opens
+     */
+    constructor(joinPath, { onUpload = () => {}, onEdit = null } = {}) {
+        this.joinPath = joinPath;
+        this.onUpload = onUpload;
+        this.onEdit = onEdit;
+        this.maxUploadSize = window.appConfig?.uploadMaxSize || 0;
+        this.downloadsEnabled = !window.appConfig?.isDemoMode;
+        this.panel = null;
+        this.queue = [];
+        this.uploading = false;
+        this.progressList = null;
+
+        // Close the panel when clicking outside of it or pressing Escape
+        document.addEventListener('click', (e) => {
+            if (this.panel && !this.panel.contains(e.target) && !e.target.closest('.upload-button, .download-button')) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    get uploadsEnabled() {
+        return this.maxUploadSize > 0;
+    }
+
+    /**
+     * Accept files dropped onto a terminal
+     * @param {HTMLElement} container - Terminal container, or the file browser
+     * @param {Function} getSession - Returns the container's terminal session
+     * @param {Function} [getDir] - Returns the folder to save to, the terminal's directory by default
+     */
+    attach(container, getSession, getDir = () => '') {
+        if (!this.uploadsEnabled) return;
+        // dragenter/dragleave fire for every child element, so count them to know when we've left
+        let depth = 0;
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        container.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth++;
+            container.classList.add('upload-dragover');
+        });
+        container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        container.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            if (--depth <= 0) {
+                depth = 0;
+                container.classList.remove('upload-dragover');
+            }
+        });
+        container.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth = 0;
+            container.classList.remove('upload-dragover');
+            this.upload(getSession(), e.dataTransfer.files, getDir());
+        });
+    }
+
+    /**
+     * @param {string} type - 'upload' or 'download'
+     * @param {object} session - Terminal session to transfer files to or from
+     */
+    toggle(type, session) {
+        const isOpen = this.panel && this.panel.dataset.type === type;
+        this.close();
+        if (!isOpen) this.open(type, session);
+    }
+
+    open(type, session) {
+        this.panel = document.createElement('div');
+        this.panel.className = `recordings-panel ${type}-panel`;
+        this.panel.dataset.type = type;
+        this.panel.innerHTML = `
+            <div class="recordings-header">
+                <h3>${type === 'upload' ? 'Upload files' : 'Download a file'}</h3>
+                <button class="recordings-close" aria-label="Close">×</button>
+            </div>
+            <div class="share-body"></div>
+        `;
+        this.panel.querySelector('.recordings-close').addEventListener('click', () => this.close());
+        document.querySelector('.container').appendChild(this.panel);
+
+        const body = this.panel.querySelector('.share-body');
+        if (type === 'upload') {
+            this.renderUploadPanel(body, session);
+        } else {
+            this.renderDownloadPanel(body, session);
+        }
+    }
+
+    close() {
+        if (!this.panel) return;
+        this.panel.remove();
+        this.panel = null;
+    }
+
+    renderUploadPanel(body, session) {
+        body.innerHTML = `
+            <p class="share-description">Files are saved to the terminal's current directory, or the folder below. You can also drop files onto the terminal.</p>
+            <label class="transfer-path-label">
+                Save to
+                <input type="text" class="transfer-path" placeholder="Current directory" spellcheck="false">
+            </label>
+            <input type="file" class="upload-input" multiple hidden>
+            <button class="share-action upload-choose">Choose files</button>
+            <p class="share-description">Up to ${this.formatSize(this.maxUploadSize)} per file.</p>
+        `;
+
+        const pathInput = body.querySelector('.transfer-path');
+        const fileInput = body.querySelector('.upload-input');
+        pathInput.value = session.uploadPath || '';
+        pathInput.addEventListener('input', () => session.uploadPath = pathInput.value.trim());
+        body.querySelector('.upload-choose').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            this.upload(session, fileInput.files, session.uploadPath);
+            this.close();
+        });
+    }
+
+    renderDownloadPanel(body, session) {
+        body.innerHTML = `
+            <p class="share-description">Paths are relative to the terminal's current directory. Folders are downloaded as .tar.gz archives.</p>
+            <form class="transfer-path-label">
+                File or folder
+                <input type="text" class="transfer-path" placeholder="e.g. notes.txt or ~/project" spellcheck="false" required>
+                <button type="submit" class="share-action">Download</button>
+            </form>
+            <p class="share-description">Or run <code>dt-download &lt;file&gt;</code> in the terminal.</p>
+        `;
+
+        const pathInput = body.querySelector('.transfer-path');
+        body.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.download(session, pathInput.value.trim());
+            this.close();
+        });
+        pathInput.focus();
+    }
+
+    /**
+     * Queue files for upload, one at a time
+     * @param {object} session - Terminal session to upload into
+     * @param {FileList} files - Files to upload
+     * @param {string} [dir] - Folder to save to, absolute or relative to the terminal's directory
+     */
+    upload(session, files, dir = '') {
+        Array.from(files).forEach((file) => {
+            const item = this.createProgressItem(`${file.name} (${this.formatSize(file.size)})`);
+            if (!this.isOwner(session)) {
+                this.finish(item, 'Only the terminal\'s owner can upload files', true);
+            } else if (file.size > this.maxUploadSize) {
+                this.finish(item, `Larger than ${this.formatSize(this.maxUploadSize)}`, true);
+            } else {
+                this.queue.push({ session, file, dir, item });
+            }
+        });
+        this.next();
+    }
+
+    async next() {
+        if (this.uploading || !this.queue.length) return;
+        this.uploading = true;
+        const { session, file, dir, item } = this.queue.shift();
+        await this.send(session, file, dir, item);
+        this.uploading = false;
+        this.next();
+    }
+
+    // XMLHttpRequest rather than fetch, which can't report upload progress
+    send(session, file, dir, item) {
+        return new Promise((resolve) => {
+            const params = new URLSearchParams({ session: session.sessionId, name: file.name });
+            if (dir) params.set('path', dir);
+
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${this.joinPath('api/upload')}?${params}`);
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) item.bar.style.width = `${(e.loaded / e.total) * 100}%`;
+            };
+            xhr.onload = () => {
+                let response = {};
+                try {
+                    response = JSON.parse(xhr.responseText);
+                } catch {
+                    // Not JSON, e.g. an error page from a proxy
+                }
+                if (xhr.status === 200) {
+                    this.finish(item, `Saved to ${response.path}`);
+                    this.onUpload(response.path);
+                } else {
+                    this.finish(item, response.error || `Upload failed (HTTP ${xhr.status})`, true);
+                }
+                resolve();
+            };
+            xhr.onerror = () => {
+                this.finish(item, 'Connection lost', true);
+                resolve();
+            };
+            xhr.onabort = () => {
+                this.finish(item, 'Cancelled', true);
+                resolve();
+            };
+
+            item.cancel.addEventListener('click', () => xhr.abort());
+            item.status.textContent = 'Uploading...';
+            xhr.send(file);
+        });
+    }
+
+    /**
+     * Download a file, or a folder as an archive, through the browser
+     * @param {object} session - Terminal session the path is relative to
+     * @param {string} path - Absolute path, or relative to the terminal's directory
+     */
+    async download(session, path) {
+        const item = this.createProgressItem(path.split('/').filter(Boolean).pop() || path);
+        if (!this.isOwner(session)) {
+            this.finish(item, 'Only the terminal\'s owner can download files', true);
+            return;
+        }
+
+        // Check first, so errors show here rather than as a failed download in the browser
+        try {
+            const params = new URLSearchParams({ session: session.sessionId, path });
+            const response = await fetch(`${this.joinPath('api/download/info')}?${params}`, { credentials: 'same-origin' });
+            const info = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(info.error || `Download failed (HTTP ${response.status})`);
+
+            // Ask for the resolved path, in case the terminal has changed directory since
+            params.set('path', info.path);
+            const link = document.createElement('a');
+            link.href = `${this.joinPath('api/download')}?${params}`;
+            link.download = '';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            const size = info.size === null ? 'as a .tar.gz archive' : `(${this.formatSize(info.size)})`;
+            this.finish(item, `Downloading ${info.path} ${size}`);
+        } catch (error) {
+            this.finish(item, error.message, true);
+        }
+    }
+
+    /**
+     * Look for dt-download and dt-edit requests in terminal output
+     * @param {object} session - Terminal session the output came from
+     * @param {string} data - Output from the server
+     * @param {boolean} replay - Output replayed after a reconnect, already acted on
+     */
+    scanOutput(session, data, replay) {
+        if (!this.downloadsEnabled || (!session.partialSequence && !data.includes('\x1b]'))) return;
+
+        const text = (session.partialSequence || '') + data;
+        session.partialSequence = '';
+        for (const [, action, token, encoded] of text.matchAll(HELPER_SEQUENCE)) {
+            if (replay) continue;
+            // Anything can print the sequence, only the shell's own dt-download and dt-edit know the token
+            if (!session.helperToken || token !== session.helperToken) {
+                console.warn(`Ignored a ${action} request without this terminal's helper token`);
+                continue;
+            }
+            try {
+                const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+                const file = new TextDecoder().decode(bytes);
+                if (action === 'download') this.download(session, file);
+                else if (this.onEdit) this.onEdit(file);
+            } catch (e) {
+                console.error(`Invalid ${action} request:`, e);
+            }
+        }
+
+        // A sequence split across two messages is completed by the next one
+        const start = text.lastIndexOf(HELPER_PREFIX);
+        if (start !== -1 && !text.includes('\x07', start) && text.length - start < MAX_PARTIAL_SEQUENCE) {
+            session.partialSequence = text.slice(start);
+        }
+    }
+
+    // Transfers go through the owner's terminal, collaborators don't have a session ID for it
+    isOwner(session) {
+        return !!session && session.role === 'owner' && !!session.sessionId;
+    }
+
+    /**
+     * Add a transfer to the progress list in the corner of the terminal
+     * @param {string} label - What is being transferred
+     * @returns {{ element: HTMLElement, bar: HTMLElement, status: HTMLElement, cancel: HTMLElement }}
+     */
+    createProgressItem(label) {
+        if (!this.progressList) {
+            this.progressList = document.createElement('ul');
+            this.progressList.className = 'transfer-progress';
+            this.progressList.setAttribute('aria-live', 'polite');
+            document.querySelector('.terminals-container').appendChild(this.progressList);
+        }
+
+        const element = document.createElement('li');
+        element.className = 'transfer-item';
+        element.innerHTML = `
+            <div class="transfer-item-header">
+                <span class="transfer-name"></span>
+                <button class="transfer-cancel" aria-label="Cancel">×</button>
+            </div>
+            <div class="transfer-bar"><div></div></div>
+            <div class="transfer-status">Waiting...</div>
+        `;
+        element.querySelector('.transfer-name').textContent = label;
+        this.progressList.appendChild(element);
+
+        const item = {
+            element,
+            bar: element.querySelector('.transfer-bar div'),
+            status: element.querySelector('.transfer-status'),
+            cancel: element.querySelector('.transfer-cancel')
+        };
+        // Cancelling a queued file just drops it from the queue
+        item.cancel.addEventListener('click', () => {
+            const queued = this.queue.findIndex(entry => entry.item === item);
+            if (queued !== -1) {
+                this.queue.splice(queued, 1);
+                this.finish(item, 'Cancelled', true);
+            }
+        });
+        return item;
+    }
+
+    /**
+     * Show how a transfer ended, then remove it from the list after a while
+     * @param {object} item - Progress item
+     * @param {string} message - Result to show
+     * @param {boolean} [failed]
+     */
+    finish(item, message, failed = false) {
+        item.element.classList.add(failed ? 'failed' : 'done');
+        item.status.textContent = message;
+        item.cancel.setAttribute('aria-label', 'Dismiss');
+        item.cancel.onclick = () => item.element.remove();
+        setTimeout(() => item.element.remove(), failed ? 10000 : 5000);
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    }
+}
@@ -0,0 +1,210 @@
+import CastPlayer from "./managers/player.js";
+import RecordingsManager from "./managers/recordings.js";
+import InactivityLock from "./managers/inactivityLock.js";
+
+// Longest pause kept when skipping idle time, unless the recording sets its own
+const DEFAULT_IDLE_TIME_LIMIT = 2;
+const SEEK_STEP = 5;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Theme toggle functionality
+    function initThemeToggle() {
+        const themeToggle = document.getElementById('themeToggle');
+
+        themeToggle.addEventListener('click', () => {
+            const currentTheme = document.documentElement.getAttribute('data-theme');
+            const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+
+            document.documentElement.setAttribute('data-theme', newTheme);
+            localStorage.setItem('theme', newTheme);
+        });
+    }
+
+    // Helper function to join paths with base path
+    function joinPath(path) {
+        const basePath = window.appConfig?.basePath || '';
+        // Remove any leading slash from path and trailing slash from basePath
+        const cleanPath = path.replace(/^\/+/, '');
+        const cleanBase = basePath.replace(/\/+$/, '');
+
+        // Join with single slash
+        return cleanBase ? `${cleanBase}/${cleanPath}` : cleanPath;
+    }
+
+    function formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        const secs = String(total % 60).padStart(2, '0');
+        return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    const list = document.querySelector('.recordings-list');
+    const title = document.querySelector('.player-title');
+    const playButton = document.querySelector('.player-play');
+    const seekBar = document.querySelector('.player-seek');
+    const timeDisplay = document.querySelector('.player-time');
+    const speedSelect = document.querySelector('.player-speed');
+    const idleToggle = document.querySelector('.player-idle input');
+    const searchInput = document.querySelector('.player-search input');
+    const searchPrev = document.querySelector('.player-search-prev');
+    const searchNext = document.querySelector('.player-search-next');
+    const searchCount = document.querySelector('.player-search-count');
+
+    const recordingsManager = new RecordingsManager(joinPath);
+    let isSeeking = false;
+    let matches = [];
+    let matchIndex = -1;
+
+    const player = new CastPlayer(document.querySelector('.player-screen'), {
+        onTimeUpdate: (time) => {
+            if (!isSeeking) seekBar.value = time;
+            timeDisplay.textContent = `${formatTime(time)} / ${formatTime(player.duration)}`;
+        },
+        onStateChange: (playing) => {
+            playButton.classList.toggle('playing', playing);
+            playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        }
+    });
+
+    function getIdleTimeLimit() {
+        if (!idleToggle.checked) return null;
+        return player.header?.idle_time_limit || DEFAULT_IDLE_TIME_LIMIT;
+    }
+
+    async function loadRecording(user, name) {
+        list.querySelectorAll('.recording-item').forEach((item) => {
+            item.classList.toggle('active', item.dataset.user === user && item.dataset.name === name);
+        });
+        title.textContent = 'Loading...';
+
+        try {
+            const response = await fetch(recordingsManager.getUrl(user, name), { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            player.load(await response.text());
+            player.setIdleTimeLimit(getIdleTimeLimit());
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            title.textContent = 'Failed to load recording.';
+            return;
+        }
+
+        title.textContent = player.header.title || name;
+        seekBar.max = player.duration;
+        [playButton, seekBar, searchInput, searchPrev, searchNext].forEach(control => control.disabled = false);
+        updateSearch();
+        player.play();
+    }
+
+    async function loadList() {
+        try {
+            const response = await fetch(joinPath('api/recordings'), { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { recordings } = await response.json();
+            recordingsManager.render(list, recordings);
+        } catch (error) {
+            console.error('Failed to load recordings:', error);
+            list.innerHTML = '<li class="recordings-empty">Failed to load recordings.</li>';
+        }
+    }
+
+    // Search the whole recording and jump between the places the text was printed
+    function updateSearch() {
+        matches = player.search(searchInput.value);
+        matchIndex = -1;
+        searchCount.textContent = searchInput.value ? `${matches.length} found` : '';
+        if (!matches.length) player.highlight('');
+    }
+
+    function showMatch(step) {
+        if (!matches.length) return;
+        matchIndex = (matchIndex + step + matches.length) % matches.length;
+        player.pause();
+        player.seek(matches[matchIndex]);
+        player.highlight(searchInput.value);
+        searchCount.textContent = `${matchIndex + 1} of ${matches.length}`;
+    }
+
+    // Play recordings from the list without reloading the page
+    list.addEventListener('click', (e) => {
+        const link = e.target.closest('.recording-play');
+        if (!link) return;
+        e.preventDefault();
+
+        const item = link.closest('.recording-item');
+        history.replaceState(null, '', link.href);
+        loadRecording(item.dataset.user, item.dataset.name);
+    });
+
+    playButton.addEventListener('click', () => player.toggle());
+
+    seekBar.addEventListener('input', () => {
+        isSeeking = true;
+        timeDisplay.textContent = `${formatTime(Number(seekBar.value))} / ${formatTime(player.duration)}`;
+    });
+    seekBar.addEventListener('change', () => {
+        isSeeking = false;
+        player.seek(Number(seekBar.value));
+    });
+
+    speedSelect.addEventListener('change', () => player.setSpeed(Number(speedSelect.value)));
+
+    idleToggle.addEventListener('change', () => {
+        if (!player.header) return;
+        player.setIdleTimeLimit(getIdleTimeLimit());
+        seekBar.max = player.duration;
+        updateSearch();
+    });
+
+    searchInput.addEventListener('input', updateSearch);
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            showMatch(e.shiftKey ? -1 : 1);
+        }
+    });
+    searchPrev.addEventListener('click', () => showMatch(-1));
+    searchNext.addEventListener('click', () => showMatch(1));
+
+    // Space to play/pause and arrows to skip, unless typing in a control
+    document.addEventListener('keydown', (e) => {
+        if (!player.header || e.target.closest('input, select, button')) return;
+        if (e.key === ' ') {
+            e.preventDefault();
+            player.toggle();
+        } else if (e.key === 'ArrowLeft') {
+            player.seek(player.currentTime() - SEEK_STEP);
+        } else if (e.key === 'ArrowRight') {
+            player.seek(player.currentTime() + SEEK_STEP);
+        }
+    });
+
+    document.getElementById('terminalBtn').addEventListener('click', () => {
+        window.location.href = joinPath('/') || '/';
+    });
+
+    /**
+     * Initializes the page
+     */
+    async function initialize() {
+        initThemeToggle();
+
+        const siteTitle = window.appConfig?.siteTitle || 'DumbTerm';
+        document.getElementById('pageTitle').textContent = `${siteTitle} - Recordings`;
+        document.getElementById('siteTitle').textContent = siteTitle;
+
+        if (window.appConfig?.inactivityLock) {
+            new InactivityLock(window.appConfig.inactivityLock, window.appConfig.loggedInAt, joinPath);
+        }
+
+        await loadList();
+
+        // Open the recording linked to, e.g. from the recordings panel
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('user') && params.get('name')) {
+            await loadRecording(params.get('user'), params.get('name'));
+        }
+    }
+
+    initialize().catch(console.error);
+});
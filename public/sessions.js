@@ -0,0 +1,188 @@
+import InactivityLock from "./managers/inactivityLock.js";
+
+// How often the list is refreshed, so last activity and the foreground process stay current
+const REFRESH_INTERVAL = 5000;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Theme toggle functionality
+    function initThemeToggle() {
+        const themeToggle = document.getElementById('themeToggle');
+
+        themeToggle.addEventListener('click', () => {
+            const currentTheme = document.documentElement.getAttribute('data-theme');
+            const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+
+            document.documentElement.setAttribute('data-theme', newTheme);
+            localStorage.setItem('theme', newTheme);
+        });
+    }
+
+    // Helper function to join paths with base path
+    function joinPath(path) {
+        const basePath = window.appConfig?.basePath || '';
+        // Remove any leading slash from path and trailing slash from basePath
+        const cleanPath = path.replace(/^\/+/, '');
+        const cleanBase = basePath.replace(/\/+$/, '');
+
+        // Join with single slash
+        return cleanBase ? `${cleanBase}/${cleanPath}` : cleanPath;
+    }
+
+    function formatAgo(time) {
+        const seconds = Math.max(0, Math.floor((Date.now() - new Date(time)) / 1000));
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds / 60) % 60}m ago`;
+        return new Date(time).toLocaleString();
+    }
+
+    function createCell(row, text) {
+        const cell = document.createElement('td');
+        cell.textContent = text ?? '';
+        row.appendChild(cell);
+        return cell;
+    }
+
+    function createButton(label, onClick, danger = false) {
+        const button = document.createElement('button');
+        button.className = danger ? 'share-action share-revoke' : 'share-action';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    const body = document.querySelector('.sessions-table tbody');
+    const updated = document.querySelector('.sessions-updated');
+
+    function showEmpty(text) {
+        body.innerHTML = '';
+        const row = document.createElement('tr');
+        const cell = createCell(row, text);
+        cell.colSpan = 7;
+        cell.className = 'audit-empty';
+        body.appendChild(row);
+    }
+
+    async function post(path, data = {}) {
+        const response = await fetch(joinPath(path), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || `HTTP ${response.status}`);
+        }
+    }
+
+    async function kill(session) {
+        const process = session.process ? ` (${session.process.command})` : '';
+        if (!confirm(`End ${session.user}'s terminal${process}? Anything running in it will be killed.`)) return;
+        try {
+            await post(`api/sessions/${encodeURIComponent(session.id)}/kill`);
+        } catch (error) {
+            alert(`Failed to end the terminal: ${error.message}`);
+        }
+        load();
+    }
+
+    async function disconnect(session, client) {
+        try {
+            await post(`api/sessions/${encodeURIComponent(session.id)}/disconnect`, { client: client.id });
+        } catch (error) {
+            alert(`Failed to disconnect ${client.name}: ${error.message}`);
+        }
+        load();
+    }
+
+    /**
+     * @param {Array<object>} sessions - Running terminals, as /api/sessions lists them
+     */
+    function render(sessions) {
+        if (!sessions.length) {
+            showEmpty('No terminals are running.');
+            return;
+        }
+
+        body.innerHTML = '';
+        sessions.forEach((session) => {
+            const row = document.createElement('tr');
+            createCell(row, session.user);
+            createCell(row, session.pid);
+
+            const processCell = createCell(row);
+            if (session.process) {
+                const command = document.createElement('code');
+                command.textContent = session.process.command;
+                processCell.appendChild(command);
+            }
+            if (session.recording) {
+                const note = document.createElement('div');
+                note.className = 'audit-meta';
+                note.textContent = 'Recording';
+                processCell.appendChild(note);
+            }
+
+            createCell(row, new Date(session.startedAt).toLocaleString());
+            createCell(row, formatAgo(session.lastActivity));
+
+            // Detached terminals keep running for the grace period, waiting for their owner
+            const clientsCell = createCell(row);
+            if (!session.clients.length) {
+                clientsCell.textContent = 'Nobody, waiting for a reconnect';
+            }
+            session.clients.forEach((client) => {
+                const line = document.createElement('div');
+                line.className = 'sessions-client';
+                const label = document.createElement('span');
+                label.textContent = `${client.name} (${client.role}) `;
+                const meta = document.createElement('span');
+                meta.className = 'audit-meta';
+                meta.textContent = [client.ip, client.since ? formatAgo(client.since) : null].filter(Boolean).join(', ');
+                line.append(label, meta, createButton('Disconnect', () => disconnect(session, client)));
+                clientsCell.appendChild(line);
+            });
+
+            createCell(row).appendChild(createButton('End', () => kill(session), true));
+            body.appendChild(row);
+        });
+    }
+
+    async function load() {
+        try {
+            const response = await fetch(joinPath('api/sessions'), { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { sessions } = await response.json();
+            render(sessions);
+            updated.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            console.error('Failed to load terminals:', error);
+            showEmpty('Failed to load terminals.');
+        }
+    }
+
+    document.getElementById('terminalBtn').addEventListener('click', () => {
+        window.location.href = joinPath('/') || '/';
+    });
+
+    /**
+     * Initializes the page
+     */
+    async function initialize() {
+        initThemeToggle();
+
+        const siteTitle = window.appConfig?.siteTitle || 'DumbTerm';
+        document.getElementById('pageTitle').textContent = `${siteTitle} - Terminals`;
+        document.getElementById('siteTitle').textContent = siteTitle;
+
+        if (window.appConfig?.inactivityLock) {
+            new InactivityLock(window.appConfig.inactivityLock, window.appConfig.loggedInAt, joinPath);
+        }
+
+        await load();
+        setInterval(load, REFRESH_INTERVAL);
+    }
+
+    initialize().catch(console.error);
+});
@@ -0,0 +1,90 @@
+import { getTerminalOptions, openTerminal } from "./managers/terminal.js";
+import * as terminalProtocol from "./managers/protocol.js";
+
+const MAX_RECONNECT_ATTEMPTS = 5;
+const BASE_RECONNECT_DELAY = 1000;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Theme toggle functionality
+    function initThemeToggle() {
+        const themeToggle = document.getElementById('themeToggle');
+
+        themeToggle.addEventListener('click', () => {
+            const currentTheme = document.documentElement.getAttribute('data-theme');
+            const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+
+            document.documentElement.setAttribute('data-theme', newTheme);
+            localStorage.setItem('theme', newTheme);
+        });
+    }
+
+    const status = document.querySelector('.share-status');
+    // The token is kept in the fragment so it never reaches server or proxy logs
+    const token = window.location.hash.slice(1);
+    let terminal = null;
+    let reconnectAttempts = 0;
+
+    function setStatus(text) {
+        status.textContent = text;
+    }
+
+    // Read-only terminal at the owner's size - it follows their resizes instead of fitting the window
+    function createTerminal(cols, rows) {
+        if (terminal) {
+            terminal.reset();
+            terminal.resize(cols, rows);
+            return;
+        }
+        terminal = new Terminal({ ...getTerminalOptions(), cols, rows, disableStdin: true, cursorBlink: false });
+        openTerminal(terminal, document.querySelector('.share-screen'));
+    }
+
+    function connect() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const basePath = window.appConfig?.basePath || '';
+        const ws = terminalProtocol.connect(`${protocol}//${window.location.host}${basePath}?share=${encodeURIComponent(token)}`);
+
+        ws.onmessage = (event) => {
+            try {
+                const message = terminalProtocol.decode(event.data);
+                if (message.type === 'session') {
+                    reconnectAttempts = 0;
+                    createTerminal(message.cols, message.rows);
+                    setStatus(`Watching ${message.owner}'s terminal (read-only) · link expires at ${new Date(message.expiresAt).toLocaleTimeString()}`);
+                } else if (message.type === 'output') {
+                    terminal.write(message.data);
+                } else if (message.type === 'resize') {
+                    terminal.resize(message.cols, message.rows);
+                }
+            } catch (e) {
+                console.error('Error processing message:', e);
+            }
+        };
+
+        ws.onclose = (event) => {
+            if (event.code === 4003) {
+                setStatus('This share link has expired or been revoked.');
+            } else if (event.code === 4004) {
+                setStatus('You were disconnected from this terminal.');
+            } else if (event.code === 1000) {
+                setStatus('The terminal has exited.');
+            } else if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+                setStatus('Connection lost. Reconnecting...');
+                setTimeout(connect, BASE_RECONNECT_DELAY * Math.pow(2, reconnectAttempts++));
+            } else {
+                setStatus('Connection lost. Refresh the page to try again.');
+            }
+        };
+    }
+
+    initThemeToggle();
+    const siteTitle = window.appConfig?.siteTitle || 'DumbTerm';
+    document.getElementById('pageTitle').textContent = `${siteTitle} - Shared terminal`;
+    document.getElementById('siteTitle').textContent = siteTitle;
+
+    if (token) {
+        connect();
+    } else {
+        setStatus('This share link is incomplete. Ask for the full link.');
+    }
+});
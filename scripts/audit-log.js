@@ -0,0 +1,201 @@
+/**
+ * Audit log of who did what: logins, terminal connections, shells starting and stopping, and
+ * the commands typed into them. Entries are JSON lines appended to audit.jsonl in the audit
+ * directory, which is rotated daily or once it reaches maxSize. Rotated files are deleted
+ * after retentionDays. Entries can be read back, and terminal sessions put together from
+ * them, for the audit page.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CURRENT_FILE = 'audit.jsonl';
+const ROTATED_FILE_PATTERN = /^audit-[\w-]+\.jsonl$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Local date an entry belongs to, for rotating at midnight
+function getDay(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+class AuditLog {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory the log files are kept in
+     * @param {number} options.maxSize - Size (bytes) at which the current file is rotated
+     * @param {number} options.retentionDays - How long rotated files are kept, 0 to keep them forever
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({ dir, maxSize = 10 * 1024 * 1024, retentionDays = 90, debugLog = () => {} }) {
+        this.dir = dir;
+        this.file = path.join(dir, CURRENT_FILE);
+        this.maxSize = maxSize;
+        this.retentionDays = retentionDays;
+        this.debugLog = debugLog;
+
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        this.open();
+        this.prune();
+    }
+
+    // Continue the current file, which may have been started before a restart
+    open() {
+        this.fd = fs.openSync(this.file, 'a', 0o600);
+        const stats = fs.fstatSync(this.fd);
+        this.size = stats.size;
+        this.day = getDay(stats.size ? stats.mtimeMs : Date.now());
+    }
+
+    /**
+     * Append an entry. Written synchronously, so entries are in order and already on disk when
+     * whatever they record happens, even if the server crashes right after.
+     * @param {string} event - What happened, e.g. 'login' or 'command'
+     * @param {object} details - Who, where and anything else worth keeping
+     */
+    log(event, details = {}) {
+        const now = Date.now();
+        const line = `${JSON.stringify({ time: new Date(now).toISOString(), event, ...details })}\n`;
+        try {
+            if (this.size && (this.size + Buffer.byteLength(line) > this.maxSize || getDay(now) !== this.day)) {
+                this.rotate();
+            }
+            this.size += fs.writeSync(this.fd, line);
+        } catch (error) {
+            console.error('Failed to write audit log:', error.message);
+        }
+    }
+
+    // Move the current file aside under the time it was rotated, and start a new one
+    rotate() {
+        fs.closeSync(this.fd);
+        const name = `audit-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+        fs.renameSync(this.file, path.join(this.dir, name));
+        this.debugLog('Rotated audit log to', name);
+        this.open();
+        this.prune();
+    }
+
+    // Delete rotated files that are past the retention period
+    prune() {
+        if (!this.retentionDays) return;
+        const cutoff = Date.now() - this.retentionDays * DAY;
+
+        for (const name of fs.readdirSync(this.dir).filter(entry => ROTATED_FILE_PATTERN.test(entry))) {
+            const file = path.join(this.dir, name);
+            try {
+                if (fs.statSync(file).mtimeMs < cutoff) {
+                    fs.unlinkSync(file);
+                    this.debugLog('Deleted expired audit log', name);
+                }
+            } catch (error) {
+                console.error(`Failed to delete expired audit log ${name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Read entries back, newest first
+     * @param {object} options
+     * @param {number} options.since - Oldest time (ms) to go back to
+     * @param {number} options.limit - Most entries to return
+     * @returns {Promise<{ entries: object[], truncated: boolean }>} truncated is true when there
+     * were more entries since then than the limit
+     */
+    async read({ since = 0, limit = 10000 } = {}) {
+        // Rotated file names start with the time they were rotated, so they sort oldest first
+        const rotated = (await fs.promises.readdir(this.dir)).filter(entry => ROTATED_FILE_PATTERN.test(entry)).sort();
+        const entries = [];
+
+        for (const name of [CURRENT_FILE, ...rotated.reverse()]) {
+            let content;
+            try {
+                content = await fs.promises.readFile(path.join(this.dir, name), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue; // Pruned since we listed it
+                throw error;
+            }
+
+            const lines = content.split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    continue; // Cut short by a crash
+                }
+                if (Date.parse(entry.time) < since) return { entries, truncated: false };
+                if (entries.length === limit) return { entries, truncated: true };
+                entries.push(entry);
+            }
+        }
+        return { entries, truncated: false };
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+/**
+ * Put terminal sessions together from their audit log entries
+ * @param {object[]} entries - Entries, newest first as read() returns them
+ * @returns {Array<{ session: string, user: string, pid: number, startedAt: string|null,
+ * endedAt: string|null, duration: number|null, code: number|null, killedBy: string|null,
+ * reason: string|null, connections: object[], commands: object[] }>} Newest first. startedAt is null for sessions that started before the
+ * entries go back, and endedAt for ones still running
+ */
+function getSessionHistory(entries) {
+    const sessions = new Map();
+
+    // Oldest first, so connections and commands end up in the order they happened
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        if (!entry.session) continue;
+
+        if (!sessions.has(entry.session)) {
+            sessions.set(entry.session, {
+                session: entry.session,
+                // Collaborators and viewers connect to someone else's session
+                user: entry.owner || entry.user,
+                pid: entry.pid || null,
+                startedAt: null,
+                endedAt: null,
+                duration: null,
+                code: null,
+                killedBy: null,
+                reason: null,
+                connections: [],
+                commands: []
+            });
+        }
+        const session = sessions.get(entry.session);
+        if (entry.pid) session.pid = entry.pid;
+
+        switch (entry.event) {
+            case 'session_start':
+                session.startedAt = entry.time;
+                break;
+            case 'session_end':
+                session.endedAt = entry.time;
+                session.duration = entry.duration;
+                session.code = entry.code;
+                session.reason = entry.reason || null;
+                break;
+            case 'session_kill':
+                session.killedBy = entry.user;
+                break;
+            case 'connect':
+                session.connections.push({ time: entry.time, user: entry.user || null, role: entry.role, ip: entry.ip });
+                break;
+            case 'command':
+                session.commands.push({ time: entry.time, by: entry.by, command: entry.command, approximate: !!entry.approximate });
+                break;
+        }
+    }
+
+    return [...sessions.values()].reverse();
+}
+
+module.exports = { AuditLog, getSessionHistory };
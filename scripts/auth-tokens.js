@@ -0,0 +1,214 @@
+/**
+ * Signed authentication tokens.
+ * Issues expiring HMAC-signed tokens for the auth cookie instead of storing the PIN itself.
+ * Each token is signed with a key derived from the user's current credential, so changing
+ * a PIN/password invalidates every token issued with the old one.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+class TokenService {
+    /**
+     * @param {object} options
+     * @param {string|Buffer} options.secret - Server secret all signing keys are derived from
+     * @param {number} options.maxAge - Token lifetime in milliseconds
+     * @param {Function} options.getCredential - Returns the current PIN/password (or hash) for a
+     * username, or null if the user no longer exists
+     * @param {string} options.revocationsFile - (optional) File to persist revocations in, so a
+     * logout still holds after a restart
+     * @param {number} options.idleTimeout - (optional) Milliseconds a token may go without activity
+     * (see touch) before it's revoked, 0 for never
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({ secret, maxAge, getCredential, revocationsFile = null, idleTimeout = 0, debugLog = () => {} }) {
+        this.secret = secret;
+        this.maxAge = maxAge;
+        this.idleTimeout = idleTimeout;
+        this.getCredential = getCredential;
+        this.revocationsFile = revocationsFile;
+        this.debugLog = debugLog;
+        // Tokens issued before this time (per user) are revoked
+        this.revokedBefore = new Map();
+        // Single tokens revoked by their ID, kept until they would have expired anyway
+        this.revokedTokens = new Map(); // jti -> exp
+        // Last activity of each token, in memory only: after a restart tokens count from then
+        this.lastActivity = new Map(); // jti -> time
+        this.startedAt = Date.now();
+        this.loadRevocations();
+    }
+
+    loadRevocations() {
+        if (!this.revocationsFile) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.revocationsFile, 'utf8'));
+            // Files written before single tokens could be revoked only hold the users
+            const { users, tokens } = typeof saved.users === 'object' ? saved : { users: saved, tokens: {} };
+            this.revokedBefore = new Map(Object.entries(users));
+            this.revokedTokens = new Map(Object.entries(tokens || {}));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Failed to load token revocations:', error.message);
+        }
+    }
+
+    saveRevocations() {
+        if (!this.revocationsFile) return;
+
+        // Revocations older than the token lifetime can't affect any live token
+        const cutoff = Date.now() - this.maxAge;
+        for (const [username, revokedAt] of this.revokedBefore) {
+            if (revokedAt < cutoff) this.revokedBefore.delete(username);
+        }
+        const now = Date.now();
+        for (const [jti, exp] of this.revokedTokens) {
+            if (exp <= now) this.revokedTokens.delete(jti);
+        }
+
+        try {
+            fs.writeFileSync(this.revocationsFile, JSON.stringify({
+                users: Object.fromEntries(this.revokedBefore),
+                tokens: Object.fromEntries(this.revokedTokens)
+            }), { mode: 0o600 });
+        } catch (error) {
+            console.error('Failed to save token revocations:', error.message);
+        }
+    }
+
+    /**
+     * Derive the signing key for a user from the server secret and their credential
+     * @param {string} credential - Current PIN/password (or hash)
+     * @returns {Buffer}
+     */
+    signingKey(credential) {
+        return crypto.createHmac('sha256', this.secret).update(`token:${credential}`).digest();
+    }
+
+    sign(payload, credential) {
+        return crypto.createHmac('sha256', this.signingKey(credential)).update(payload).digest('base64url');
+    }
+
+    /**
+     * Issue a new token for a user
+     * @param {string} username - User the token authenticates
+     * @returns {string|null} Token, or null if the user has no credential
+     */
+    issue(username) {
+        const credential = this.getCredential(username);
+        if (!credential) return null;
+
+        const now = Date.now();
+        const payload = base64url(JSON.stringify({
+            sub: username,
+            iat: now,
+            exp: now + this.maxAge,
+            jti: crypto.randomBytes(8).toString('hex')
+        }));
+
+        return `${payload}.${this.sign(payload, credential)}`;
+    }
+
+    /**
+     * Validate a token's signature, expiry and revocation
+     * @param {string} token - Token from the auth cookie
+     * @returns {object|null} Token payload, or null if the token isn't valid
+     */
+    verify(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch {
+            return null;
+        }
+
+        // The claims are untrusted until the signature checks out
+        const credential = claims && typeof claims.sub === 'string' ? this.getCredential(claims.sub) : null;
+        if (!credential) return null;
+
+        const expected = Buffer.from(this.sign(payload, credential));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            this.debugLog('Token rejected - invalid signature for user:', claims.sub);
+            return null;
+        }
+
+        if (Date.now() >= claims.exp) {
+            this.debugLog('Token rejected - expired for user:', claims.sub);
+            return null;
+        }
+
+        if (claims.iat < (this.revokedBefore.get(claims.sub) || 0) || this.revokedTokens.has(claims.jti)) {
+            this.debugLog('Token rejected - revoked for user:', claims.sub);
+            return null;
+        }
+
+        if (this.isIdle(claims)) {
+            this.debugLog('Token rejected - idle for user:', claims.sub);
+            this.revokeClaims(claims);
+            return null;
+        }
+
+        return claims;
+    }
+
+    isIdle(claims) {
+        if (!this.idleTimeout) return false;
+        const lastActive = this.lastActivity.get(claims.jti) || Math.max(claims.iat, this.startedAt);
+        return Date.now() - lastActive >= this.idleTimeout;
+    }
+
+    /**
+     * Record that a token's browser is in use, keeping it from being revoked for idleness
+     * @param {string} token - Token from the auth cookie
+     * @returns {boolean} Whether the token is valid
+     */
+    touch(token) {
+        const claims = this.verify(token);
+        if (!claims) return false;
+        if (!this.idleTimeout) return true;
+
+        const now = Date.now();
+        this.lastActivity.set(claims.jti, now);
+        // Anything not touched for the token lifetime belongs to an expired token
+        for (const [jti, lastActive] of this.lastActivity) {
+            if (now - lastActive > this.maxAge) this.lastActivity.delete(jti);
+        }
+        return true;
+    }
+
+    /**
+     * Revoke every token issued to a user so far
+     * @param {string} username - User to log out everywhere
+     */
+    revokeUser(username) {
+        this.revokedBefore.set(username, Date.now());
+        this.saveRevocations();
+        this.debugLog('Revoked all tokens for user:', username);
+    }
+
+    /**
+     * Revoke a single token, logging out one browser and leaving the user's others alone
+     * @param {string} token - Token from the auth cookie
+     */
+    revoke(token) {
+        const claims = this.verify(token);
+        if (claims) this.revokeClaims(claims);
+    }
+
+    revokeClaims(claims) {
+        if (!claims.jti) return;
+        this.revokedTokens.set(claims.jti, claims.exp);
+        this.lastActivity.delete(claims.jti);
+        this.saveRevocations();
+        this.debugLog('Revoked token for user:', claims.sub);
+    }
+}
+
+module.exports = { TokenService };
@@ -0,0 +1,238 @@
+/**
+ * Reconstructs the command lines typed into a terminal from its keystrokes, for the audit log.
+ * It follows the line editing keys shells share (arrows, backspace, Ctrl+U and so on), but
+ * can't see what history or tab completion fill in, so lines that used them are marked as
+ * approximate. A line only counts once the terminal has echoed its characters back, so input
+ * that isn't echoed, like passwords, is left out, and so is anything typed into full screen
+ * programs (vim, less).
+ */
+
+// CSI and SS3 sequences, and Alt+key
+const ESCAPE_SEQUENCE = /^\x1b(?:\[[\d;?]*[ -/]*[@-~]|O.|.)?/;
+// Switching to and from the alternate screen, which full screen programs draw on
+const ALTERNATE_SCREEN = /\x1b\[\?(?:1049|1047|47)([hl])/g;
+
+const CURSOR_KEYS = {
+    '\x1b[D': 'left', '\x1bOD': 'left', '\x02': 'left',
+    '\x1b[C': 'right', '\x1bOC': 'right', '\x06': 'right',
+    '\x1b[H': 'home', '\x1bOH': 'home', '\x1b[1~': 'home', '\x01': 'home',
+    '\x1b[F': 'end', '\x1bOF': 'end', '\x1b[4~': 'end', '\x05': 'end'
+};
+// Keys that bring back history or complete the line, so the shell sees more than was typed
+const RECALL_KEYS = new Set(['\x1b[A', '\x1bOA', '\x1b[B', '\x1bOB', '\t', '\x10', '\x0e', '\x12', '\x13']);
+// Bracketed paste markers, around text that is otherwise typed as is
+const PASTE_MARKERS = new Set(['\x1b[200~', '\x1b[201~']);
+// Escape sequences (CSI, OSC, charset and two character ones) and control characters in output,
+// which leave the echoed text
+const OUTPUT_CONTROLS = /\x1b(?:\[[\d;?<=>]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[()*+].|.)?|[\x00-\x1f\x7f]/g;
+// Echo that doesn't start the output only counts from this many characters, so a few letters of
+// a password turning up in the next prompt don't pass for its echo
+const MIN_ECHO_MATCH = 4;
+// Finished lines kept waiting for their echo, and for how long (ms), which allows for typing
+// ahead on a slow connection
+const MAX_PENDING = 16;
+const PENDING_TIMEOUT = 10 * 1000;
+
+class CommandTracker {
+    constructor() {
+        this.alternateScreen = false;
+        this.pending = []; // Finished lines whose echo hasn't all come back yet
+        this.reset();
+    }
+
+    reset() {
+        this.chars = []; // Code points, so the cursor moves over characters like the shell's does
+        this.cursor = 0;
+        this.approximate = false;
+        this.unechoed = []; // Characters typed on this line that the terminal hasn't shown yet
+    }
+
+    /**
+     * Follow keystrokes sent to the terminal
+     * @param {string} data - Input from a client
+     * @param {string} [by] - Who typed it, passed on with the lines it finishes
+     * @returns {Array<{ command: string, approximate: boolean, by: string }>} Lines finished by
+     *   this input whose characters have all been echoed already
+     */
+    input(data, by) {
+        const commands = [];
+        if (this.alternateScreen) return commands;
+
+        let i = 0;
+        while (i < data.length) {
+            const char = data[i];
+            let key = char;
+            if (char === '\x1b') {
+                key = data.slice(i).match(ESCAPE_SEQUENCE)[0];
+            } else if (data.codePointAt(i) > 0xffff) {
+                key = String.fromCodePoint(data.codePointAt(i));
+            }
+            i += key.length;
+
+            if (key === '\r' || key === '\n') {
+                this.finish(commands, by);
+            } else if (CURSOR_KEYS[key]) {
+                this.move(CURSOR_KEYS[key]);
+            } else if (RECALL_KEYS.has(key)) {
+                this.approximate = true;
+            } else if (key === '\x7f' || key === '\b') {
+                this.delete(this.cursor - 1, this.cursor);
+            } else if (key === '\x1b[3~' || key === '\x04') {
+                this.delete(this.cursor, this.cursor + 1);
+            } else if (key === '\x15') {
+                this.delete(0, this.cursor);
+            } else if (key === '\x0b') {
+                this.delete(this.cursor, this.chars.length);
+            } else if (key === '\x17') {
+                this.deleteWord();
+            } else if (key === '\x03') {
+                this.reset();
+            } else if (key >= ' ' && key !== '\x7f') {
+                this.chars.splice(this.cursor, 0, key);
+                this.cursor++;
+                this.unechoed.push(key);
+            } else if (key.length > 1 && !PASTE_MARKERS.has(key)) {
+                // Other keys (Alt+key, function keys) may edit the line in ways we can't follow
+                this.approximate = true;
+            }
+        }
+        return commands;
+    }
+
+    /**
+     * Follow the terminal's output, to tell echoed input and full screen programs apart
+     * @param {string} data - PTY output
+     * @returns {Array<{ command: string, approximate: boolean, by: string }>} Finished lines
+     *   this output completed the echo of
+     */
+    output(data) {
+        const commands = [];
+        const text = data.replace(OUTPUT_CONTROLS, '');
+        this.expire();
+        const oldest = this.pending[0];
+        const waiting = oldest && oldest.unechoed.length;
+        let position = 0;
+        [...this.pending, this].forEach(line => {
+            position = this.matchEcho(line.unechoed, text, position);
+        });
+        // The echo of a line comes before any other output about it, so output that shows none of
+        // the oldest line means it isn't being echoed, like a password
+        if (text && oldest && oldest.unechoed.length === waiting) this.pending.shift();
+        // A later line being echoed in full means the ones before it never will be
+        const last = this.pending.findLastIndex(line => !line.unechoed.length);
+        if (last !== -1) {
+            this.pending.slice(0, last + 1).forEach(line => {
+                if (!line.unechoed.length) commands.push(this.entry(line));
+            });
+            this.pending = this.pending.slice(last + 1);
+        }
+
+        let match;
+        let alternateScreen = this.alternateScreen;
+        ALTERNATE_SCREEN.lastIndex = 0;
+        while ((match = ALTERNATE_SCREEN.exec(data))) {
+            alternateScreen = match[1] === 'h';
+        }
+        if (alternateScreen !== this.alternateScreen) {
+            this.alternateScreen = alternateScreen;
+            this.pending = [];
+            this.reset();
+        }
+        return commands;
+    }
+
+    /**
+     * Take the characters still waiting to be echoed off the front of unechoed, as far as the
+     * output shows them
+     * @param {string[]} unechoed - A line's characters not echoed yet, changed in place
+     * @param {string} text - Output with escape sequences and control characters removed
+     * @param {number} from - Where in the text to start, past the echo of earlier lines
+     * @returns {number} Where in the text the echo found ends
+     */
+    matchEcho(unechoed, text, from) {
+        if (!unechoed.length) return from;
+
+        // Echo normally starts the output
+        let start = 0;
+        let end = from;
+        while (start < unechoed.length && text.startsWith(unechoed[start], end)) {
+            end += unechoed[start].length;
+            start++;
+        }
+
+        // Shells that redraw the line (syntax highlighting) put something before it. The text
+        // holds every start of the characters up to the longest one it holds, so search for that
+        let low = 0;
+        let high = unechoed.length;
+        let index = -1;
+        while (low < high) {
+            const length = Math.ceil((low + high) / 2);
+            const found = text.indexOf(unechoed.slice(0, length).join(''), from);
+            if (found === -1) {
+                high = length - 1;
+            } else {
+                low = length;
+                index = found;
+            }
+        }
+        if (low > start && (low === unechoed.length || low >= MIN_ECHO_MATCH)) {
+            start = low;
+            end = index + unechoed.slice(0, low).join('').length;
+        }
+
+        unechoed.splice(0, start);
+        return end;
+    }
+
+    finish(commands, by) {
+        const command = this.chars.join('').trim();
+        // A recalled line can be run without typing anything, which is still worth a record
+        if (command || this.approximate) {
+            const line = { command, approximate: this.approximate, by, unechoed: this.unechoed };
+            if (!line.unechoed.length) {
+                commands.push(this.entry(line));
+            } else {
+                this.expire();
+                if (this.pending.length >= MAX_PENDING) this.pending.shift();
+                this.pending.push({ ...line, finishedAt: Date.now() });
+            }
+        }
+        this.reset();
+    }
+
+    // Forget lines that have waited too long for their echo to still get it
+    expire() {
+        const now = Date.now();
+        this.pending = this.pending.filter(line => now - line.finishedAt < PENDING_TIMEOUT);
+    }
+
+    // What a finished line is logged as
+    entry({ command, approximate, by }) {
+        return { command, approximate, by };
+    }
+
+    move(direction) {
+        if (direction === 'left') this.cursor = Math.max(0, this.cursor - 1);
+        if (direction === 'right') this.cursor = Math.min(this.chars.length, this.cursor + 1);
+        if (direction === 'home') this.cursor = 0;
+        if (direction === 'end') this.cursor = this.chars.length;
+    }
+
+    delete(from, to) {
+        from = Math.max(0, from);
+        to = Math.min(this.chars.length, to);
+        if (from >= to) return;
+        this.chars.splice(from, to - from);
+        if (this.cursor > from) this.cursor = Math.max(from, this.cursor - (to - from));
+    }
+
+    // Ctrl+W: the word before the cursor, and any spaces between it and the cursor
+    deleteWord() {
+        let from = this.cursor;
+        while (from > 0 && this.chars[from - 1] === ' ') from--;
+        while (from > 0 && this.chars[from - 1] !== ' ') from--;
+        this.delete(from, this.cursor);
+    }
+}
+
+module.exports = { CommandTracker };
@@ -62,6 +62,11 @@ class DemoTerminal extends EventEmitter {
         this.emit('exit', 0);
     }
 
+    // Flow control is a no-op, the demo never produces enough output to need it
+    pause() {}
+
+    resume() {}
+
     processCommand(command) {
         this.emit('data', '\r\n'); // New line after command
 
@@ -0,0 +1,515 @@
+/**
+ * File transfer between the browser and a terminal's filesystem.
+ * Uploads land in the terminal's working directory (or one the user picks) and downloads are
+ * resolved against it. Both read and write as the account's shell user, so they get the same
+ * ownership and permission checks as the shell. Folders are downloaded as .tar.gz archives.
+ * The file browser lists, renames, deletes and creates folders the same way, and the editor reads
+ * and saves text files. Everything can be limited to a set of folders per account.
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_MAX_UPLOAD_SIZE = 100 * 1024 * 1024; // 100 MB
+const MAX_EDIT_SIZE = 1024 * 1024; // 1 MB, the browser editor isn't meant for more
+
+// Error with a code the routes can turn into a status
+function transferError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Whether reading and writing has to go through a process running as another user
+function isOtherUser(uid) {
+    return uid !== undefined && uid !== process.getuid?.();
+}
+
+// Spawn a command as the account's user. Like the shell, this goes through setpriv rather than
+// spawn's uid/gid options, which clear the supplementary groups instead of setting the user's
+function spawnAsUser(command, args, uid, gid, options) {
+    if (!isOtherUser(uid)) return spawn(command, args, options);
+    return spawn('setpriv', [`--reuid=${uid}`, `--regid=${gid}`, '--init-groups', '--', command, ...args], options);
+}
+
+// A single file or folder name, no paths
+function isValidName(name) {
+    return typeof name === 'string' && !!name && name !== '.' && name !== '..' && !/[/\\\0]/.test(name);
+}
+
+// Turn fs errors into the codes the routes know
+function fromFsError(error) {
+    const code = { EPERM: 'EACCES', ENOTDIR: 'ENOENT', ENOTEMPTY: 'EEXIST' }[error.code] || error.code;
+    return transferError(code, error.message.replace(/^\w+: /, ''));
+}
+
+class FileTransfer {
+    /**
+     * @param {object} options
+     * @param {number} options.maxUploadSize - Largest file (bytes) accepted, 0 disables uploads
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({ maxUploadSize = DEFAULT_MAX_UPLOAD_SIZE, debugLog = () => {} } = {}) {
+        this.maxUploadSize = maxUploadSize;
+        this.debugLog = debugLog;
+    }
+
+    /**
+     * Find the directory a terminal's shell is currently in
+     * @param {number} pid - PID of the shell
+     * @returns {Promise<string|null>} Null where /proc isn't available (macOS, Windows)
+     */
+    async getWorkingDirectory(pid) {
+        try {
+            return await fs.promises.readlink(`/proc/${pid}/cwd`);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Resolve a path the way the terminal's shell would
+     * @param {string} cwd - Terminal's working directory
+     * @param {string} home - Account's home directory, for paths starting with ~
+     * @param {string} [requested] - Absolute path, or relative to cwd. Defaults to cwd
+     * @returns {string}
+     */
+    resolvePath(cwd, home, requested) {
+        if (!requested) return cwd;
+        if (requested === '~' || requested.startsWith('~/')) {
+            return path.join(home, requested.slice(1));
+        }
+        return path.resolve(cwd, requested);
+    }
+
+    /**
+     * Check a path is inside one of the folders an account is limited to. Symlinks are followed,
+     * so a link can't be used to get out.
+     * @param {string} file - Absolute path, which doesn't have to exist yet
+     * @param {string[]|null} roots - Allowed folders, null for no limit
+     * @returns {boolean}
+     */
+    isAllowed(file, roots) {
+        if (!roots) return true;
+
+        // Resolve the part of the path that exists, the rest can't be a link. A broken link counts
+        // as existing, so realpath fails on it rather than it passing for a name inside the root.
+        const exists = (entry) => {
+            try {
+                fs.lstatSync(entry);
+                return true;
+            } catch {
+                return false;
+            }
+        };
+        let existing = file;
+        let rest = '';
+        while (!exists(existing) && path.dirname(existing) !== existing) {
+            rest = path.join(path.basename(existing), rest);
+            existing = path.dirname(existing);
+        }
+        let real;
+        try {
+            real = path.join(fs.realpathSync(existing), rest);
+        } catch {
+            return false;
+        }
+
+        return roots.some((root) => {
+            let realRoot;
+            try {
+                realRoot = fs.realpathSync(root);
+            } catch {
+                return false;
+            }
+            const relative = path.relative(realRoot, real);
+            return !relative || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+        });
+    }
+
+    /**
+     * List a folder, folders first
+     * @param {string} dir - Absolute path
+     * @param {object} options
+     * @param {number} [options.uid] - Shell user to list as
+     * @param {number} [options.gid] - Shell group to list as
+     * @returns {Promise<Array<{ name: string, type: string, size: number, modified: string, link: boolean }>>}
+     */
+    async list(dir, { uid, gid } = {}) {
+        const info = await this.stat(dir, { uid, gid });
+        if (info.type !== 'directory') {
+            throw transferError('ENOENT', `Not a folder: ${dir}`);
+        }
+
+        const names = await fs.promises.readdir(dir).catch((error) => {
+            throw fromFsError(error);
+        });
+        const entries = await Promise.all(names.map(async (name) => {
+            const file = path.join(dir, name);
+            const link = await fs.promises.lstat(file).catch(() => null);
+            if (!link) return null; // Deleted while listing
+            // Show what a link points to, or the link itself if it's broken
+            const stats = link.isSymbolicLink() ? await fs.promises.stat(file).catch(() => link) : link;
+            return {
+                name,
+                type: stats.isDirectory() ? 'directory' : stats.isFile() ? 'file' : 'other',
+                size: stats.size,
+                modified: stats.mtime.toISOString(),
+                link: link.isSymbolicLink()
+            };
+        }));
+
+        return entries
+            .filter(Boolean)
+            .sort((a, b) => (b.type === 'directory') - (a.type === 'directory') || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Create a folder
+     * @param {string} dir - Folder to create it in
+     * @param {string} name - New folder's name
+     * @param {object} [user] - { uid, gid } to create it as
+     * @returns {Promise<string>} Path of the new folder
+     */
+    async mkdir(dir, name, { uid, gid } = {}) {
+        if (!isValidName(name)) throw transferError('EINVAL', 'Invalid folder name');
+        const target = path.join(dir, name);
+        if (fs.existsSync(target)) throw transferError('EEXIST', `${name} already exists`);
+
+        if (isOtherUser(uid)) {
+            await this.runAsUser(['mkdir', '--', target], uid, gid);
+        } else {
+            await fs.promises.mkdir(target).catch((error) => {
+                throw fromFsError(error);
+            });
+        }
+        return target;
+    }
+
+    /**
+     * Rename a file or folder, keeping it in the same folder
+     * @param {string} file - Absolute path
+     * @param {string} name - New name
+     * @param {object} [user] - { uid, gid } to rename it as
+     * @returns {Promise<string>} New path
+     */
+    async rename(file, name, { uid, gid } = {}) {
+        if (!isValidName(name)) throw transferError('EINVAL', 'Invalid name');
+        const target = path.join(path.dirname(file), name);
+        // Renaming onto an existing name would replace it without asking
+        if (fs.existsSync(target)) throw transferError('EEXIST', `${name} already exists`);
+
+        if (isOtherUser(uid)) {
+            await this.runAsUser(['mv', '--', file, target], uid, gid);
+        } else {
+            await fs.promises.rename(file, target).catch((error) => {
+                throw fromFsError(error);
+            });
+        }
+        return target;
+    }
+
+    /**
+     * Delete a file, or a folder and everything in it
+     * @param {string} file - Absolute path
+     * @param {object} [user] - { uid, gid } to delete it as
+     */
+    async remove(file, { uid, gid } = {}) {
+        if (!fs.existsSync(file)) throw transferError('ENOENT', `No such file or directory: ${file}`);
+        if (isOtherUser(uid)) {
+            await this.runAsUser(['rm', '-rf', '--', file], uid, gid);
+            // rm -f doesn't fail on what it couldn't delete
+            if (fs.existsSync(file)) throw transferError('EACCES', `Permission denied: ${file}`);
+        } else {
+            await fs.promises.rm(file, { recursive: true }).catch((error) => {
+                throw fromFsError(error);
+            });
+        }
+    }
+
+    // Run a command as the account's user, failing with what it printed to stderr
+    runAsUser([command, ...args], uid, gid) {
+        return new Promise((resolve, reject) => {
+            const child = spawnAsUser(command, args, uid, gid, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let stderr = '';
+            child.stderr.on('data', (data) => stderr += data);
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (code === 0) return resolve();
+                const message = stderr.trim().replace(new RegExp(`^${command}: `), '') || `${command} failed`;
+                const errorCode = /denied|not permitted/i.test(message) ? 'EACCES'
+                    : /exists/i.test(message) ? 'EEXIST'
+                    : /no such/i.test(message) ? 'ENOENT'
+                    : 'EIO';
+                reject(transferError(errorCode, message));
+            });
+        });
+    }
+
+    /**
+     * Create the empty file an upload is saved to, adding " (1)", " (2)"... to the name rather
+     * than overwriting. The file is created exclusively, so when another upload takes a name
+     * between checking and creating it, this one moves on to the next name.
+     * @param {string} dir - Target directory
+     * @param {string} name - File name as sent by the browser
+     * @param {object} [user] - { uid, gid } to create it as
+     * @returns {Promise<{ file: string, handle: fs.promises.FileHandle|null }>} Full path of the
+     * created file, and a handle to write to it unless it belongs to another user
+     */
+    async createUploadFile(dir, name, { uid, gid } = {}) {
+        const stats = await fs.promises.stat(dir).catch(() => null);
+        if (!stats || !stats.isDirectory()) {
+            throw transferError('ENOENT', `No such directory: ${dir}`);
+        }
+
+        const ext = path.extname(name);
+        const base = path.basename(name, ext);
+        for (let i = 0; ; i++) {
+            const file = path.join(dir, i ? `${base} (${i})${ext}` : name);
+            if (fs.existsSync(file)) continue;
+            try {
+                const handle = isOtherUser(uid)
+                    ? await this.runAsUser(['/bin/sh', '-c', 'set -C; : > "$1"', 'sh', file], uid, gid).then(() => null)
+                    : await fs.promises.open(file, 'wx', 0o644).catch((error) => {
+                        throw fromFsError(error);
+                    });
+                return { file, handle };
+            } catch (error) {
+                // Another upload took the name since we checked, try the next one
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+    }
+
+    /**
+     * Save an uploaded file
+     * @param {stream.Readable} source - Request body
+     * @param {object} options
+     * @param {string} options.dir - Directory to save into
+     * @param {string} options.name - File name, without any directories
+     * @param {number} [options.size] - Expected size from Content-Length
+     * @param {number} [options.uid] - Shell user to write as
+     * @param {number} [options.gid] - Shell group to write as
+     * @returns {Promise<{ path: string, size: number }>}
+     */
+    async upload(source, { dir, name, size, uid, gid }) {
+        if (!this.maxUploadSize) {
+            throw transferError('EDISABLED', 'Uploads are disabled');
+        }
+        if (!isValidName(name)) {
+            throw transferError('EINVAL', 'Invalid file name');
+        }
+        if (size > this.maxUploadSize) {
+            throw transferError('ETOOBIG', 'File is too large');
+        }
+
+        const { file, handle } = await this.createUploadFile(dir, name, { uid, gid });
+        let written = 0;
+        const limit = new Transform({
+            transform: (chunk, encoding, callback) => {
+                written += chunk.length;
+                if (written > this.maxUploadSize) {
+                    callback(transferError('ETOOBIG', 'File is too large'));
+                } else {
+                    callback(null, chunk);
+                }
+            }
+        });
+
+        this.debugLog('Uploading', file, uid !== undefined ? `as uid ${uid}` : '');
+        try {
+            if (handle) {
+                await pipeline(source, limit, handle.createWriteStream());
+            } else {
+                await this.writeAsUser([source, limit], file, uid, gid, { overwrite: true });
+            }
+        } catch (error) {
+            // Don't leave half a file behind. It's ours, createUploadFile made it for this upload.
+            if (handle) await handle.close().catch(() => {});
+            await fs.promises.unlink(file).catch(() => {});
+            throw error;
+        }
+
+        return { path: file, size: written };
+    }
+
+    /**
+     * Look up a file or folder to download, checking the shell user can read it
+     * @param {string} file - Absolute path
+     * @param {object} options
+     * @param {number} [options.uid] - Shell user to read as
+     * @param {number} [options.gid] - Shell group to read as
+     * @returns {Promise<{ path: string, name: string, type: string, size: number }>} Size is
+     * unknown (null) for folders, which are archived on the fly
+     */
+    async stat(file, { uid, gid } = {}) {
+        const stats = await fs.promises.stat(file).catch(() => null);
+        if (!stats) {
+            throw transferError('ENOENT', `No such file or directory: ${file}`);
+        }
+        if (!stats.isFile() && !stats.isDirectory()) {
+            throw transferError('EINVAL', `Not a file or folder: ${file}`);
+        }
+
+        const type = stats.isDirectory() ? 'directory' : 'file';
+        if (!await this.canRead(file, type, uid, gid)) {
+            throw transferError('EACCES', `Permission denied: ${file}`);
+        }
+        return {
+            path: file,
+            name: path.basename(file) || 'root',
+            type,
+            size: type === 'file' ? stats.size : null
+        };
+    }
+
+    /**
+     * Read a text file for the editor
+     * @param {string} file - Absolute path
+     * @param {object} [user] - { uid, gid } to read it as
+     * @returns {Promise<{ path: string, name: string, content: string, modified: string }>}
+     */
+    async readText(file, user = {}) {
+        const info = await this.stat(file, user);
+        if (info.type !== 'file') throw transferError('EINVAL', `Not a file: ${file}`);
+        if (info.size > MAX_EDIT_SIZE) throw transferError('ETOOBIG', 'File is too large to edit');
+
+        const chunks = [];
+        for await (const chunk of this.download(info, user)) chunks.push(chunk);
+        const data = Buffer.concat(chunks);
+
+        // Saving a binary or non UTF-8 file back from the browser would mangle it
+        let content;
+        try {
+            if (data.includes(0)) throw new Error('Binary file');
+            content = new TextDecoder('utf-8', { fatal: true }).decode(data);
+        } catch {
+            throw transferError('EBINARY', 'Only UTF-8 text files can be edited');
+        }
+        return { path: file, name: info.name, content, modified: await this.getModified(file) };
+    }
+
+    /**
+     * Save a text file from the editor, in place so it keeps its owner and permissions
+     * @param {stream.Readable} source - Request body
+     * @param {object} options
+     * @param {string} options.file - Absolute path
+     * @param {string} [options.modified] - Modification time when it was opened, to refuse
+     * overwriting changes made since. Leave out to save anyway
+     * @param {number} [options.uid] - Shell user to write as
+     * @param {number} [options.gid] - Shell group to write as
+     * @returns {Promise<{ path: string, size: number, modified: string }>}
+     */
+    async saveText(source, { file, modified, uid, gid }) {
+        // Read the whole body first, so a failed request doesn't leave half a file
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of source) {
+            size += chunk.length;
+            if (size > MAX_EDIT_SIZE) throw transferError('ETOOBIG', 'File is too large to edit');
+            chunks.push(chunk);
+        }
+        const data = Buffer.concat(chunks);
+
+        const stats = await fs.promises.stat(file).catch(() => null);
+        if (stats && !stats.isFile()) throw transferError('EINVAL', `Not a file: ${file}`);
+        if (modified !== undefined && modified !== await this.getModified(file)) {
+            throw transferError('ECHANGED', 'The file was changed or deleted since it was opened');
+        }
+
+        this.debugLog('Saving', file, uid !== undefined ? `as uid ${uid}` : '');
+        if (isOtherUser(uid)) {
+            await this.writeAsUser([Readable.from([data])], file, uid, gid, { overwrite: true });
+        } else {
+            await fs.promises.writeFile(file, data).catch((error) => {
+                throw fromFsError(error);
+            });
+        }
+        return { path: file, size, modified: await this.getModified(file) };
+    }
+
+    // Modification time the editor uses to notice changes made behind its back, null if missing
+    async getModified(file) {
+        const stats = await fs.promises.stat(file).catch(() => null);
+        return stats ? stats.mtime.toISOString() : null;
+    }
+
+    // Folders need to be listable (x) as well as readable to archive them
+    canRead(file, type, uid, gid) {
+        if (!isOtherUser(uid)) {
+            const mode = type === 'directory' ? fs.constants.R_OK | fs.constants.X_OK : fs.constants.R_OK;
+            return fs.promises.access(file, mode).then(() => true, () => false);
+        }
+
+        const test = type === 'directory' ? 'test -r "$1" && test -x "$1"' : 'test -r "$1"';
+        return new Promise((resolve) => {
+            const check = spawnAsUser('/bin/sh', ['-c', test, 'sh', file], uid, gid, { stdio: 'ignore' });
+            check.on('error', () => resolve(false));
+            check.on('close', (code) => resolve(code === 0));
+        });
+    }
+
+    /**
+     * Read a file, or archive a folder, for download
+     * @param {{ path: string, type: string }} file - Result of stat()
+     * @param {object} options
+     * @param {number} [options.uid] - Shell user to read as
+     * @param {number} [options.gid] - Shell group to read as
+     * @returns {stream.Readable} Destroying it stops the read or the archiving
+     */
+    download(file, { uid, gid } = {}) {
+        const asUser = isOtherUser(uid);
+        this.debugLog('Downloading', file.path, asUser ? `as uid ${uid}` : '');
+
+        if (file.type === 'file' && !asUser) {
+            return fs.createReadStream(file.path);
+        }
+
+        // -- so a name starting with a dash isn't taken for an option
+        const [command, args] = file.type === 'directory'
+            ? ['tar', ['-czf', '-', '-C', path.dirname(file.path), '--', path.basename(file.path)]]
+            : ['cat', ['--', file.path]];
+        const reader = spawnAsUser(command, args, uid, gid, { stdio: ['ignore', 'pipe', 'pipe'] });
+        reader.stderr.on('data', (data) => this.debugLog(`${command}:`, data.toString().trim()));
+        reader.on('error', (error) => reader.stdout.destroy(error));
+        // Stop reading when the browser goes away
+        reader.stdout.on('close', () => reader.kill());
+        return reader.stdout;
+    }
+
+    // The server usually runs as root, so hand the data to a shell running as the account's
+    // user. Unless overwriting, noclobber (set -C) makes it refuse to, like the 'wx' flag does.
+    async writeAsUser(streams, file, uid, gid, { overwrite = false } = {}) {
+        const script = overwrite ? 'cat > "$1"' : 'set -C; cat > "$1"';
+        const writer = spawnAsUser('/bin/sh', ['-c', script, 'sh', file], uid, gid, {
+            stdio: ['pipe', 'ignore', 'pipe']
+        });
+        let stderr = '';
+        writer.stderr.on('data', (data) => stderr += data);
+        const exited = new Promise((resolve) => {
+            writer.on('error', (error) => resolve({ error }));
+            writer.on('close', (code) => resolve({ code }));
+        });
+
+        let failure = null;
+        try {
+            await pipeline(...streams, writer.stdin);
+        } catch (error) {
+            failure = error;
+            writer.kill();
+        }
+
+        // If the shell couldn't create the file, its error explains more than the broken pipe
+        const { code, error } = await exited;
+        const message = stderr.trim().replace(/^(\/bin\/)?sh: (\d+: )?(line \d+: )?/, '');
+        if (code && message) {
+            throw transferError(/denied/i.test(message) ? 'EACCES' : 'EIO', message);
+        }
+        if (failure || error) throw failure || error;
+        if (code !== 0) throw transferError('EIO', 'Failed to write file');
+    }
+}
+
+module.exports = { FileTransfer };
@@ -0,0 +1,176 @@
+/**
+ * OpenID Connect single sign-on.
+ * DumbTerm acts as a relying party using the authorization code flow with PKCE. The provider is
+ * found through discovery, and the username and groups are read from the ID token (or userinfo)
+ * claims and checked against the allowed users/groups.
+ */
+const { Issuer, generators } = require('openid-client');
+
+function parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+class OidcProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.issuer - Issuer URL, used for discovery
+     * @param {string} options.clientId - Client ID registered with the provider
+     * @param {string} options.clientSecret - (optional) Client secret, omit for a public client
+     * @param {string} options.redirectUri - Callback URL registered with the provider
+     * @param {string} options.scopes - Space-separated scopes to request
+     * @param {string} options.usernameClaim - Claim to use as the DumbTerm username
+     * @param {string} options.groupsClaim - Claim holding the user's groups
+     * @param {string} options.allowedUsers - (optional) Comma-separated usernames, email addresses or
+     * @domains allowed to log in
+     * @param {string} options.allowedGroups - (optional) Comma-separated groups allowed to log in
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({
+        issuer,
+        clientId,
+        clientSecret,
+        redirectUri,
+        scopes = 'openid profile email',
+        usernameClaim = 'preferred_username',
+        groupsClaim = 'groups',
+        allowedUsers,
+        allowedGroups,
+        debugLog = () => {}
+    }) {
+        this.issuer = issuer;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri;
+        this.scopes = scopes;
+        this.usernameClaim = usernameClaim;
+        this.groupsClaim = groupsClaim;
+        this.allowedUsers = parseList(allowedUsers);
+        this.allowedGroups = parseList(allowedGroups);
+        this.debugLog = debugLog;
+        this.clientPromise = null;
+    }
+
+    get enabled() {
+        return !!this.issuer && !!this.clientId;
+    }
+
+    // Whether allowed users or groups are configured, rather than everyone the provider lets through
+    get hasAllowlist() {
+        return this.allowedUsers.length > 0 || this.allowedGroups.length > 0;
+    }
+
+    /**
+     * Discover the provider and create the client on first use, so a provider that's down
+     * at startup doesn't stop DumbTerm from starting
+     * @returns {Promise<import('openid-client').BaseClient>}
+     */
+    getClient() {
+        if (!this.clientPromise) {
+            this.clientPromise = Issuer.discover(this.issuer)
+                .then((issuer) => {
+                    this.debugLog('OIDC provider discovered:', issuer.issuer);
+                    return new issuer.Client({
+                        client_id: this.clientId,
+                        client_secret: this.clientSecret || undefined,
+                        redirect_uris: [this.redirectUri],
+                        response_types: ['code'],
+                        token_endpoint_auth_method: this.clientSecret ? 'client_secret_basic' : 'none'
+                    });
+                })
+                .catch((error) => {
+                    // Try discovery again on the next login
+                    this.clientPromise = null;
+                    throw error;
+                });
+        }
+        return this.clientPromise;
+    }
+
+    /**
+     * Start a login
+     * @returns {Promise<{ url: string, checks: object }>} URL to send the browser to, and the
+     * values to keep in the session until the callback
+     */
+    async getAuthorizationUrl() {
+        const client = await this.getClient();
+        const checks = {
+            state: generators.state(),
+            nonce: generators.nonce(),
+            codeVerifier: generators.codeVerifier()
+        };
+
+        const url = client.authorizationUrl({
+            scope: this.scopes,
+            state: checks.state,
+            nonce: checks.nonce,
+            code_challenge: generators.codeChallenge(checks.codeVerifier),
+            code_challenge_method: 'S256'
+        });
+        return { url, checks };
+    }
+
+    /**
+     * Finish a login from the provider's redirect
+     * @param {http.IncomingMessage} req - Callback request
+     * @param {object} checks - Values from getAuthorizationUrl
+     * @returns {Promise<string|null>} Username, or null if the user isn't allowed in
+     * @throws If the response is invalid (bad state, nonce, signature, provider error, etc.)
+     */
+    async handleCallback(req, checks) {
+        const client = await this.getClient();
+        const params = client.callbackParams(req);
+        const tokenSet = await client.callback(this.redirectUri, params, {
+            state: checks.state,
+            nonce: checks.nonce,
+            code_verifier: checks.codeVerifier
+        });
+
+        let claims = tokenSet.claims();
+        // Many providers only put profile claims and groups in userinfo
+        const needsUserinfo = !claims[this.usernameClaim]
+            || (this.allowedGroups.length && !claims[this.groupsClaim])
+            || (this.allowedUsers.some(entry => entry.includes('@')) && !claims.email);
+        if (needsUserinfo && client.issuer.userinfo_endpoint) {
+            claims = { ...(await client.userinfo(tokenSet)), ...claims };
+        }
+
+        const username = claims[this.usernameClaim];
+        if (typeof username !== 'string' || !username) {
+            this.debugLog('OIDC login rejected - No username claim:', this.usernameClaim);
+            return null;
+        }
+
+        // An address the provider hasn't verified could be anyone's
+        const email = claims.email_verified === false ? null : claims.email;
+        if (!this.isAllowed(username, claims[this.groupsClaim], email)) {
+            this.debugLog('OIDC login rejected - User not allowed:', username);
+            return null;
+        }
+
+        return username;
+    }
+
+    /**
+     * With no allowed users or groups configured, everyone the provider lets through is allowed,
+     * which the server only accepts when the users file decides who gets in
+     * @param {string} username - Username claim
+     * @param {string|string[]} groups - Groups claim
+     * @param {string|null} [email] - Verified email claim, matched against allowed addresses and @domains
+     * @returns {boolean}
+     */
+    isAllowed(username, groups, email = null) {
+        if (!this.hasAllowlist) return true;
+        if (this.allowedUsers.includes(username)) return true;
+
+        if (typeof email === 'string' && email.includes('@')) {
+            const address = email.toLowerCase();
+            const domain = address.slice(address.lastIndexOf('@'));
+            if (this.allowedUsers.some(entry => [address, domain].includes(entry.toLowerCase()))) return true;
+        }
+
+        const userGroups = Array.isArray(groups) ? groups : [groups];
+        return this.allowedGroups.some(group => userGroups.includes(group));
+    }
+}
+
+module.exports = { OidcProvider };
@@ -0,0 +1,193 @@
+/**
+ * WebAuthn passkeys.
+ * Keeps each user's registered passkeys (public key, signature counter, transports) in a JSON
+ * file in the data directory, and runs the registration and login ceremonies with @simplewebauthn/server.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+
+class PasskeyStore {
+    /**
+     * @param {string} file - JSON file to keep registered passkeys in
+     * @param {Function} debugLog - Debug logger
+     * @param {object} site
+     * @param {string} site.rpName - Name authenticators show for the site
+     * @param {string} site.rpID - Domain passkeys are bound to
+     * @param {string} site.origin - Origin the browser must report, e.g. https://term.example.com
+     */
+    constructor(file, debugLog = () => {}, { rpName, rpID, origin } = {}) {
+        this.file = file;
+        this.debugLog = debugLog;
+        this.rpName = rpName;
+        this.rpID = rpID;
+        this.origin = origin;
+        this.users = {}; // { [username]: { userId, credentials: [...] } }
+
+        try {
+            this.users = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Failed to load passkeys file:', error.message);
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2), { mode: 0o600 });
+    }
+
+    hasAny() {
+        return Object.values(this.users).some(user => user.credentials.length > 0);
+    }
+
+    /**
+     * Stable random WebAuthn user handle for a username, so the username itself isn't stored on the authenticator
+     * @param {string} username - Account name
+     * @returns {string} Base64url user handle
+     */
+    getUserId(username) {
+        return this.users[username]?.userId || crypto.randomBytes(16).toString('base64url');
+    }
+
+    /**
+     * @param {string} username - Account name
+     * @returns {object[]} The user's registered passkeys
+     */
+    getCredentials(username) {
+        return this.users[username]?.credentials || [];
+    }
+
+    /**
+     * Store a newly registered passkey
+     * @param {string} username - Account the passkey belongs to
+     * @param {string} userId - User handle the passkey was registered with
+     * @param {object} credential - { id, publicKey (Uint8Array), counter, transports }
+     * @param {string} name - Label to tell passkeys apart, e.g. the browser it was created in
+     */
+    add(username, userId, credential, name) {
+        const user = this.users[username] || (this.users[username] = { userId, credentials: [] });
+        user.credentials.push({
+            id: credential.id,
+            publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+            counter: credential.counter,
+            transports: credential.transports || [],
+            name,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        });
+        this.save();
+        this.debugLog('Passkey registered for user:', username, 'id:', credential.id);
+    }
+
+    /**
+     * Find a passkey by its credential ID
+     * @param {string} id - Base64url credential ID
+     * @returns {{ username: string, credential: object }|null} The stored passkey with its public key
+     * decoded, ready to pass to verifyAuthenticationResponse
+     */
+    find(id) {
+        for (const [username, user] of Object.entries(this.users)) {
+            const stored = user.credentials.find(credential => credential.id === id);
+            if (stored) {
+                return {
+                    username,
+                    credential: { ...stored, publicKey: Buffer.from(stored.publicKey, 'base64url') }
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start registering a passkey for a user
+     * @param {string} username - Account the passkey is for
+     * @returns {Promise<object>} Options for navigator.credentials.create(), with the challenge
+     * and user handle to keep in the session until verifyRegistration
+     */
+    registrationOptions(username) {
+        return generateRegistrationOptions({
+            rpName: this.rpName,
+            rpID: this.rpID,
+            userName: username,
+            userID: Buffer.from(this.getUserId(username), 'base64url'),
+            attestationType: 'none',
+            excludeCredentials: this.getCredentials(username).map(({ id, transports }) => ({ id, transports })),
+            // Discoverable credentials, so logging in doesn't need a username first. A passkey login
+            // skips the PIN and TOTP steps, so the authenticator has to verify the user (biometrics or
+            // its own PIN), not just that someone holds it
+            authenticatorSelection: { residentKey: 'required', userVerification: 'required' }
+        });
+    }
+
+    /**
+     * Check the browser's response to registrationOptions and store the new passkey
+     * @param {string} username - Account the passkey is for
+     * @param {{ challenge: string, userId: string }} pending - From the registration options
+     * @param {object} response - Credential from the browser
+     * @param {string} name - Label for the passkey
+     * @throws If the response doesn't verify
+     */
+    async verifyRegistration(username, pending, response, name) {
+        const { verified, registrationInfo } = await verifyRegistrationResponse({
+            response,
+            expectedChallenge: pending.challenge,
+            expectedOrigin: this.origin,
+            expectedRPID: this.rpID,
+            requireUserVerification: true
+        });
+        if (!verified) throw new Error('Registration response not verified');
+        this.add(username, pending.userId, registrationInfo.credential, name);
+    }
+
+    /**
+     * Start a passkey login
+     * @returns {Promise<object>} Options for navigator.credentials.get(), with the challenge to
+     * keep in the session until verifyLogin
+     */
+    loginOptions() {
+        return generateAuthenticationOptions({ rpID: this.rpID, userVerification: 'required' });
+    }
+
+    /**
+     * Check the browser's response to loginOptions, and record the login
+     * @param {{ username: string, credential: object }} passkey - The passkey it claims to be, from find()
+     * @param {object} response - Assertion from the browser
+     * @param {string} challenge - Challenge from the login options
+     * @throws If the response doesn't verify, including when the signature counter went backwards
+     */
+    async verifyLogin(passkey, response, challenge) {
+        const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: challenge,
+            expectedOrigin: this.origin,
+            expectedRPID: this.rpID,
+            credential: passkey.credential,
+            requireUserVerification: true
+        });
+        if (!verified) throw new Error('Authentication response not verified');
+        this.markUsed(passkey.credential.id, authenticationInfo.newCounter);
+    }
+
+    /**
+     * Record a successful login, the counter lets us spot cloned authenticators
+     * @param {string} id - Base64url credential ID
+     * @param {number} counter - New signature counter
+     */
+    markUsed(id, counter) {
+        for (const user of Object.values(this.users)) {
+            const stored = user.credentials.find(credential => credential.id === id);
+            if (stored) {
+                stored.counter = counter;
+                stored.lastUsedAt = new Date().toISOString();
+                this.save();
+                return;
+            }
+        }
+    }
+}
+
+module.exports = { PasskeyStore };
@@ -0,0 +1,156 @@
+/**
+ * Terminal session recording.
+ * Writes PTY output and resizes as asciicast v2 (.cast) files, playable with asciinema, and
+ * lists/resolves them for download. Recordings are kept in one directory per user.
+ * Format: https://docs.asciinema.org/manual/asciicast/v2/
+ */
+const fs = require('fs');
+const path = require('path');
+
+const RECORDING_NAME_PATTERN = /^[\w.-]+\.cast$/;
+// Recordings are named after the time they started and the start of their session's ID
+const SESSION_PREFIX_PATTERN = /_([\da-f]{8})\.cast$/;
+
+// Usernames can contain anything, so encode them into a safe directory name ('.' included, for '..')
+function userDirName(username) {
+    return encodeURIComponent(username).replace(/\./g, '%2E');
+}
+
+class CastRecorder {
+    /**
+     * @param {string} file - Path of the .cast file to write
+     * @param {object} options
+     * @param {number} options.cols - Terminal width when recording starts
+     * @param {number} options.rows - Terminal height when recording starts
+     * @param {string} options.title - Title stored in the header
+     * @param {object} options.env - Environment (TERM) stored in the header
+     */
+    constructor(file, { cols, rows, title, env = {} }) {
+        this.file = file;
+        this.startedAt = Date.now();
+        this.stream = fs.createWriteStream(file, { flags: 'wx', mode: 0o600 });
+        this.stream.on('error', (error) => console.error(`Recording ${file} failed:`, error.message));
+
+        this.write({
+            version: 2,
+            width: cols,
+            height: rows,
+            timestamp: Math.floor(this.startedAt / 1000),
+            title,
+            env
+        });
+    }
+
+    write(entry) {
+        if (this.stream) this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    elapsed() {
+        return Number(((Date.now() - this.startedAt) / 1000).toFixed(6));
+    }
+
+    output(data) {
+        this.write([this.elapsed(), 'o', data]);
+    }
+
+    resize(cols, rows) {
+        this.write([this.elapsed(), 'r', `${cols}x${rows}`]);
+    }
+
+    close() {
+        if (!this.stream) return;
+        this.stream.end();
+        this.stream = null;
+    }
+}
+
+class RecordingStore {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory recordings are kept in
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({ dir, debugLog = () => {} }) {
+        this.dir = dir;
+        this.debugLog = debugLog;
+    }
+
+    /**
+     * Start recording a terminal session
+     * @param {TerminalSession} session - Session to record
+     * @returns {CastRecorder}
+     */
+    create(session) {
+        const userDir = path.join(this.dir, userDirName(session.user));
+        fs.mkdirSync(userDir, { recursive: true, mode: 0o700 });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const name = `${timestamp}_${session.id.slice(0, 8)}.cast`;
+        this.debugLog('Recording session', session.id, 'to', name);
+
+        return new CastRecorder(path.join(userDir, name), {
+            cols: session.cols,
+            rows: session.rows,
+            title: `${session.user} - ${new Date().toLocaleString()}`,
+            env: { TERM: 'xterm-256color' }
+        });
+    }
+
+    /**
+     * List recordings, newest first
+     * @param {string|null} username - Only this user's recordings, or everyone's when null
+     * @returns {Promise<Array<{ user: string, name: string, size: number, createdAt: string, session: string|null }>>}
+     * session is the first 8 characters of the recorded session's ID
+     */
+    async list(username = null) {
+        let userDirs;
+        try {
+            userDirs = username ? [userDirName(username)] : await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const recordings = [];
+        for (const dirName of userDirs) {
+            let user;
+            try {
+                user = decodeURIComponent(dirName);
+            } catch {
+                continue; // Not a directory we created
+            }
+
+            const userDir = path.join(this.dir, dirName);
+            const names = await fs.promises.readdir(userDir).catch(() => []);
+
+            for (const name of names.filter(entry => RECORDING_NAME_PATTERN.test(entry))) {
+                const stats = await fs.promises.stat(path.join(userDir, name)).catch(() => null);
+                if (!stats) continue;
+                recordings.push({
+                    user,
+                    name,
+                    size: stats.size,
+                    // Not every filesystem records a creation time
+                    createdAt: (stats.birthtimeMs ? stats.birthtime : stats.mtime).toISOString(),
+                    session: (name.match(SESSION_PREFIX_PATTERN) || [])[1] || null
+                });
+            }
+        }
+
+        return recordings.sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    /**
+     * Get the path of a recording, refusing anything that isn't a plain recording file name
+     * @param {string} username - Owner of the recording
+     * @param {string} name - File name
+     * @returns {string|null}
+     */
+    resolve(username, name) {
+        if (typeof name !== 'string' || !RECORDING_NAME_PATTERN.test(name)) return null;
+        const file = path.join(this.dir, userDirName(username), name);
+        return fs.existsSync(file) ? file : null;
+    }
+}
+
+module.exports = { RecordingStore };
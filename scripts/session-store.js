@@ -0,0 +1,129 @@
+/**
+ * File-backed express-session store.
+ * Keeps each session as a JSON file in the data directory so logins survive restarts and
+ * container upgrades, and removes expired sessions periodically instead of holding them in memory.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Store } = require('express-session');
+
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+// Touching a session only moves its expiry; the file is rewritten once it has moved this far
+const TOUCH_THRESHOLD = 60 * 1000; // 1 minute
+
+class FileSessionStore extends Store {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory to keep session files in
+     * @param {number} options.ttl - Fallback lifetime (ms) for sessions without a cookie expiry
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({ dir, ttl, debugLog = () => {} }) {
+        super();
+        this.dir = dir;
+        this.ttl = ttl;
+        this.debugLog = debugLog;
+        // Expiry each session file was last written with, so touches that barely move it can be skipped
+        this.written = new Map();
+
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+        this.cleanup();
+    }
+
+    filePath(sid) {
+        // Session IDs are base64url, but never trust them as a path
+        return path.join(this.dir, `${path.basename(sid)}.json`);
+    }
+
+    expiresAt(session) {
+        const expires = session && session.cookie && session.cookie.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + this.ttl;
+    }
+
+    get(sid, callback) {
+        fs.promises.readFile(this.filePath(sid), 'utf8')
+            .then((content) => {
+                const { expires, session } = JSON.parse(content);
+                if (Date.now() >= expires) {
+                    return this.destroy(sid, () => callback(null, null));
+                }
+                this.written.set(sid, expires);
+                callback(null, session);
+            })
+            .catch((error) => {
+                // A missing or half-written file just means there's no session
+                if (error.code !== 'ENOENT') this.debugLog('Failed to read session file:', sid, error.message);
+                callback(null, null);
+            });
+    }
+
+    set(sid, session, callback = () => {}) {
+        const file = this.filePath(sid);
+        // Each write gets its own temp file, as requests for the same session run side by side
+        const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        const expires = this.expiresAt(session);
+        const content = JSON.stringify({ expires, session });
+
+        // Write then rename so a crash never leaves a truncated session file behind
+        fs.promises.writeFile(tmpFile, content, { mode: 0o600 })
+            .then(() => fs.promises.rename(tmpFile, file))
+            .then(() => {
+                this.written.set(sid, expires);
+                callback(null);
+            })
+            .catch((error) => {
+                fs.promises.unlink(tmpFile).catch(() => {});
+                callback(error);
+            });
+    }
+
+    // Called on every authenticated request, static files and API polls included
+    touch(sid, session, callback = () => {}) {
+        const written = this.written.get(sid);
+        if (written && Math.abs(this.expiresAt(session) - written) < TOUCH_THRESHOLD) {
+            callback(null);
+            return;
+        }
+        this.set(sid, session, callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.written.delete(sid);
+        fs.promises.unlink(this.filePath(sid))
+            .then(() => callback(null))
+            .catch((error) => callback(error.code === 'ENOENT' ? null : error));
+    }
+
+    /**
+     * Remove every expired session file
+     */
+    async cleanup() {
+        try {
+            const files = await fs.promises.readdir(this.dir);
+            let removed = 0;
+
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                const filePath = path.join(this.dir, file);
+                try {
+                    const { expires } = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+                    if (Date.now() < expires) continue;
+                } catch {
+                    // Unreadable session files are removed as well
+                }
+                await fs.promises.unlink(filePath).catch(() => {});
+                this.written.delete(path.basename(file, '.json'));
+                removed++;
+            }
+
+            if (removed) this.debugLog('Removed expired sessions:', removed);
+        } catch (error) {
+            console.error('Session cleanup failed:', error.message);
+        }
+    }
+}
+
+module.exports = { FileSessionStore };
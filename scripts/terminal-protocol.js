@@ -0,0 +1,100 @@
+/**
+ * Terminal WebSocket protocol.
+ * Version 1 sends everything as JSON text messages. Version 2, which clients ask for through
+ * the WebSocket subprotocol, sends terminal input and output as binary messages - a type byte
+ * followed by the payload - and keeps JSON for control messages. Clients that don't ask for a
+ * version, like pages loaded before an upgrade, get version 1.
+ *
+ * Binary messages in version 2:
+ *   OUTPUT      0x01  seq (float64) + UTF-8 text   server -> client
+ *   REPLAY      0x02  seq (float64) + UTF-8 text   server -> client, output from before connecting
+ *   RAW_OUTPUT  0x03  bytes                        server -> client, in-band file transfers
+ *   INPUT       0x11  UTF-8 text                   client -> server
+ *   RAW_INPUT   0x12  bytes                        client -> server, in-band file transfers
+ *
+ * Both versions decode to and encode from the same message objects, so the rest of the server
+ * doesn't need to know which one a client speaks.
+ */
+
+// Subprotocol names and the version they stand for. public/managers/protocol.js mirrors this.
+const PROTOCOLS = { 'dumbterm.v2': 2 };
+
+const MessageType = {
+    OUTPUT: 0x01,
+    REPLAY: 0x02,
+    RAW_OUTPUT: 0x03,
+    INPUT: 0x11,
+    RAW_INPUT: 0x12
+};
+
+const SEQ_LENGTH = 8;
+
+/**
+ * Pick the newest protocol version a client offers, for the WebSocket server's handleProtocols
+ * @param {Set<string>} protocols - Subprotocols the client asked for
+ * @returns {string|false} The subprotocol to use, or false for version 1
+ */
+function selectProtocol(protocols) {
+    const supported = [...protocols].filter(name => PROTOCOLS[name]);
+    if (!supported.length) return false;
+    return supported.reduce((newest, name) => PROTOCOLS[name] > PROTOCOLS[newest] ? name : newest);
+}
+
+/**
+ * @param {string} protocol - Subprotocol the connection was opened with
+ * @returns {number} Protocol version
+ */
+function getVersion(protocol) {
+    return PROTOCOLS[protocol] || 1;
+}
+
+/**
+ * Encode a message for a client
+ * @param {object} message - e.g. { type: 'output', data, seq, replay }, or { type: 'output',
+ * data: Buffer, binary: true } for in-band transfers
+ * @param {number} version - The client's protocol version
+ * @returns {string|Buffer}
+ */
+function encode(message, version = 1) {
+    if (version < 2 || message.type !== 'output') {
+        // Version 1 sends transfer bytes as base64
+        if (message.binary) return JSON.stringify({ ...message, data: message.data.toString('base64') });
+        return JSON.stringify(message);
+    }
+
+    if (message.binary) {
+        return Buffer.concat([Buffer.from([MessageType.RAW_OUTPUT]), message.data]);
+    }
+    const frame = Buffer.allocUnsafe(1 + SEQ_LENGTH + Buffer.byteLength(message.data));
+    frame[0] = message.replay ? MessageType.REPLAY : MessageType.OUTPUT;
+    frame.writeDoubleBE(message.seq, 1);
+    frame.write(message.data, 1 + SEQ_LENGTH, 'utf8');
+    return frame;
+}
+
+/**
+ * Decode a message from a client
+ * @param {Buffer} data - Message as received
+ * @param {boolean} isBinary - Whether it was a binary message
+ * @returns {object} e.g. { type: 'input', data }, with data a Buffer when binary is set
+ */
+function decode(data, isBinary) {
+    if (!isBinary) {
+        const message = JSON.parse(data);
+        if (message.type === 'input' && message.binary && typeof message.data === 'string') {
+            message.data = Buffer.from(message.data, 'base64');
+        }
+        return message;
+    }
+
+    switch (data[0]) {
+        case MessageType.INPUT:
+            return { type: 'input', data: data.toString('utf8', 1) };
+        case MessageType.RAW_INPUT:
+            return { type: 'input', data: data.subarray(1), binary: true };
+        default:
+            return {};
+    }
+}
+
+module.exports = { PROTOCOLS, MessageType, selectProtocol, getVersion, encode, decode };
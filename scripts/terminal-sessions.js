@@ -0,0 +1,945 @@
+/**
+ * Terminal session registry.
+ * Keeps PTY processes alive independently of the WebSocket that created them, so a
+ * browser can detach (page reload, laptop sleep, flaky network) and reattach to the same shell.
+ * Sessions can also be shared through expiring links, read-only for anyone or as a collaborator
+ * typing into the same PTY for logged in users.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { encode } = require('./terminal-protocol');
+const { CommandTracker } = require('./command-tracker');
+
+const DEFAULT_GRACE_PERIOD = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_BUFFER_SIZE = 256 * 1024; // characters of output kept for replay
+const DEFAULT_BATCH_DELAY = 5; // ms to collect output for before sending it
+const DEFAULT_IDLE_WARNING = 60 * 1000; // how long before an idle PTY is closed clients are warned
+const MAX_BATCH_SIZE = 64 * 1024; // characters of output sent right away, without waiting
+const MAX_TERMINAL_SIZE = 500;
+const SHARE_MODES = ['view', 'collaborate'];
+// Flow control, in characters written by the PTY but not yet acknowledged by a client
+const HIGH_WATERMARK = 256 * 1024;
+const LOW_WATERMARK = 64 * 1024;
+const VIEWER_BUFFER_LIMIT = 4 * 1024 * 1024; // bytes queued for a viewer before it's made to reconnect
+// In-band file transfers. They start with a handshake from the program on the PTY's side: a
+// ZMODEM ZRQINIT (sz) or ZRINIT (rz) header, or trzsz's magic line. They end with a ZFIN header
+// or a ZMODEM abort (CANs, which are escaped inside data), or trzsz's exit or failure message.
+const TRANSFER_START = /\x18B0[01]|::TRZSZ:TRANSFER:/;
+const TRANSFER_END = /\x18B08|\x18{5}|#(?:EXIT|fail|FAIL):/;
+const MARKER_TAIL = 32; // characters kept from the last chunk, for markers split across chunks
+const TRANSFER_OFFER_TIMEOUT = 2 * 60 * 1000; // how long after a handshake raw mode may start
+const RAW_IDLE_TIMEOUT = 30 * 1000; // raw mode ends after this long with nothing sent either way
+const RAW_END_DELAY = 2000; // raw mode lasts this long after a transfer ends, for the last few bytes
+
+class TerminalSession {
+    /**
+     * @param {string} id - Session ID handed to the client for reattaching
+     * @param {object} term - node-pty (or demo) terminal process
+     * @param {string} user - Username of the account that owns the session
+     * @param {object} options
+     * @param {number} options.gracePeriod - How long (ms) to keep the PTY alive with no client attached
+     * @param {number} options.bufferSize - How many characters of recent output to keep for replay
+     * @param {string} options.resizePolicy - With collaborators, 'smallest' fits every client's
+     * window and 'owner' uses the owner's
+     * @param {number} options.batchDelay - How long (ms) to collect output for before sending it, 0 to
+     * send each chunk as the PTY produces it
+     * @param {string|null} options.helperToken - Secret the shell's helper commands put in their requests
+     * @param {number} options.idleTimeout - How long (ms) the PTY may go without input or output
+     * before it's closed, 0 to keep it open
+     * @param {number} options.idleWarning - How long (ms) before closing an idle PTY clients are warned
+     * @param {object|null} options.audit - Audit log (AuditLog) the shell's start, end and commands go to
+     * @param {Function} options.onEnd - Called once the PTY has exited
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor(id, term, user, {
+        gracePeriod = DEFAULT_GRACE_PERIOD,
+        bufferSize = DEFAULT_BUFFER_SIZE,
+        resizePolicy = 'smallest',
+        batchDelay = DEFAULT_BATCH_DELAY,
+        helperToken = null,
+        idleTimeout = 0,
+        idleWarning = DEFAULT_IDLE_WARNING,
+        audit = null,
+        onEnd = () => {},
+        debugLog = () => {}
+    } = {}) {
+        this.id = id;
+        this.term = term;
+        this.user = user;
+        this.pid = term.pid;
+        this.cols = term.cols || 80;
+        this.rows = term.rows || 24;
+        this.createdAt = Date.now();
+        this.lastActivity = this.createdAt; // Last input or output
+        this.recorder = null;
+        this.helperToken = helperToken;
+        this.ws = null;
+        this.attachedAt = null; // When the owner's current client attached
+        this.shareLinks = { view: null, collaborate: null }; // { token, expiresAt }
+        this.shareTimers = {};
+        this.viewers = new Map(); // WebSocket -> { name, since }
+        this.collaborators = new Map(); // WebSocket -> { id, name, since, cols, rows }
+        this.keyboard = null; // Who may type: null for everyone, 'owner' or a collaborator's client ID
+        this.rawClient = null; // Client running an in-band file transfer, see setRaw()
+        this.transferOfferedAt = null; // When the PTY's output last held a transfer handshake
+        this.rawActivity = null; // When transfer bytes last went either way
+        this.rawTimer = null;
+        this.rawEnding = false;
+        this.markerTails = { output: '', input: '' };
+        this.ownerSize = null; // { cols, rows } of the owner's window
+        this.resizePolicy = resizePolicy;
+        this.exited = false;
+        this.gracePeriod = gracePeriod;
+        this.graceTimer = null;
+        this.idleTimeout = idleTimeout;
+        this.idleWarning = Math.min(idleWarning, idleTimeout);
+        this.idleTimer = null;
+        this.idleClosesAt = null; // Set while clients are being warned that the PTY is about to close
+        this.endReason = null; // Why the PTY was killed, if it was, e.g. 'idle'
+        this.onEnd = onEnd;
+        this.debugLog = debugLog;
+        this.audit = audit;
+        this.commands = audit ? new CommandTracker() : null;
+
+        // Ring buffer of recent output. `seq` counts every character the PTY has ever produced,
+        // so a client can tell us the last position it saw and get only what came after it.
+        this.seq = 0;
+        this.bufferSize = bufferSize;
+        this.buffer = []; // [{ start, data }]
+        this.bufferedLength = 0;
+
+        // The PTY hands us bytes; a decoder keeps characters split across chunks in one piece
+        this.decoder = new StringDecoder('utf8');
+
+        // Owner and collaborator clients acknowledge output once their terminal has drawn it.
+        // The PTY is paused while any of them is too far behind, so a flood of output (cat on
+        // a big file, yes) can't pile up in WebSocket buffers or freeze the browser.
+        this.acks = new Map(); // WebSocket -> seq it has acknowledged
+        this.paused = false;
+
+        // Programs that write a little at a time would cost a WebSocket message per write, so
+        // output is collected for batchDelay ms (or up to MAX_BATCH_SIZE) and sent in one go
+        this.batchDelay = batchDelay;
+        this.batchTimer = null;
+        this.pendingOutput = '';
+        this.stats = { chunks: 0, messages: 0 }; // PTY reads and the output messages they were sent in
+
+        term.on('data', (chunk) => {
+            this.touch();
+            if (this.rawClient) {
+                const bytes = Buffer.from(chunk);
+                this.sendRaw(bytes);
+                this.watchRaw(bytes, 'output');
+                // Still followed for the audit log, in case the handshake was only printed to get here
+                if (this.commands) this.commands.output(bytes.toString()).forEach(entry => this.logCommand(entry));
+                return;
+            }
+            const data = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+            if (!data) return;
+
+            this.stats.chunks++;
+            this.record(data);
+            if (this.recorder) this.recorder.output(data);
+            if (this.commands) this.commands.output(data).forEach(entry => this.logCommand(entry));
+            this.watchForTransfer(data);
+            this.queueOutput(data);
+            this.updateFlow();
+        });
+
+        term.on('exit', (code) => {
+            this.debugLog('Terminal process exited with code:', code, 'session:', this.id);
+            this.flushOutput();
+            this.exited = true;
+            this.log('session_end', { code, duration: Date.now() - this.createdAt, ...(this.endReason && { reason: this.endReason }) });
+            clearTimeout(this.graceTimer);
+            clearTimeout(this.idleTimer);
+            clearTimeout(this.rawTimer);
+            this.stopRecording();
+            this.broadcast({ type: 'exit', code, ...(this.endReason && { reason: this.endReason }) });
+            Object.values(this.shareTimers).forEach(clearTimeout);
+            [this.ws, ...this.collaborators.keys(), ...this.viewers.keys()].forEach((ws) => {
+                if (ws && ws.readyState === ws.OPEN) ws.close(1000, 'Terminal exited');
+            });
+            this.ws = null;
+            this.collaborators.clear();
+            this.viewers.clear();
+            this.onEnd(this);
+        });
+
+        this.scheduleIdleCheck();
+    }
+
+    /**
+     * Send a message to some clients, encoded once for each protocol version among them
+     * @param {Iterable<WebSocket|null>} clients - Connections to send to
+     * @param {object} message - Message to send
+     */
+    sendTo(clients, message) {
+        const encoded = new Map();
+        for (const ws of clients) {
+            if (!ws || ws.readyState !== ws.OPEN) continue;
+            const version = ws.protocolVersion || 1;
+            if (!encoded.has(version)) {
+                const data = encode(message, version);
+                encoded.set(version, { data, size: typeof data === 'string' ? Buffer.byteLength(data) : data.length });
+            }
+            const { data, size } = encoded.get(version);
+            ws.send(data);
+            // Counted before compression, for the connection stats
+            if (ws.traffic) {
+                ws.traffic.messages++;
+                ws.traffic.bytes += size;
+            }
+        }
+    }
+
+    /**
+     * Send a message to the attached client, if any
+     * @param {object} message - Message to send
+     */
+    send(message) {
+        this.sendTo([this.ws], message);
+    }
+
+    /**
+     * Send PTY output to the client running an in-band file transfer, byte for byte
+     * @param {Buffer} bytes - PTY output
+     */
+    sendRaw(bytes) {
+        this.sendTo([this.rawClient], { type: 'output', data: bytes, binary: true });
+    }
+
+    /**
+     * Send a message to the owner and collaborators
+     * @param {object} message - Message to send
+     */
+    sendToWriters(message) {
+        this.sendTo([this.ws, ...this.collaborators.keys()], message);
+    }
+
+    /**
+     * Send a message to the owner, collaborators and everyone watching
+     * @param {object} message - Message to send
+     */
+    broadcast(message) {
+        this.sendTo([this.ws, ...this.collaborators.keys()], message);
+
+        // Viewers don't hold up the PTY; one that can't keep up reconnects and starts over from the replay
+        const lagging = [...this.viewers.keys()].filter(ws => ws.bufferedAmount > VIEWER_BUFFER_LIMIT);
+        lagging.forEach(ws => ws.close(1013, 'Too far behind'));
+        this.sendTo([...this.viewers.keys()].filter(ws => !lagging.includes(ws)), message);
+    }
+
+    /**
+     * Add output to the next batch, sending it once the batch is full or batchDelay has passed
+     * @param {string} data - PTY output, already in the replay buffer
+     */
+    queueOutput(data) {
+        this.pendingOutput += data;
+        if (!this.batchDelay || this.pendingOutput.length >= MAX_BATCH_SIZE) {
+            this.flushOutput();
+        } else if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flushOutput(), this.batchDelay);
+        }
+    }
+
+    // Send the batched output now. Called before anything that depends on clients having all
+    // the output so far, like replaying to a new client or switching to raw mode.
+    flushOutput() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        if (!this.pendingOutput) return;
+
+        const data = this.pendingOutput;
+        this.pendingOutput = '';
+        this.stats.messages++;
+        this.broadcast({ type: 'output', data, seq: this.seq });
+    }
+
+    /**
+     * Record how much output a client's terminal has drawn
+     * @param {WebSocket} ws - The owner's or a collaborator's connection
+     * @param {number} seq - Sequence number of the output it has written
+     */
+    ack(ws, seq) {
+        if (!Number.isFinite(seq) || (ws !== this.ws && !this.collaborators.has(ws))) return;
+        this.acks.set(ws, Math.min(seq, this.seq));
+        this.updateFlow();
+    }
+
+    // Pause the PTY when a client falls more than HIGH_WATERMARK behind, resume below LOW_WATERMARK.
+    // Clients that never acknowledge anything (older pages) aren't waited for.
+    updateFlow() {
+        if (this.exited) return;
+        const pending = Math.max(0, ...[...this.acks.values()].map(seq => this.seq - seq));
+
+        if (!this.paused && pending > HIGH_WATERMARK) {
+            this.paused = true;
+            this.term.pause();
+        } else if (this.paused && pending < LOW_WATERMARK) {
+            this.paused = false;
+            this.term.resume();
+        }
+    }
+
+    /**
+     * Append output to the replay buffer, dropping the oldest chunks once it is full
+     * @param {string} data - PTY output
+     */
+    record(data) {
+        this.buffer.push({ start: this.seq, data });
+        this.seq += data.length;
+        this.bufferedLength += data.length;
+
+        // Always keep the newest chunk, even if it alone exceeds the buffer size
+        while (this.bufferedLength > this.bufferSize && this.buffer.length > 1) {
+            this.bufferedLength -= this.buffer.shift().data.length;
+        }
+    }
+
+    /**
+     * Get the output produced after a given sequence number
+     * @param {number} fromSeq - Last sequence number the client has seen
+     * @returns {{ data: string, seq: number, truncated: boolean }} truncated is true when some of
+     * the requested output has already been dropped from the buffer
+     */
+    replay(fromSeq = 0) {
+        // Clients already attached get the pending batch, so the replay is all that's left
+        this.flushOutput();
+        const oldest = this.buffer.length ? this.buffer[0].start : this.seq;
+        // A client ahead of us saw output from a different session with the same ID; start over
+        const from = fromSeq > this.seq ? 0 : Math.max(fromSeq, oldest);
+
+        const data = this.buffer
+            .filter(chunk => chunk.start + chunk.data.length > from)
+            .map(chunk => chunk.start >= from ? chunk.data : chunk.data.slice(from - chunk.start))
+            .join('');
+
+        return { data, seq: this.seq, truncated: fromSeq < oldest };
+    }
+
+    /**
+     * Attach a WebSocket to this session, replacing any previously attached client
+     * @param {WebSocket} ws - The client connection
+     */
+    attach(ws) {
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+        // The pending batch is part of the new client's replay, not something to send it on top
+        this.flushOutput();
+
+        const previous = this.ws;
+        this.ws = ws;
+        this.attachedAt = Date.now();
+        this.ownerSize = null;
+        this.endRaw();
+        // The new client hasn't acknowledged anything yet, so it shouldn't inherit a pause from the old one
+        this.acks.delete(previous);
+        this.updateFlow();
+
+        // Only one of the owner's browsers drives a session at a time, so the older one is told why it lost it
+        if (previous && previous !== ws && previous.readyState === previous.OPEN) {
+            this.debugLog('Session attached elsewhere, closing previous client:', this.id);
+            previous.close(4001, 'Session attached elsewhere');
+        }
+        this.sendPresence();
+    }
+
+    /**
+     * Detach a WebSocket and start the grace period before the PTY is killed
+     * @param {WebSocket} ws - The client connection that went away
+     */
+    detach(ws) {
+        if (this.ws !== ws || this.exited) return;
+
+        this.ws = null;
+        this.attachedAt = null;
+        this.ownerSize = null;
+        this.endRaw();
+        this.acks.delete(ws);
+        this.updateFlow();
+        this.sendPresence();
+        this.applySize();
+        this.startGracePeriod();
+    }
+
+    // Once nobody is attached, keep the PTY around for a while in case they come back
+    startGracePeriod() {
+        if (this.ws || this.collaborators.size || this.exited) return;
+        this.debugLog(`Session ${this.id} detached, keeping PTY ${this.pid} alive for ${this.gracePeriod / 1000}s`);
+
+        this.graceTimer = setTimeout(() => {
+            this.debugLog('Grace period expired, killing terminal process:', this.pid);
+            this.kill();
+        }, this.gracePeriod);
+    }
+
+    // Input or output: the PTY is in use, so the idle countdown starts over
+    touch() {
+        this.lastActivity = Date.now();
+        if (this.idleClosesAt) {
+            this.idleClosesAt = null;
+            this.sendToWriters({ type: 'idle', closesIn: null });
+        }
+    }
+
+    /**
+     * Keep an idle PTY open, for a client that was warned it's about to close
+     * @param {WebSocket} ws - The owner's or a collaborator's connection
+     */
+    keepAlive(ws) {
+        if (ws === this.ws || this.collaborators.has(ws)) this.touch();
+    }
+
+    // Check again when the idle warning would be due. Activity in the meantime only moves
+    // lastActivity, and the check works out when it's due from there.
+    scheduleIdleCheck() {
+        if (!this.idleTimeout || this.exited) return;
+        const warnAt = this.lastActivity + this.idleTimeout - this.idleWarning;
+        this.idleTimer = setTimeout(() => this.checkIdle(), Math.max(0, warnAt - Date.now()));
+    }
+
+    // Warn the owner and collaborators once the PTY has been idle for nearly idleTimeout, and close it after that
+    checkIdle() {
+        const now = Date.now();
+        const closesAt = this.lastActivity + this.idleTimeout;
+
+        if (now >= closesAt) {
+            this.debugLog(`Session ${this.id} idle for ${this.idleTimeout / 1000}s, killing terminal process:`, this.pid);
+            this.endReason = 'idle';
+            this.kill();
+        } else if (now >= closesAt - this.idleWarning) {
+            if (this.idleClosesAt !== closesAt) {
+                this.idleClosesAt = closesAt;
+                // How long is left rather than when, as the clients' clocks may not match ours
+                this.sendToWriters({ type: 'idle', closesIn: closesAt - now });
+            }
+            this.idleTimer = setTimeout(() => this.checkIdle(), closesAt - now);
+        } else {
+            this.scheduleIdleCheck();
+        }
+    }
+
+    write(data) {
+        if (!this.exited) this.term.write(data);
+    }
+
+    /**
+     * Write input from a client, if it holds the keyboard
+     * @param {WebSocket} ws - The owner's or a collaborator's connection
+     * @param {string|Buffer} data - Keystrokes, or bytes when binary is set
+     * @param {boolean} [binary] - Data is part of an in-band file transfer, only taken from the
+     * client running it while the session is in raw mode
+     */
+    input(ws, data, binary = false) {
+        const isValid = binary ? Buffer.isBuffer(data) && !!this.rawClient && ws === this.rawClient : typeof data === 'string';
+        if (!isValid || !this.canType(ws)) return;
+        this.write(data);
+        this.touch();
+        if (this.rawClient && ws === this.rawClient) this.watchRaw(Buffer.from(data), 'input');
+
+        // Whoever presses Enter is who ran the command, even if someone else started typing it
+        if (this.commands) {
+            const user = ws === this.ws ? this.user : this.collaborators.get(ws).name;
+            this.commands.input(binary ? data.toString() : data, user).forEach(entry => this.logCommand(entry));
+        }
+    }
+
+    // Lines are logged once the terminal has echoed them, which can be on input or on output
+    logCommand({ command, approximate, by }) {
+        this.log('command', { by, command, ...(approximate && { approximate }) });
+    }
+
+    /**
+     * Write an entry about this session to the audit log, if there is one
+     * @param {string} event - What happened
+     * @param {object} details - Anything besides the session's owner, ID and PID
+     */
+    log(event, details = {}) {
+        if (this.audit) this.audit.log(event, { user: this.user, session: this.id, pid: this.pid, ...details });
+    }
+
+    /**
+     * Switch raw mode for an in-band file transfer (ZMODEM, trzsz) on or off. Transfers aren't
+     * text, so while one runs the output goes only to the owner's client that runs it, as bytes,
+     * and is left out of the replay buffer, recordings and everyone else's screen. That's only
+     * allowed once the PTY has offered a transfer, and raw mode ends by itself when the transfer
+     * ends or stalls, so a client can't use it to keep a shell out of recordings.
+     * @param {WebSocket} ws - The owner's connection
+     * @param {boolean} enabled
+     */
+    setRaw(ws, enabled) {
+        if (!enabled) {
+            if (this.rawClient === ws) this.endRaw();
+            return;
+        }
+        if (ws !== this.ws || !this.canType(ws) || this.rawClient) return;
+
+        const offered = this.transferOfferedAt !== null && Date.now() - this.transferOfferedAt < TRANSFER_OFFER_TIMEOUT;
+        if (!offered) {
+            this.debugLog('Refusing raw mode without a transfer handshake, session:', this.id);
+            this.send({ type: 'raw', enabled: false });
+            return;
+        }
+        this.flushOutput();
+        this.rawClient = ws;
+        this.transferOfferedAt = null;
+        this.markerTails = { output: '', input: '' };
+        this.rawActivity = Date.now();
+        this.scheduleRawCheck();
+    }
+
+    /**
+     * Note a transfer handshake in the PTY's output, which raw mode needs
+     * @param {string} data - PTY output
+     */
+    watchForTransfer(data) {
+        const text = this.markerTails.output + data;
+        this.markerTails.output = text.slice(-MARKER_TAIL);
+        if (TRANSFER_START.test(text)) this.transferOfferedAt = Date.now();
+    }
+
+    /**
+     * Follow the bytes of a running transfer, to leave raw mode once it ends
+     * @param {Buffer} bytes - Transfer bytes
+     * @param {string} direction - 'output' from the PTY or 'input' from the client
+     */
+    watchRaw(bytes, direction) {
+        this.rawActivity = Date.now();
+        const text = this.markerTails[direction] + bytes.toString('latin1');
+        this.markerTails[direction] = text.slice(-MARKER_TAIL);
+        if (this.rawEnding || !TRANSFER_END.test(text)) return;
+
+        this.rawEnding = true;
+        clearTimeout(this.rawTimer);
+        this.rawTimer = setTimeout(() => this.endRaw(), RAW_END_DELAY);
+    }
+
+    // Check again when raw mode would have gone RAW_IDLE_TIMEOUT without any bytes
+    scheduleRawCheck() {
+        const due = this.rawActivity + RAW_IDLE_TIMEOUT;
+        this.rawTimer = setTimeout(() => {
+            if (Date.now() >= this.rawActivity + RAW_IDLE_TIMEOUT) {
+                this.debugLog('In-band transfer stalled, leaving raw mode, session:', this.id);
+                this.endRaw();
+            } else {
+                this.scheduleRawCheck();
+            }
+        }, Math.max(0, due - Date.now()));
+    }
+
+    // Leave raw mode, telling the client that ran the transfer in case it didn't ask to
+    endRaw() {
+        clearTimeout(this.rawTimer);
+        this.rawTimer = null;
+        this.rawEnding = false;
+        this.transferOfferedAt = null;
+        this.markerTails = { output: '', input: '' };
+        if (!this.rawClient) return;
+
+        const ws = this.rawClient;
+        this.rawClient = null;
+        this.decoder = new StringDecoder('utf8');
+        this.sendTo([ws], { type: 'raw', enabled: false });
+    }
+
+    /**
+     * @param {WebSocket} ws - The owner's or a collaborator's connection
+     * @returns {boolean}
+     */
+    canType(ws) {
+        if (ws === this.ws) return !this.keyboard || this.keyboard === 'owner';
+        const collaborator = this.collaborators.get(ws);
+        return !!collaborator && (!this.keyboard || this.keyboard === collaborator.id);
+    }
+
+    /**
+     * Decide who may type
+     * @param {string|null} holder - null for everyone, 'owner', or a collaborator's client ID
+     */
+    setKeyboard(holder) {
+        const isCollaborator = [...this.collaborators.values()].some(collaborator => collaborator.id === holder);
+        if (holder !== null && holder !== 'owner' && !isCollaborator) return;
+
+        this.keyboard = holder;
+        // A transfer can't go on without the keyboard
+        if (this.rawClient && !this.canType(this.rawClient)) this.endRaw();
+        this.sendPresence();
+    }
+
+    /**
+     * Record the size of a client's window and resize the PTY to fit the clients
+     * @param {WebSocket} ws - The owner's or a collaborator's connection
+     * @param {number} cols
+     * @param {number} rows
+     */
+    reportSize(ws, cols, rows) {
+        const isValid = (value) => Number.isInteger(value) && value > 0 && value <= MAX_TERMINAL_SIZE;
+        if (!isValid(cols) || !isValid(rows)) return;
+
+        if (ws === this.ws) {
+            this.ownerSize = { cols, rows };
+        } else if (this.collaborators.has(ws)) {
+            Object.assign(this.collaborators.get(ws), { cols, rows });
+        } else {
+            return;
+        }
+        this.applySize();
+    }
+
+    /**
+     * Resize the PTY by the resize policy - the owner's window, or the smallest client's so
+     * everyone sees the whole screen - and tell clients with a different size what it is
+     */
+    applySize() {
+        const writers = [
+            ...(this.ws && this.ownerSize ? [[this.ws, this.ownerSize]] : []),
+            ...[...this.collaborators].filter(([, collaborator]) => collaborator.cols)
+        ];
+        if (!writers.length) return;
+
+        const size = this.resizePolicy === 'owner' && this.ownerSize
+            ? this.ownerSize
+            : {
+                cols: Math.min(...writers.map(([, writer]) => writer.cols)),
+                rows: Math.min(...writers.map(([, writer]) => writer.rows))
+            };
+
+        const changed = size.cols !== this.cols || size.rows !== this.rows;
+        if (changed) this.resize(size.cols, size.rows);
+
+        // Clients may have been shrunk to an earlier size, so everyone hears about a change
+        const json = JSON.stringify({ type: 'resize', cols: size.cols, rows: size.rows });
+        for (const [ws, writer] of writers) {
+            const differs = writer.cols !== size.cols || writer.rows !== size.rows;
+            if ((changed || differs) && ws.readyState === ws.OPEN) ws.send(json);
+        }
+    }
+
+    resize(cols, rows) {
+        if (this.exited) return;
+        this.term.resize(cols, rows);
+        this.cols = cols;
+        this.rows = rows;
+        if (this.recorder) this.recorder.resize(cols, rows);
+
+        // Viewers follow the owner's terminal size
+        const json = JSON.stringify({ type: 'resize', cols, rows });
+        for (const ws of this.viewers.keys()) {
+            if (ws.readyState === ws.OPEN) ws.send(json);
+        }
+    }
+
+    get isRecording() {
+        return !!this.recorder;
+    }
+
+    /**
+     * Start writing this session's output to a recording
+     * @param {object} recorder - Recorder with output(data), resize(cols, rows) and close()
+     */
+    startRecording(recorder) {
+        if (this.exited || this.recorder) return;
+        this.recorder = recorder;
+        this.sendToWriters({ type: 'recording', enabled: true });
+    }
+
+    stopRecording() {
+        if (!this.recorder) return;
+        this.recorder.close();
+        this.recorder = null;
+        this.sendToWriters({ type: 'recording', enabled: false });
+    }
+
+    /**
+     * Create a share link for this session, keeping the current one if there is one
+     * @param {number} ttl - How long (ms) the link stays valid
+     * @param {string} mode - 'view' for read-only, 'collaborate' to let logged in users type too
+     * @returns {{ token: string, expiresAt: number }|null}
+     */
+    share(ttl, mode = 'view') {
+        if (!SHARE_MODES.includes(mode) || this.exited) return null;
+        if (this.shareLinks[mode]) return this.shareLinks[mode];
+
+        this.shareLinks[mode] = {
+            token: crypto.randomBytes(24).toString('base64url'),
+            expiresAt: Date.now() + ttl
+        };
+        this.shareTimers[mode] = setTimeout(() => this.revokeShare(mode, 'Share link expired'), ttl);
+        this.debugLog(`Session shared (${mode}):`, this.id);
+        this.sendShareState();
+        return this.shareLinks[mode];
+    }
+
+    /**
+     * Invalidate a share link and disconnect everyone who joined through it
+     * @param {string} mode - 'view' or 'collaborate'
+     * @param {string} reason - Close reason sent to the disconnected clients
+     */
+    revokeShare(mode = 'view', reason = 'Share link revoked') {
+        if (!SHARE_MODES.includes(mode) || !this.shareLinks[mode]) return;
+
+        clearTimeout(this.shareTimers[mode]);
+        this.shareLinks[mode] = null;
+        const clients = mode === 'view' ? this.viewers : this.collaborators;
+        for (const ws of clients.keys()) {
+            ws.close(4003, reason);
+        }
+        this.debugLog(`Session share (${mode}) ended:`, this.id, reason);
+        this.sendShareState();
+    }
+
+    /**
+     * Add a read-only client. Viewers get the output but nothing they send reaches the PTY
+     * @param {WebSocket} ws - The viewer's connection
+     * @param {string} name - Shown to the owner in the list of viewers
+     */
+    addViewer(ws, name) {
+        this.viewers.set(ws, { name, since: Date.now() });
+        this.sendShareState();
+    }
+
+    removeViewer(ws) {
+        if (this.viewers.delete(ws)) this.sendShareState();
+    }
+
+    /**
+     * Add a client that types into the session alongside the owner
+     * @param {WebSocket} ws - The collaborator's connection, with a clientId
+     * @param {string} name - Username of the collaborator
+     */
+    addCollaborator(ws, name) {
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+
+        this.collaborators.set(ws, { id: ws.clientId, name, since: Date.now(), cols: 0, rows: 0 });
+        this.sendPresence();
+    }
+
+    removeCollaborator(ws) {
+        const collaborator = this.collaborators.get(ws);
+        if (!collaborator) return;
+
+        this.collaborators.delete(ws);
+        this.acks.delete(ws);
+        this.updateFlow();
+        // The keyboard goes back to the owner when whoever had it leaves
+        if (this.keyboard === collaborator.id) this.keyboard = 'owner';
+        this.sendPresence();
+        this.applySize();
+        this.startGracePeriod();
+    }
+
+    /**
+     * @returns {{ links: { view: object|null, collaborate: object|null }, viewers: Array<{ name: string, since: number }> }}
+     */
+    get shareState() {
+        return { links: { ...this.shareLinks }, viewers: [...this.viewers.values()] };
+    }
+
+    // Keep the owner's view of the links and who is watching up to date
+    sendShareState() {
+        this.send({ type: 'share', ...this.shareState });
+    }
+
+    /**
+     * Who is attached and may type
+     * @returns {{ clients: Array<{ id: string, name: string, owner: boolean, typing: boolean }>, keyboard: string|null }}
+     */
+    get presence() {
+        const clients = [...this.collaborators.values()].map(({ id, name }) => ({
+            id,
+            name,
+            owner: false,
+            typing: !this.keyboard || this.keyboard === id
+        }));
+        if (this.ws) {
+            clients.unshift({
+                id: this.ws.clientId,
+                name: this.user,
+                owner: true,
+                typing: !this.keyboard || this.keyboard === 'owner'
+            });
+        }
+        return { clients, keyboard: this.keyboard };
+    }
+
+    sendPresence() {
+        this.sendToWriters({ type: 'presence', ...this.presence });
+    }
+
+    /**
+     * Everyone connected to this session, for the sessions page
+     * @returns {Array<{ id: string, role: string, name: string, ip: string, since: number }>}
+     */
+    get clients() {
+        const clients = [];
+        if (this.ws) {
+            clients.push({ id: this.ws.clientId, role: 'owner', name: this.user, ip: this.ws.ip, since: this.attachedAt });
+        }
+        for (const [ws, { name, since }] of this.collaborators) {
+            clients.push({ id: ws.clientId, role: 'collaborator', name, ip: ws.ip, since });
+        }
+        for (const [ws, { name, since }] of this.viewers) {
+            clients.push({ id: ws.clientId, role: 'viewer', name, ip: ws.ip, since });
+        }
+        return clients;
+    }
+
+    /**
+     * Close one client's connection. The PTY keeps running, as it does when a client goes away
+     * @param {string} clientId - The client's ID
+     * @returns {boolean} Whether the client was connected
+     */
+    disconnect(clientId) {
+        const ws = [this.ws, ...this.collaborators.keys(), ...this.viewers.keys()]
+            .find(client => client && client.clientId === clientId);
+        if (!ws) return false;
+        this.debugLog('Disconnecting client from session:', this.id, clientId);
+        ws.close(4004, 'Disconnected by an admin');
+        return true;
+    }
+
+    /**
+     * What is running in the foreground of the terminal, the shell itself when nothing else is
+     * @returns {Promise<{ pid: number|null, command: string }|null>}
+     */
+    async getForegroundProcess() {
+        if (this.exited) return null;
+        try {
+            // The shell's stat has the terminal's foreground process group, whose leader is the job
+            const stat = await fs.promises.readFile(`/proc/${this.pid}/stat`, 'utf8');
+            const foreground = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[5], 10);
+            if (foreground > 0) {
+                const cmdline = await fs.promises.readFile(`/proc/${foreground}/cmdline`, 'utf8');
+                const command = cmdline.split('\0').filter(Boolean).join(' ');
+                if (command) return { pid: foreground, command };
+            }
+        } catch {
+            // No /proc (macOS, Windows), or the process just exited
+        }
+        // node-pty knows the process' name on any platform
+        return typeof this.term.process === 'string' ? { pid: null, command: this.term.process } : null;
+    }
+
+    kill() {
+        if (!this.exited) this.term.kill();
+    }
+}
+
+class TerminalSessionManager {
+    /**
+     * @param {object} options
+     * @param {Function} options.spawn - Returns a new PTY process for the given account and options
+     * @param {number} options.gracePeriod - How long (ms) detached sessions are kept alive
+     * @param {number} options.bufferSize - Characters of output each session keeps for replay
+     * @param {string} options.resizePolicy - How shared sessions are sized, 'smallest' or 'owner'
+     * @param {number} options.batchDelay - How long (ms) sessions collect output for before sending it
+     * @param {number} options.idleTimeout - How long (ms) a session may go without input or output, 0 for no limit
+     * @param {number} options.idleWarning - How long (ms) before closing an idle session its clients are warned
+     * @param {object|null} options.audit - Audit log for sessions and the commands run in them
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({
+        spawn,
+        gracePeriod = DEFAULT_GRACE_PERIOD,
+        bufferSize = DEFAULT_BUFFER_SIZE,
+        resizePolicy = 'smallest',
+        batchDelay = DEFAULT_BATCH_DELAY,
+        idleTimeout = 0,
+        idleWarning = DEFAULT_IDLE_WARNING,
+        audit = null,
+        debugLog = () => {}
+    }) {
+        this.spawn = spawn;
+        this.gracePeriod = gracePeriod;
+        this.bufferSize = bufferSize;
+        this.resizePolicy = resizePolicy;
+        this.batchDelay = batchDelay;
+        this.idleTimeout = idleTimeout;
+        this.idleWarning = idleWarning;
+        this.audit = audit;
+        this.debugLog = debugLog;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Spawn a new PTY and register it under a fresh session ID
+     * @param {object} account - Account the shell is started for
+     * @param {object} [options] - Passed on to spawn, e.g. the directory to start in
+     * @returns {TerminalSession}
+     */
+    create(account, options = {}) {
+        const id = crypto.randomUUID();
+        // Handed to the shell, where dt-download and dt-edit put it in their requests, and to the owner's
+        // browser, which ignores requests without it. Output from anything else - a file being
+        // cat'ed, a remote host - can't know it, so it can't pass for a request.
+        const helperToken = crypto.randomBytes(16).toString('hex');
+        const session = new TerminalSession(id, this.spawn(account, { ...options, helperToken }), account.username, {
+            helperToken,
+            gracePeriod: this.gracePeriod,
+            bufferSize: this.bufferSize,
+            resizePolicy: this.resizePolicy,
+            batchDelay: this.batchDelay,
+            idleTimeout: this.idleTimeout,
+            idleWarning: this.idleWarning,
+            audit: this.audit,
+            debugLog: this.debugLog,
+            onEnd: (ended) => this.sessions.delete(ended.id)
+        });
+        this.sessions.set(id, session);
+        session.log('session_start', { cwd: options.cwd });
+        return session;
+    }
+
+    /**
+     * Look up a live session
+     * @param {string} id - Session ID
+     * @returns {TerminalSession|null}
+     */
+    get(id) {
+        const session = id ? this.sessions.get(id) : null;
+        return session && !session.exited ? session : null;
+    }
+
+    /**
+     * @returns {TerminalSession[]} Every live session, oldest first
+     */
+    list() {
+        return [...this.sessions.values()].filter(session => !session.exited);
+    }
+
+    /**
+     * Look up the live session a share link belongs to
+     * @param {string} token - Share link token
+     * @param {string} mode - 'view' or 'collaborate'
+     * @returns {TerminalSession|null}
+     */
+    getShared(token, mode = 'view') {
+        if (!token || !SHARE_MODES.includes(mode)) return null;
+        for (const session of this.sessions.values()) {
+            const link = session.shareLinks[mode];
+            if (!session.exited && link && link.token === token && link.expiresAt > Date.now()) return session;
+        }
+        return null;
+    }
+
+    /**
+     * Kill every session owned by a user
+     * @param {string} user - Username
+     */
+    killUser(user) {
+        for (const session of this.sessions.values()) {
+            if (session.user === user) session.kill();
+        }
+    }
+
+    killAll() {
+        for (const session of this.sessions.values()) {
+            session.kill();
+        }
+    }
+}
+
+module.exports = { TerminalSession, TerminalSessionManager };
@@ -0,0 +1,181 @@
+/**
+ * TOTP two-factor authentication (RFC 6238).
+ * Generates and verifies time-based one-time codes compatible with authenticator apps, and keeps
+ * each user's secret, recovery codes and last used time step in a JSON file in the data directory.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP = 30; // seconds
+const DIGITS = 6;
+const WINDOW = 1; // accept codes from one step before/after to allow for clock drift
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a one-time code for a time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastCounter - Last time step that was used, codes at or before it are rejected
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastCounter = -1) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const current = Math.floor(Date.now() / 1000 / TIME_STEP);
+    for (let counter = current - WINDOW; counter <= current + WINDOW; counter++) {
+        // Each code can only be used once
+        if (counter <= lastCounter) continue;
+
+        const expected = Buffer.from(generateCode(secret, counter));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) return counter;
+    }
+    return null;
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Build the otpauth:// URL authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} issuer - Shown as the account's issuer (site title)
+ * @param {string} username - Shown as the account name
+ * @returns {string}
+ */
+function getOtpAuthUrl(secret, issuer, username) {
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: TIME_STEP });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+class TotpStore {
+    /**
+     * @param {string} file - JSON file to keep enrolled users in
+     * @param {Function} debugLog - Debug logger
+     */
+    constructor(file, debugLog = () => {}) {
+        this.file = file;
+        this.debugLog = debugLog;
+        this.users = {};
+
+        try {
+            this.users = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Failed to load TOTP file:', error.message);
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2), { mode: 0o600 });
+    }
+
+    isEnrolled(username) {
+        return !!this.users[username];
+    }
+
+    /**
+     * Enroll a user once they've proven their authenticator works
+     * @param {string} username - User to enroll
+     * @param {string} secret - Base32 secret from the setup step
+     * @param {string} code - Code from the user's authenticator
+     * @returns {string[]|null} Plain recovery codes to show once, or null if the code was wrong
+     */
+    enroll(username, secret, code) {
+        const counter = verifyCode(secret, code);
+        if (counter === null) return null;
+
+        const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(4).toString('hex');
+            return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+        });
+
+        this.users[username] = {
+            secret,
+            lastCounter: counter,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+            enrolledAt: new Date().toISOString()
+        };
+        this.save();
+        this.debugLog('TOTP enrolled for user:', username);
+        return recoveryCodes;
+    }
+
+    /**
+     * Verify a TOTP code or a single-use recovery code
+     * @param {string} username - Enrolled user
+     * @param {string} code - Code entered by the user
+     * @returns {boolean} True if the code is valid
+     */
+    verify(username, code) {
+        const user = this.users[username];
+        if (!user || typeof code !== 'string') return false;
+
+        const counter = verifyCode(user.secret, code.trim(), user.lastCounter);
+        if (counter !== null) {
+            user.lastCounter = counter;
+            this.save();
+            return true;
+        }
+
+        const recoveryIndex = user.recoveryCodes.indexOf(hashRecoveryCode(code));
+        if (recoveryIndex !== -1) {
+            user.recoveryCodes.splice(recoveryIndex, 1);
+            this.save();
+            this.debugLog('Recovery code used for user:', username, 'remaining:', user.recoveryCodes.length);
+            return true;
+        }
+
+        return false;
+    }
+}
+
+module.exports = { TotpStore, generateSecret, getOtpAuthUrl };
@@ -0,0 +1,100 @@
+/**
+ * Trusted reverse proxy authentication.
+ * Takes the logged in user from a header set by a forward auth proxy (Authelia, Authentik, etc.),
+ * but only on connections that come straight from one of the configured proxy addresses, so
+ * clients can't log in by sending the header themselves.
+ */
+const net = require('net');
+
+// Plain usernames only - no control characters, separators or absurd lengths
+const USERNAME_PATTERN = /^[^\s\x00-\x1f\x7f,;]{1,128}$/;
+
+/**
+ * Strip the IPv6 prefix Node adds to IPv4 addresses on dual-stack sockets
+ * @param {string} address - Socket remote address
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+    return address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7))
+        ? address.slice(7)
+        : address;
+}
+
+class TrustedProxyAuth {
+    /**
+     * @param {object} options
+     * @param {string} options.header - Header the proxy puts the username in, e.g. Remote-User
+     * @param {string} options.ranges - Comma-separated proxy addresses or CIDR ranges
+     * @param {Function} options.debugLog - Debug logger
+     */
+    constructor({ header, ranges, debugLog = () => {} }) {
+        this.header = (header || '').trim().toLowerCase();
+        this.debugLog = debugLog;
+        this.proxies = new net.BlockList();
+        this.rangeCount = 0;
+
+        for (const range of (ranges || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+            const [address, prefix] = range.split('/');
+            const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            const maxPrefix = type === 'ipv6' ? 128 : 32;
+            if (!net.isIP(address) || (prefix !== undefined && (!/^\d+$/.test(prefix) || parseInt(prefix, 10) > maxPrefix))) {
+                console.error(`Ignoring invalid trusted proxy address: ${range}`);
+                continue;
+            }
+
+            if (prefix === undefined) {
+                this.proxies.addAddress(address, type);
+            } else {
+                this.proxies.addSubnet(address, parseInt(prefix, 10), type);
+            }
+            this.rangeCount++;
+        }
+
+        // Trusting the header from anywhere would let anyone log in as anyone
+        if (this.header && !this.rangeCount) {
+            console.error('TRUSTED_PROXY_HEADER is set but TRUSTED_PROXY_IPS is empty, proxy authentication is disabled');
+        }
+    }
+
+    get enabled() {
+        return !!this.header && this.rangeCount > 0;
+    }
+
+    /**
+     * @param {string} address - Remote address of the connection
+     * @returns {boolean} True if the address belongs to a trusted proxy
+     */
+    isTrusted(address) {
+        const normalized = normalizeAddress(address);
+        if (!normalized || !net.isIP(normalized)) return false;
+        return this.proxies.check(normalized, net.isIPv6(normalized) ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Get the user the proxy authenticated for a request or WebSocket upgrade
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {string|null} Username, or null if the request didn't come through a trusted proxy
+     */
+    getUser(req) {
+        if (!this.enabled) return null;
+
+        const value = req.headers[this.header];
+        if (typeof value !== 'string') return null;
+
+        // The socket address, not req.ip - X-Forwarded-For is just another header the client controls
+        const address = req.socket && req.socket.remoteAddress;
+        if (!this.isTrusted(address)) {
+            this.debugLog('Ignoring proxy auth header from untrusted address:', address);
+            return null;
+        }
+
+        const username = value.trim();
+        if (!USERNAME_PATTERN.test(username)) {
+            this.debugLog('Ignoring invalid username in proxy auth header');
+            return null;
+        }
+        return username;
+    }
+}
+
+module.exports = { TrustedProxyAuth };
@@ -0,0 +1,222 @@
+/**
+ * User accounts.
+ * Loads named accounts from a JSON users file so every person gets their own credentials,
+ * shell user, home directory, permissions and file browser folders. The file is re-read whenever it changes.
+ *
+ * Generate a hashed PIN/password for the file with: node scripts/users.js hash <secret>
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PERMISSIONS = ['terminal', 'admin'];
+const DEFAULT_PERMISSIONS = ['terminal'];
+const HASH_PREFIX = 'scrypt';
+
+/**
+ * Hash a PIN or password for storage in the users file
+ * @param {string} secret - Plain text PIN or password
+ * @returns {string} Hash in the form scrypt:<salt>:<hash>
+ */
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(secret, salt, 64);
+    return `${HASH_PREFIX}:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Constant-time check of a provided secret against a stored plain or hashed secret
+ * @param {string} stored - Secret from the users file
+ * @param {string} provided - Secret entered by the user
+ * @returns {boolean} True if they match
+ */
+function verifySecret(stored, provided) {
+    if (!stored || !provided) return false;
+
+    try {
+        if (stored.startsWith(`${HASH_PREFIX}:`)) {
+            const [, salt, hash] = stored.split(':');
+            const expected = Buffer.from(hash, 'hex');
+            const actual = crypto.scryptSync(provided, Buffer.from(salt, 'hex'), expected.length);
+            return crypto.timingSafeEqual(expected, actual);
+        }
+
+        const expected = Buffer.from(stored);
+        const actual = Buffer.from(provided);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Look up a system user in /etc/passwd
+ * @param {string} name - System user name
+ * @returns {{ uid: number, gid: number, home: string, shell: string }|null}
+ */
+function lookupSystemUser(name) {
+    try {
+        const line = fs.readFileSync('/etc/passwd', 'utf8')
+            .split('\n')
+            .find(entry => entry.split(':')[0] === name);
+        if (!line) return null;
+
+        const [, , uid, gid, , home, shell] = line.split(':');
+        return { uid: parseInt(uid, 10), gid: parseInt(gid, 10), home, shell };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether an account has a permission
+ * @param {object} account - Account from the UserStore
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(account, permission) {
+    return !!account && account.permissions.includes(permission);
+}
+
+class UserStore {
+    /**
+     * @param {string} file - Path to the users JSON file
+     * @param {Function} debugLog - Debug logger
+     */
+    constructor(file, debugLog = () => {}) {
+        this.file = file;
+        this.debugLog = debugLog;
+        this.accounts = new Map();
+        // Used to spend the same time on unknown usernames as on real ones
+        this.dummySecret = hashSecret(crypto.randomBytes(16).toString('hex'));
+    }
+
+    /**
+     * Read the users file. Invalid entries are skipped with an error so one typo
+     * doesn't lock everyone out.
+     * @returns {Map<string, object>} Accounts keyed by username
+     */
+    load() {
+        const accounts = new Map();
+
+        try {
+            const { users = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+            users.forEach((entry, index) => {
+                const account = this.normalize(entry, index);
+                if (account) accounts.set(account.username, account);
+            });
+        } catch (error) {
+            console.error(`Failed to load users file ${this.file}:`, error.message);
+            // Keep the previous accounts if the file is mid-edit or broken
+            return this.accounts;
+        }
+
+        this.accounts = accounts;
+        this.debugLog('Loaded user accounts:', Array.from(accounts.keys()));
+        return accounts;
+    }
+
+    /**
+     * Validate a users file entry and resolve its shell user
+     * @param {object} entry - Raw entry from the users file
+     * @param {number} index - Position in the file, for error messages
+     * @returns {object|null} Normalized account or null if invalid
+     */
+    normalize(entry, index) {
+        const { username, pin, password, shellUser, home, shell, permissions, paths, disabled } = entry || {};
+        const secret = password || pin;
+
+        if (!username || typeof username !== 'string' || !secret || typeof secret !== 'string') {
+            console.error(`Users file entry #${index + 1} needs a username and a pin or password, skipping`);
+            return null;
+        }
+
+        const account = {
+            username,
+            secret,
+            disabled: disabled === true,
+            permissions: Array.isArray(permissions)
+                ? permissions.filter(permission => PERMISSIONS.includes(permission))
+                : DEFAULT_PERMISSIONS,
+            uid: undefined,
+            gid: undefined,
+            home,
+            shell,
+            // Folders the file browser and file transfers are limited to, unset for no limit
+            paths: undefined
+        };
+
+        if (paths !== undefined) {
+            if (!Array.isArray(paths) || !paths.length
+                || !paths.every(entry => typeof entry === 'string' && path.isAbsolute(entry))) {
+                console.error(`Paths for account "${username}" must be a non-empty list of absolute paths, skipping`);
+                return null;
+            }
+            account.paths = paths;
+        }
+
+        if (shellUser) {
+            const systemUser = lookupSystemUser(shellUser);
+            if (!systemUser) {
+                console.error(`Shell user "${shellUser}" for account "${username}" does not exist, skipping`);
+                return null;
+            }
+            account.shellUser = shellUser;
+            account.uid = systemUser.uid;
+            account.gid = systemUser.gid;
+            account.home = home || systemUser.home;
+            account.shell = shell || systemUser.shell;
+        }
+
+        return account;
+    }
+
+    /**
+     * Re-read the users file whenever it changes
+     * @param {Function} onChange - Called with the usernames that were removed or disabled
+     */
+    watch(onChange = () => {}) {
+        fs.watchFile(this.file, { interval: 2000 }, () => {
+            const previous = Array.from(this.accounts.keys());
+            this.load();
+            const revoked = previous.filter(username => !this.get(username));
+            onChange(revoked);
+        });
+    }
+
+    /**
+     * Get an enabled account
+     * @param {string} username - Account name
+     * @returns {object|null}
+     */
+    get(username) {
+        const account = username ? this.accounts.get(username) : null;
+        return account && !account.disabled ? account : null;
+    }
+
+    /**
+     * Check a username and PIN/password
+     * @param {string} username - Account name
+     * @param {string} secret - Entered PIN or password
+     * @returns {object|null} The account if the credentials are valid
+     */
+    verify(username, secret) {
+        const account = this.get(username);
+        const isValid = verifySecret(account ? account.secret : this.dummySecret, secret);
+        return account && isValid ? account : null;
+    }
+}
+
+// CLI: node scripts/users.js hash <secret>
+if (require.main === module) {
+    const [command, secret] = process.argv.slice(2);
+    if (command === 'hash' && secret) {
+        console.log(hashSecret(secret));
+    } else {
+        console.log('Usage: node scripts/users.js hash <pin-or-password>');
+        process.exit(1);
+    }
+}
+
+module.exports = { UserStore, hasPermission, hashSecret, PERMISSIONS };
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const express = require('express');
+const proxyAddr = require('proxy-addr');
 const session = require('express-session');
 const crypto = require('crypto');
 const path = require('path');
@@ -7,10 +8,25 @@ const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const pty = require('node-pty');
 const os = require('os');
 const { generatePWAManifest } = require("./scripts/pwa-manifest-generator");
 const { originValidationMiddleware, getCorsOptions, validateOrigin } = require('./scripts/cors');
+const { TerminalSessionManager } = require('./scripts/terminal-sessions');
+const terminalProtocol = require('./scripts/terminal-protocol');
+const { UserStore, hasPermission, PERMISSIONS } = require('./scripts/users');
+const { TokenService } = require('./scripts/auth-tokens');
+const { FileSessionStore } = require('./scripts/session-store');
+const { TotpStore, generateSecret, getOtpAuthUrl } = require('./scripts/totp');
+const QRCode = require('qrcode');
+const { PasskeyStore } = require('./scripts/passkeys');
+const { TrustedProxyAuth } = require('./scripts/trusted-proxy');
+const { OidcProvider } = require('./scripts/oidc');
+const { RecordingStore } = require('./scripts/recordings');
+const { FileTransfer } = require('./scripts/file-transfer');
+const { AuditLog, getSessionHistory } = require('./scripts/audit-log');
 
 const app = express();
 const server = http.createServer(app);
@@ -25,9 +41,11 @@ const APP_VERSION = require('./package.json').version;
 const PUBLIC_DIR = path.join(__dirname, 'public');
 const ptyModule = DEMO_MODE ? require('./scripts/demo/terminal') : pty;
 const ASSETS_DIR = path.join(PUBLIC_DIR, 'assets');
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
 const CACHE_NAME = `DUMBTERM_CACHE_V${APP_VERSION}`;
 
 generatePWAManifest(SITE_TITLE);
+fs.mkdirSync(DATA_DIR, { recursive: true }); // Holds state that must survive restarts (sessions, secrets, etc.)
 
 function debugLog(...args) {
     if (DEBUG) {
@@ -59,15 +77,73 @@ const BASE_PATH = (() => {
     }
 })();
 
+// Origin the site is reached at, for passkeys and SSO redirects
+const SITE_ORIGIN = (() => {
+    try {
+        return new URL(BASE_URL).origin;
+    } catch {
+        return `http://localhost:${PORT}`;
+    }
+})();
+
 // Get the project name from package.json to use for the PIN environment variable
 const projectName = require('./package.json').name.toUpperCase().replace(/-/g, '_');
 const PIN = process.env[`${projectName}_PIN`];
 const isPinRequired = PIN && PIN.trim() !== '';
 
-// Log whether PIN protection is enabled
-if (isPinRequired) {
+// Named user accounts replace the shared PIN when a users file exists
+const USERS_FILE = path.resolve(process.env.USERS_FILE || path.join(DATA_DIR, 'users.json'));
+const isMultiUser = fs.existsSync(USERS_FILE);
+const userStore = new UserStore(USERS_FILE, debugLog);
+
+// Forward auth: a reverse proxy (Authelia, Authentik, etc.) tells us who the user is
+const proxyAuth = new TrustedProxyAuth({
+    header: process.env.TRUSTED_PROXY_HEADER,
+    ranges: process.env.TRUSTED_PROXY_IPS,
+    debugLog
+});
+
+// OpenID Connect single sign-on, DumbTerm logs users in through the provider itself
+const oidc = new OidcProvider({
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${SITE_ORIGIN}${BASE_PATH}/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES,
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM,
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM,
+    allowedUsers: process.env.OIDC_ALLOWED_USERS,
+    allowedGroups: process.env.OIDC_ALLOWED_GROUPS,
+    debugLog
+});
+
+// Whether DumbTerm has a PIN/password form, a login page at all, or only trusts the proxy
+const hasLocalLogin = isMultiUser || !!isPinRequired;
+const hasLoginPage = hasLocalLogin || oidc.enabled;
+const isAuthRequired = hasLoginPage || proxyAuth.enabled;
+
+// Without user accounts everyone shares this account, with every permission
+const DEFAULT_ACCOUNT = { username: 'default', permissions: PERMISSIONS };
+
+// Log which authentication mode is enabled
+if (proxyAuth.enabled) {
+    debugLog('Trusted proxy authentication enabled with header:', proxyAuth.header);
+}
+if (oidc.enabled) {
+    debugLog('OIDC login enabled with issuer:', oidc.issuer, 'redirect URI:', oidc.redirectUri);
+    // Every SSO user would get the shared account, shell and all, so the provider alone can't decide
+    if (!oidc.hasAllowlist && !isMultiUser) {
+        console.error('OIDC login needs OIDC_ALLOWED_USERS, OIDC_ALLOWED_GROUPS or a users file, otherwise anyone with an account at the provider gets a shell');
+        process.exit(1);
+    }
+}
+if (isMultiUser) {
+    userStore.load();
+    debugLog('User accounts enabled from:', USERS_FILE);
+    if (isPinRequired) console.warn(`${projectName}_PIN is ignored because a users file is configured`);
+} else if (isPinRequired) {
     debugLog('PIN protection is enabled, PIN length:', PIN.length);
-} else {
+} else if (!proxyAuth.enabled && !oidc.enabled) {
     debugLog('PIN protection is disabled');
 }
 
@@ -76,6 +152,153 @@ const loginAttempts = new Map();
 const MAX_ATTEMPTS = 5;
 const LOCKOUT_TIME = (process.env.LOCKOUT_TIME || 15) * 60 * 1000; // default 15 minutes in milliseconds
 const MAX_SESSION_AGE = (process.env.MAX_SESSION_AGE || 24) * 60 * 60 * 1000 // default 24 hours
+const TERMINAL_GRACE_PERIOD = (process.env.TERMINAL_GRACE_PERIOD || 10) * 60 * 1000; // default 10 minutes
+// Terminals with no input or output for this long are closed, after warning their clients. 0 keeps them open
+const TERMINAL_IDLE_TIMEOUT = (parseFloat(process.env.TERMINAL_IDLE_TIMEOUT) || 0) * 60 * 1000;
+const TERMINAL_IDLE_WARNING = (parseFloat(process.env.TERMINAL_IDLE_WARNING) || 1) * 60 * 1000; // default 1 minute
+// Browsers left untouched for this long are logged out and sent back to the login page. 0 never locks them
+const INACTIVITY_LOCK = (parseFloat(process.env.INACTIVITY_LOCK) || 0) * 60 * 1000;
+// Browsers report their activity at most every 30 seconds, so the server gives them this long
+// past INACTIVITY_LOCK before it ends a login itself
+const INACTIVITY_LOCK_GRACE = 60 * 1000;
+const ACTIVITY_REPORT_INTERVAL = 30 * 1000;
+const TERMINAL_BUFFER_SIZE = (process.env.TERMINAL_BUFFER_SIZE || 256) * 1024; // default 256 KB of output per terminal
+const TERMINAL_BATCH_DELAY = parseInt(process.env.TERMINAL_BATCH_DELAY || 5, 10); // ms, 0 sends output as soon as the shell writes it
+// permessage-deflate on the terminal WebSockets, for messages of at least WS_COMPRESSION_THRESHOLD bytes
+const WS_COMPRESSION = process.env.WS_COMPRESSION !== 'false';
+const WS_COMPRESSION_THRESHOLD = parseInt(process.env.WS_COMPRESSION_THRESHOLD || 1024, 10);
+const WS_COMPRESSION_LEVEL = Math.min(9, Math.max(1, parseInt(process.env.WS_COMPRESSION_LEVEL || 1, 10) || 1)); // zlib level, 1 is fastest
+const RECORD_SESSIONS = process.env.RECORD_SESSIONS === 'true'; // record every terminal, users can't opt out
+const SHARE_LINK_TTL = (process.env.SHARE_LINK_TTL || 60) * 60 * 1000; // default 1 hour
+// How a terminal with collaborators is sized: 'smallest' fits everyone's window, 'owner' uses the owner's
+const COLLAB_RESIZE = process.env.COLLAB_RESIZE === 'owner' ? 'owner' : 'smallest';
+// Folders the file browser and file transfers can reach, unless an account sets its own paths
+// Unset, or a list with no folders in it, leaves file access unlimited
+const ALLOWED_PATHS = (process.env.ALLOWED_PATHS || '').split(',')
+    .map(entry => entry.trim()).filter(Boolean).map(entry => path.resolve(entry));
+const UPLOAD_MAX_SIZE = (process.env.UPLOAD_MAX_SIZE || 100) * 1024 * 1024; // default 100 MB, 0 disables uploads
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(DATA_DIR, 'recordings'));
+// Audit log of logins, terminal connections and commands, as JSON lines rotated daily or at AUDIT_MAX_SIZE
+const AUDIT_LOG = process.env.AUDIT_LOG === 'true';
+const AUDIT_DIR = path.resolve(process.env.AUDIT_DIR || path.join(DATA_DIR, 'audit'));
+const AUDIT_MAX_SIZE = (process.env.AUDIT_MAX_SIZE || 10) * 1024 * 1024; // default 10 MB per file
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || 90, 10); // 0 keeps rotated files forever
+
+// Secret for signing sessions and auth tokens. It's kept in the data directory (unless configured)
+// so restarts and container upgrades don't log everyone out.
+const SERVER_SECRET = (() => {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+    const secretFile = path.join(DATA_DIR, 'session-secret');
+    try {
+        return fs.readFileSync(secretFile, 'utf8').trim();
+    } catch {
+        const secret = crypto.randomBytes(32).toString('hex');
+        try {
+            fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+            debugLog('Generated new session secret:', secretFile);
+        } catch (error) {
+            console.warn('Could not save session secret, logins will not survive a restart:', error.message);
+        }
+        return secret;
+    }
+})();
+
+// The auth cookie holds a signed, expiring token - never the PIN itself
+const AUTH_COOKIE = `${projectName}_AUTH`;
+const tokens = new TokenService({
+    secret: SERVER_SECRET,
+    maxAge: MAX_SESSION_AGE,
+    // Tokens are signed with the current PIN/password, so changing it invalidates them
+    getCredential: (username) => {
+        if (!isMultiUser) {
+            if (username === DEFAULT_ACCOUNT.username && isPinRequired) return PIN;
+            // SSO users without a users file only exist at the provider
+            return oidc.enabled ? `oidc:${oidc.issuer}:${oidc.clientId}` : null;
+        }
+        const account = userStore.get(username);
+        return account ? account.secret : null;
+    },
+    revocationsFile: path.join(DATA_DIR, 'revoked-tokens.json'),
+    // The inactivity lock holds even for a browser that never runs its script
+    idleTimeout: INACTIVITY_LOCK && INACTIVITY_LOCK + INACTIVITY_LOCK_GRACE,
+    debugLog
+});
+
+/**
+ * Resolve the account behind a request from its auth cookie
+ * @param {object} req - Express or WebSocket upgrade request with parsed cookies
+ * @returns {object|null} The account, or null if the request isn't authenticated
+ */
+function authenticate(req) {
+    if (!isAuthRequired) return DEFAULT_ACCOUNT;
+
+    // A user vouched for by the trusted proxy doesn't need a token
+    const proxyUser = proxyAuth.getUser(req);
+    if (proxyUser) return getAccount(proxyUser);
+
+    const claims = tokens.verify(req.cookies && req.cookies[AUTH_COOKIE]);
+    if (!claims) return null;
+    return getAccount(claims.sub);
+}
+
+/**
+ * Map a username (from a token, the proxy or SSO) to an account. With user accounts the name
+ * must exist in the users file, so shell user and permissions still come from there. Otherwise
+ * each user gets the shared account's permissions under their own name.
+ * @param {string} username - Authenticated username
+ * @returns {object|null}
+ */
+function getAccount(username) {
+    if (isMultiUser) {
+        const account = userStore.get(username);
+        if (!account) debugLog('User has no enabled account:', username);
+        return account;
+    }
+    return username === DEFAULT_ACCOUNT.username ? DEFAULT_ACCOUNT : { ...DEFAULT_ACCOUNT, username };
+}
+
+// Optional TOTP second factor, required for every user once enabled
+const TOTP_ENABLED = process.env.TOTP_ENABLED === 'true';
+const PENDING_LOGIN_TTL = 5 * 60 * 1000; // time allowed between the PIN and the TOTP step
+const totpStore = new TotpStore(path.join(DATA_DIR, 'totp.json'), debugLog);
+
+// Passkeys are bound to the site's domain, taken from BASE_URL
+const WEBAUTHN_RP_ID = new URL(SITE_ORIGIN).hostname;
+const passkeyStore = new PasskeyStore(path.join(DATA_DIR, 'passkeys.json'), debugLog, {
+    rpName: SITE_TITLE,
+    rpID: WEBAUTHN_RP_ID,
+    origin: SITE_ORIGIN
+});
+
+const audit = AUDIT_LOG
+    ? new AuditLog({ dir: AUDIT_DIR, maxSize: AUDIT_MAX_SIZE, retentionDays: AUDIT_RETENTION_DAYS, debugLog })
+    : null;
+
+// Client's address, without the IPv4-mapped IPv6 prefix. WebSocket upgrade requests don't go
+// through Express and have no req.ip, so they're resolved with the same trust proxy setting.
+function getClientAddress(req) {
+    return String(req.ip || proxyAddr(req, app.get('trust proxy fn'))).replace(/^::ffff:/, '');
+}
+
+/**
+ * Write a login or connection event to the audit log, along with where it came from
+ * @param {object} req - Express or WebSocket upgrade request
+ * @param {string} event - What happened, e.g. 'login'
+ * @param {object} details - Who it was and anything else worth keeping
+ */
+function auditEvent(req, event, details = {}) {
+    if (audit) audit.log(event, { ...details, ip: getClientAddress(req) });
+}
+
+function getAuthCookieOptions(req) {
+    return {
+        httpOnly: true,
+        secure: req.secure || (BASE_URL.startsWith('https') && NODE_ENV === 'production'),
+        sameSite: 'strict',
+        path: BASE_PATH || '/'
+    };
+}
 
 function resetAttempts(ip) {
     debugLog('Resetting login attempts for IP:', ip);
@@ -105,6 +328,48 @@ function recordAttempt(ip) {
     debugLog('Login attempt recorded for IP:', ip, 'Count:', attempts.count);
 }
 
+// Send a 429 if the request's IP is locked out, returns true if it was
+function rejectIfLockedOut(req, res) {
+    const ip = req.ip;
+    if (!isLockedOut(ip)) return false;
+
+    const attempts = loginAttempts.get(ip);
+    const timeLeft = Math.ceil((LOCKOUT_TIME - (Date.now() - attempts.lastAttempt)) / 1000 / 60);
+    debugLog('Login blocked - IP is locked out:', ip);
+    auditEvent(req, 'login_blocked', { path: req.path });
+    res.status(429).json({ 
+        error: `Too many attempts. Please try again in ${timeLeft} minutes.`
+    });
+    return true;
+}
+
+/**
+ * Record a failed login step and tell the client how many attempts are left
+ * @param {object} req
+ * @param {object} res
+ * @param {string} error - Message for the client
+ * @param {object} details - Login method and username (if known) for the audit log
+ */
+function rejectFailedAttempt(req, res, error, details = {}) {
+    // Record failed attempt
+    recordAttempt(req.ip);
+    auditEvent(req, 'login_failed', { ...details, reason: error });
+    
+    const attempts = loginAttempts.get(req.ip);
+    if (attempts.count === MAX_ATTEMPTS) {
+        auditEvent(req, 'lockout', { attempts: attempts.count, minutes: LOCKOUT_TIME / 60 / 1000 });
+    }
+    const attemptsLeft = MAX_ATTEMPTS - attempts.count;
+    
+    // Add artificial delay before sending error response
+    setTimeout(() => {
+        res.status(401).json({ 
+            error,
+            attemptsLeft: Math.max(0, attemptsLeft)
+        });
+    }, crypto.randomInt(50, 150));
+}
+
 // Security middleware
 app.set('trust proxy', 1);
 app.use(cors(getCorsOptions(BASE_URL)));
@@ -113,7 +378,12 @@ app.use(cookieParser());
 
 // Session configuration with secure settings
 app.use(session({
-    secret: crypto.randomBytes(32).toString('hex'),
+    secret: SERVER_SECRET,
+    store: new FileSessionStore({
+        dir: path.join(DATA_DIR, 'sessions'),
+        ttl: MAX_SESSION_AGE,
+        debugLog
+    }),
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -124,18 +394,6 @@ app.use(session({
     }
 }));
 
-const requirePin = (req, res, next) => {
-    if (!PIN || !isValidPin(PIN)) {
-        return next();
-    }
-
-    const authCookie = req.cookies[COOKIE_NAME];
-    if (!authCookie || !secureCompare(authCookie, PIN)) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-    next();
-};
-
 // Constant-time PIN comparison to prevent timing attacks
 const verifyPin = (storedPin, providedPin) => {
     if (!storedPin || !providedPin) return false;
@@ -152,32 +410,40 @@ const verifyPin = (storedPin, providedPin) => {
 }
 
 // Authentication middleware
+const PROXY_LOGIN_REQUIRED = 'Not authenticated. Open DumbTerm through your authentication proxy.';
+
 const authMiddleware = (req, res, next) => {
     debugLog('Auth check for path:', req.path, 'Method:', req.method);
     
-    // If no PIN is set or PIN is empty, bypass authentication completely
-    if (!PIN || PIN.trim() === '') {
+    // If no PIN or users are configured, bypass authentication completely
+    if (!isAuthRequired) {
         debugLog('Auth bypassed - No PIN configured');
         req.session.authenticated = true; // Set session as authenticated
+        req.account = DEFAULT_ACCOUNT;
         return next();
     }
 
-    // First check if user is authenticated via session
-    if (req.session.authenticated) {
-        debugLog('Auth successful - Valid session found');
+    // The signed auth token is the source of truth - a session alone isn't enough
+    // because tokens can be revoked from another browser
+    const account = authenticate(req);
+    if (account) {
+        debugLog('Auth successful - Valid token for user:', account.username);
+        req.session.authenticated = true;
+        req.session.user = account.username;
+        req.account = account;
         return next();
     }
 
-    // If not authenticated via session, check for valid PIN cookie
-    const pinCookie = req.cookies[`${projectName}_PIN`];
-    if (pinCookie && verifyPin(PIN, pinCookie)) {
-        debugLog('Auth successful - Valid PIN cookie found, restoring session');
-        req.session.authenticated = true;
-        return next();
+    req.session.authenticated = false;
+
+    // Without a PIN, user accounts or SSO the proxy is the only way in
+    if (!hasLoginPage) {
+        debugLog('Auth failed - Request not authenticated by a trusted proxy');
+        return res.status(401).send(PROXY_LOGIN_REQUIRED);
     }
 
-    // No valid session or PIN cookie found
-    debugLog('Auth failed - No valid session or PIN cookie, redirecting to login');
+    // No valid token found
+    debugLog('Auth failed - No valid auth token, redirecting to login');
     return res.redirect(BASE_PATH + '/login');
 };
 
@@ -188,6 +454,16 @@ app.use(BASE_PATH, (req, res, next) => {
         '/login',
         '/pin-length',
         '/verify-pin',
+        '/verify-totp',
+        '/totp-setup',
+        '/webauthn/login/',
+        '/oidc/',
+        // Share link viewers don't need to log in - the link is their access
+        '/share',
+        // Client modules are plain static code, and the login and share pages load several of
+        // them; listing them one by one broke the share page whenever terminal.js gained an import
+        '/managers/',
+        '/node_modules/@xterm/',
         '/config.js',
         '/assets/',
         '/fonts/',
@@ -212,6 +488,29 @@ app.get(BASE_PATH + '/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Recording player
+app.get(BASE_PATH + '/recordings', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'recordings.html'));
+});
+
+// Audit log and session history, for admins
+app.get(BASE_PATH + '/audit', (req, res) => {
+    if (!hasPermission(req.account, 'admin')) {
+        return res.status(403).send('The audit page is only available to admins.');
+    }
+    res.sendFile(path.join(__dirname, 'public', 'audit.html'));
+});
+
+// Running terminals
+app.get(BASE_PATH + '/sessions', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'sessions.html'));
+});
+
+// Read-only view of a shared terminal, the share token is in the URL fragment
+app.get(BASE_PATH + '/share', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'share.html'));
+});
+
 // Serve config.js for frontend
 app.get(BASE_PATH + '/config.js', (req, res) => {
     debugLog('Serving config.js with basePath:', BASE_PATH);
@@ -220,6 +519,20 @@ app.get(BASE_PATH + '/config.js', (req, res) => {
         debug: DEBUG,
         siteTitle: SITE_TITLE,
         isPinRequired: isPinRequired,
+        isAuthRequired: isAuthRequired,
+        isMultiUser: isMultiUser,
+        hasLocalLogin: hasLocalLogin,
+        isOidcEnabled: oidc.enabled,
+        recordAllSessions: RECORD_SESSIONS,
+        isAdmin: hasPermission(authenticate(req), 'admin'),
+        uploadMaxSize: DEMO_MODE ? 0 : UPLOAD_MAX_SIZE,
+        // Logging out is up to the proxy for users it signed in
+        isProxyUser: !!proxyAuth.getUser(req),
+        // So is locking them, their browser would be signed straight back in
+        inactivityLock: hasLoginPage && !proxyAuth.getUser(req) ? INACTIVITY_LOCK : 0,
+        loggedInAt: tokens.verify(req.cookies[AUTH_COOKIE])?.iat || null,
+        hasPasskeys: isAuthRequired && passkeyStore.hasAny(),
+        canRegisterPasskey: canUsePasskeys(authenticate(req)?.username),
         isDemoMode: DEMO_MODE,
         version: APP_VERSION,
         cacheName: CACHE_NAME
@@ -230,6 +543,10 @@ app.get(BASE_PATH + '/config.js', (req, res) => {
     `);
 });
 
+// Pages with their own checks go through their routes, not straight to the file
+app.get(BASE_PATH + '/audit.html', (req, res) => res.redirect(BASE_PATH + '/audit'));
+app.get(BASE_PATH + '/sessions.html', (req, res) => res.redirect(BASE_PATH + '/sessions'));
+
 // Serve static files for public assets
 app.use(BASE_PATH + '/', express.static(path.join(PUBLIC_DIR)));
 app.get(BASE_PATH + "/manifest.json", (req, res) => {
@@ -243,32 +560,36 @@ app.use('/fonts', express.static(path.join(PUBLIC_DIR, 'fonts')));
 app.use('/node_modules/@xterm/', express.static(
     path.join(__dirname, 'node_modules/@xterm/')
 ));
+// In-band file transfers (rz/sz and trz/tsz), under BASE_PATH as index.html loads them relative to itself
+app.use(BASE_PATH + '/node_modules/zmodem.js/', express.static(
+    path.join(__dirname, 'node_modules/zmodem.js/dist/')
+));
+app.use(BASE_PATH + '/node_modules/trzsz/', express.static(
+    path.join(__dirname, 'node_modules/trzsz/lib/')
+));
 
 // Routes
 app.get(BASE_PATH + '/login', (req, res) => {
-    // Check if PIN is required
-    if (!PIN || PIN.trim() === '') {
+    // Check if PIN or user accounts are required
+    if (!isAuthRequired) {
         return res.redirect(BASE_PATH + '/');
     }
 
-    // Check authentication first
-    if (req.session.authenticated) {
+    // Check if user is already authenticated
+    if (authenticate(req)) {
         return res.redirect(BASE_PATH + '/');
     }
 
-
-    // Check if user is already authenticated by PIN
-    const pinCookie = req.cookies[`${projectName}_PIN`];
-    if (verifyPin(PIN, pinCookie)) {
-        return res.redirect(BASE_PATH + '/');
+    if (!hasLoginPage) {
+        return res.status(401).send(PROXY_LOGIN_REQUIRED);
     }
 
     res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
 app.get(BASE_PATH + '/pin-length', (req, res) => {
-    // If no PIN is set, return 0 length
-    if (!PIN || PIN.trim() === '') {
+    // If no PIN is set, return 0 length - user accounts have their own credentials
+    if (!isPinRequired || isMultiUser) {
         return res.json({ length: 0 });
     }
     res.json({ length: PIN.length });
@@ -278,49 +599,51 @@ app.post(BASE_PATH + '/verify-pin', (req, res) => {
     debugLog('PIN verification attempt from IP:', req.ip);
     
     // If no PIN is set, authentication is successful
-    if (!PIN || PIN.trim() === '') {
+    if (!isAuthRequired) {
         debugLog('PIN verification bypassed - No PIN configured');
         req.session.authenticated = true;
         return res.status(200).json({ success: true });
     }
 
-    const ip = req.ip;
-    
-    // Check if IP is locked out
-    if (isLockedOut(ip)) {
-        const attempts = loginAttempts.get(ip);
-        const timeLeft = Math.ceil((LOCKOUT_TIME - (Date.now() - attempts.lastAttempt)) / 1000 / 60);
-        debugLog('PIN verification blocked - IP is locked out:', ip);
-        return res.status(429).json({ 
-            error: `Too many attempts. Please try again in ${timeLeft} minutes.`
-        });
+    if (!hasLocalLogin) {
+        return res.status(400).json({ error: 'PIN login is not enabled' });
     }
 
-    const { pin } = req.body;
+    // Check if IP is locked out
+    if (rejectIfLockedOut(req, res)) return;
+
+    const { pin, username } = req.body;
     
     if (!pin || typeof pin !== 'string') {
         debugLog('PIN verification failed - Invalid PIN format');
         return res.status(400).json({ error: 'Invalid PIN format' });
     }
 
-    // Verify PIN first
-    const isPinValid = verifyPin(PIN, pin);
+    if (isMultiUser && (!username || typeof username !== 'string')) {
+        debugLog('PIN verification failed - Missing username');
+        return res.status(400).json({ error: 'Username is required' });
+    }
+
+    // Verify PIN first - against the named account when user accounts are enabled
+    const isPinValid = isMultiUser ? !!userStore.verify(username, pin) : verifyPin(PIN, pin);
     
     if (isPinValid) {
-        debugLog('PIN verification successful');
+        debugLog('PIN verification successful', isMultiUser ? `for user: ${username}` : '');
+        const user = isMultiUser ? username : DEFAULT_ACCOUNT.username;
+
+        // With TOTP the PIN only unlocks the second step. Attempts aren't reset yet, otherwise
+        // alternating a known PIN with code guesses would never hit the lockout.
+        if (TOTP_ENABLED) {
+            req.session.pendingUser = user;
+            req.session.pendingSince = Date.now();
+            return setTimeout(() => {
+                res.json({ success: true, totp: totpStore.isEnrolled(user) ? 'verify' : 'enroll' });
+            }, crypto.randomInt(50, 150));
+        }
+
         // Reset attempts on successful login
-        resetAttempts(ip);
-        
-        // Set authentication in session immediately
-        req.session.authenticated = true;
-        
-        // Set secure cookie
-        res.cookie(`${projectName}_PIN`, pin, {
-            httpOnly: true,
-            secure: req.secure || (BASE_URL.startsWith('https') && NODE_ENV === 'production'),
-            sameSite: 'strict',
-            maxAge: MAX_SESSION_AGE
-        });
+        resetAttempts(req.ip);
+        completeLogin(req, res, user, 'pin');
         
         // Add artificial delay before sending response
         setTimeout(() => {
@@ -329,52 +652,652 @@ app.post(BASE_PATH + '/verify-pin', (req, res) => {
         }, crypto.randomInt(50, 150));
     } else {
         debugLog('PIN verification failed - Invalid PIN');
-        // Record failed attempt
-        recordAttempt(ip);
-        
-        const attempts = loginAttempts.get(ip);
-        const attemptsLeft = MAX_ATTEMPTS - attempts.count;
-        
-        // Add artificial delay before sending error response
-        setTimeout(() => {
-            res.status(401).json({ 
-                error: 'Invalid PIN',
-                attemptsLeft: Math.max(0, attemptsLeft)
-            });
-        }, crypto.randomInt(50, 150));
+        rejectFailedAttempt(req, res, isMultiUser ? 'Invalid username or PIN' : 'Invalid PIN', {
+            user: isMultiUser ? username : undefined,
+            method: 'pin'
+        });
+    }
+});
+
+/**
+ * Mark the session as logged in and set the signed auth token cookie
+ * @param {object} req
+ * @param {object} res
+ * @param {string} username - Who logged in
+ * @param {string} method - How, for the audit log: 'pin', 'totp', 'passkey' or 'oidc'
+ */
+function completeLogin(req, res, username, method) {
+    auditEvent(req, 'login', { user: username, method });
+    delete req.session.pendingUser;
+    delete req.session.pendingSince;
+    delete req.session.pendingTotpSecret;
+
+    // Set authentication in session immediately
+    req.session.authenticated = true;
+    req.session.user = username;
+    
+    // Set secure cookie with a signed token
+    res.cookie(AUTH_COOKIE, tokens.issue(username), {
+        ...getAuthCookieOptions(req),
+        maxAge: MAX_SESSION_AGE
+    });
+}
+
+// User who passed the PIN step and still needs to pass TOTP, if it hasn't timed out
+function getPendingUser(req) {
+    const { pendingUser, pendingSince } = req.session;
+    if (!TOTP_ENABLED || !pendingUser || Date.now() - pendingSince > PENDING_LOGIN_TTL) return null;
+    if (isMultiUser && !userStore.get(pendingUser)) return null;
+    return pendingUser;
+}
+
+const PENDING_LOGIN_EXPIRED = { error: 'Login expired. Please enter your PIN again.', restart: true };
+
+// Second login step: a TOTP code or one of the recovery codes
+app.post(BASE_PATH + '/verify-totp', (req, res) => {
+    const username = getPendingUser(req);
+    if (!username || !totpStore.isEnrolled(username)) {
+        return res.status(401).json(PENDING_LOGIN_EXPIRED);
+    }
+
+    if (rejectIfLockedOut(req, res)) return;
+
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+        return res.status(400).json({ error: 'Invalid code format' });
+    }
+
+    if (!totpStore.verify(username, code)) {
+        debugLog('TOTP verification failed for user:', username);
+        return rejectFailedAttempt(req, res, 'Invalid code', { user: username, method: 'totp' });
+    }
+
+    debugLog('TOTP verification successful for user:', username);
+    resetAttempts(req.ip);
+    completeLogin(req, res, username, 'totp');
+    setTimeout(() => {
+        res.redirect(BASE_PATH + '/');
+    }, crypto.randomInt(50, 150));
+});
+
+// TOTP enrollment for users who haven't set up an authenticator yet
+app.get(BASE_PATH + '/totp-setup', async (req, res) => {
+    const username = getPendingUser(req);
+    if (!username || totpStore.isEnrolled(username)) {
+        return res.status(401).json(PENDING_LOGIN_EXPIRED);
+    }
+
+    // Keep the secret in the session until the user proves their authenticator has it
+    const secret = req.session.pendingTotpSecret || generateSecret();
+    req.session.pendingTotpSecret = secret;
+
+    const otpauthUrl = getOtpAuthUrl(secret, SITE_TITLE, username);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.json({ secret, otpauthUrl, qrCode });
+});
+
+app.post(BASE_PATH + '/totp-setup', (req, res) => {
+    const username = getPendingUser(req);
+    const secret = req.session.pendingTotpSecret;
+    if (!username || !secret || totpStore.isEnrolled(username)) {
+        return res.status(401).json(PENDING_LOGIN_EXPIRED);
+    }
+
+    if (rejectIfLockedOut(req, res)) return;
+
+    const { code } = req.body;
+    const recoveryCodes = typeof code === 'string' ? totpStore.enroll(username, secret, code.trim()) : null;
+    if (!recoveryCodes) {
+        debugLog('TOTP enrollment failed for user:', username);
+        return rejectFailedAttempt(req, res, 'Invalid code', { user: username, method: 'totp' });
+    }
+
+    resetAttempts(req.ip);
+    completeLogin(req, res, username, 'totp');
+    // Recovery codes are only ever shown here
+    res.json({ success: true, recoveryCodes });
+});
+
+/**
+ * Whether a user can log in with a passkey. Without user accounts passkey logins are for the
+ * shared account only, so SSO and proxy users (who log in under their own names) can't.
+ * @param {string} username
+ * @returns {boolean}
+ */
+function canUsePasskeys(username) {
+    if (!isAuthRequired) return false;
+    return isMultiUser ? !!userStore.get(username) : username === DEFAULT_ACCOUNT.username;
+}
+
+// Passkey registration for the logged in user
+app.post(BASE_PATH + '/webauthn/register/options', async (req, res) => {
+    if (!isAuthRequired) {
+        return res.status(400).json({ error: 'Passkeys need a PIN or user accounts to be configured' });
+    }
+    if (!canUsePasskeys(req.account.username)) {
+        return res.status(400).json({ error: 'Passkeys can only be used with a PIN or a user account' });
+    }
+
+    const options = await passkeyStore.registrationOptions(req.account.username);
+
+    req.session.webauthnRegistration = { challenge: options.challenge, userId: options.user.id };
+    res.json(options);
+});
+
+app.post(BASE_PATH + '/webauthn/register/verify', async (req, res) => {
+    const pending = req.session.webauthnRegistration;
+    delete req.session.webauthnRegistration;
+    if (!pending) {
+        return res.status(400).json({ error: 'No passkey registration in progress' });
+    }
+
+    if (!canUsePasskeys(req.account.username)) {
+        return res.status(400).json({ error: 'Passkeys can only be used with a PIN or a user account' });
+    }
+
+    const { response, name } = req.body;
+    try {
+        const label = typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : 'Passkey';
+        await passkeyStore.verifyRegistration(req.account.username, pending, response, label);
+        res.json({ success: true });
+    } catch (error) {
+        debugLog('Passkey registration failed:', error.message);
+        res.status(400).json({ error: 'Passkey registration failed' });
+    }
+});
+
+// Passkey login, an alternative to the PIN/password (and TOTP) steps
+app.post(BASE_PATH + '/webauthn/login/options', async (req, res) => {
+    if (!isAuthRequired) {
+        return res.status(400).json({ error: 'Authentication is not enabled' });
+    }
+    if (rejectIfLockedOut(req, res)) return;
+
+    const options = await passkeyStore.loginOptions();
+
+    req.session.webauthnChallenge = options.challenge;
+    res.json(options);
+});
+
+app.post(BASE_PATH + '/webauthn/login/verify', async (req, res) => {
+    if (rejectIfLockedOut(req, res)) return;
+
+    const challenge = req.session.webauthnChallenge;
+    delete req.session.webauthnChallenge;
+
+    const { response } = req.body;
+    const passkey = challenge && response && typeof response.id === 'string' ? passkeyStore.find(response.id) : null;
+    // Passkeys stop working along with their account
+    const isActive = passkey && canUsePasskeys(passkey.username);
+
+    if (!isActive) {
+        debugLog('Passkey login failed - Unknown passkey');
+        return rejectFailedAttempt(req, res, 'Passkey not recognized', { method: 'passkey' });
+    }
+
+    try {
+        await passkeyStore.verifyLogin(passkey, response, challenge);
+    } catch (error) {
+        debugLog('Passkey login failed:', error.message);
+        return rejectFailedAttempt(req, res, 'Passkey not recognized', { user: passkey.username, method: 'passkey' });
+    }
+
+    debugLog('Passkey login successful for user:', passkey.username);
+    resetAttempts(req.ip);
+    completeLogin(req, res, passkey.username, 'passkey');
+    setTimeout(() => {
+        res.redirect(BASE_PATH + '/');
+    }, crypto.randomInt(50, 150));
+});
+
+// OIDC single sign-on - the provider handles MFA, so there's no TOTP step
+const OIDC_COOKIE = `${projectName}_OIDC`;
+
+app.get(BASE_PATH + '/oidc/login', async (req, res) => {
+    if (!oidc.enabled) {
+        return res.redirect(BASE_PATH + '/login');
+    }
+
+    try {
+        const { url, checks } = await oidc.getAuthorizationUrl();
+        // The session cookie is SameSite=Strict and won't come back on the provider's redirect,
+        // so the state/nonce/PKCE verifier travel in their own short-lived lax cookie
+        res.cookie(OIDC_COOKIE, JSON.stringify(checks), {
+            ...getAuthCookieOptions(req),
+            sameSite: 'lax',
+            maxAge: 10 * 60 * 1000
+        });
+        res.redirect(url);
+    } catch (error) {
+        console.error('OIDC login failed:', error.message);
+        res.redirect(BASE_PATH + '/login?error=sso_unavailable');
+    }
+});
+
+app.get(BASE_PATH + '/oidc/callback', async (req, res) => {
+    let checks = null;
+    try {
+        checks = JSON.parse(req.cookies[OIDC_COOKIE]);
+    } catch {
+        // Missing or mangled cookie, the login has to start over
+    }
+    res.clearCookie(OIDC_COOKIE, { ...getAuthCookieOptions(req), sameSite: 'lax' });
+    if (!oidc.enabled || !checks) {
+        return res.redirect(BASE_PATH + '/login');
+    }
+
+    let account = null;
+    try {
+        const username = await oidc.handleCallback(req, checks);
+        account = username ? getAccount(username) : null;
+    } catch (error) {
+        console.error('OIDC callback failed:', error.message);
+        return res.redirect(BASE_PATH + '/login?error=sso_failed');
+    }
+
+    if (!account) {
+        auditEvent(req, 'login_failed', { method: 'oidc', reason: 'Not allowed to sign in' });
+        return res.redirect(BASE_PATH + '/login?error=sso_denied');
+    }
+
+    debugLog('OIDC login successful for user:', account.username);
+    completeLogin(req, res, account.username, 'oidc');
+    // Browsers don't send the new SameSite=Strict cookie on a redirect that started at the
+    // provider, so continue with a navigation from our own page instead
+    res.send(`<!DOCTYPE html><meta http-equiv="refresh" content="0;url=${BASE_PATH}/">`);
+});
+
+// Session recordings - users see their own, admins see everyone's
+app.get(BASE_PATH + '/api/recordings', async (req, res) => {
+    const isAdmin = hasPermission(req.account, 'admin');
+    try {
+        res.json({ recordings: await recordings.list(isAdmin ? null : req.account.username) });
+    } catch (error) {
+        console.error('Failed to list recordings:', error.message);
+        res.status(500).json({ error: 'Failed to list recordings' });
+    }
+});
+
+app.get(BASE_PATH + '/api/recordings/:user/:name', (req, res) => {
+    const { user, name } = req.params;
+    if (user !== req.account.username && !hasPermission(req.account, 'admin')) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const file = recordings.resolve(user, name);
+    if (!file) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.download(file, name);
+});
+
+// Running terminals - users see their own, admins see everyone's
+app.get(BASE_PATH + '/api/sessions', async (req, res) => {
+    const isAdmin = hasPermission(req.account, 'admin');
+    const sessions = terminalSessions.list().filter(session => isAdmin || session.user === req.account.username);
+
+    res.json({
+        sessions: await Promise.all(sessions.map(async session => ({
+            id: session.id,
+            pid: session.pid,
+            user: session.user,
+            startedAt: new Date(session.createdAt).toISOString(),
+            lastActivity: new Date(session.lastActivity).toISOString(),
+            process: await session.getForegroundProcess(),
+            recording: session.isRecording,
+            clients: session.clients.map(client => ({
+                ...client,
+                since: client.since && new Date(client.since).toISOString()
+            }))
+        })))
+    });
+});
+
+// Admins can end or disconnect from any terminal, and users from their own
+function getManagedSession(req, res) {
+    const session = terminalSessions.get(req.params.id);
+    if (!session || (session.user !== req.account.username && !hasPermission(req.account, 'admin'))) {
+        res.status(404).json({ error: 'Terminal not found' });
+        return null;
+    }
+    return session;
+}
+
+app.post(BASE_PATH + '/api/sessions/:id/kill', (req, res) => {
+    const session = getManagedSession(req, res);
+    if (!session) return;
+
+    debugLog('Killing terminal from the sessions page:', session.id, 'PID:', session.pid);
+    auditEvent(req, 'session_kill', { user: req.account.username, session: session.id, owner: session.user, pid: session.pid });
+    session.kill();
+    res.json({ success: true });
+});
+
+app.post(BASE_PATH + '/api/sessions/:id/disconnect', (req, res) => {
+    const session = getManagedSession(req, res);
+    if (!session) return;
+
+    const { client } = req.body;
+    const target = session.clients.find(entry => entry.id === client);
+    if (!target || !session.disconnect(client)) {
+        return res.status(404).json({ error: 'Client not connected' });
+    }
+    auditEvent(req, 'client_disconnect', {
+        user: req.account.username,
+        session: session.id,
+        owner: session.user,
+        client: target.name,
+        role: target.role,
+        clientIp: target.ip
+    });
+    res.json({ success: true });
+});
+
+const AUDIT_MAX_ENTRIES = 20000; // newest entries the audit page gets, however far back it looks
+const LOGIN_EVENTS = ['login', 'login_failed', 'login_blocked', 'lockout', 'logout', 'lock'];
+
+// Logins and terminal sessions from the audit log, plus the addresses with failed logins right now
+app.get(BASE_PATH + '/api/audit', async (req, res) => {
+    if (!hasPermission(req.account, 'admin')) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const now = Date.now();
+    const lockouts = [...loginAttempts].map(([ip, attempts]) => ({
+        ip,
+        attempts: attempts.count,
+        lastAttempt: new Date(attempts.lastAttempt).toISOString(),
+        lockedUntil: attempts.count >= MAX_ATTEMPTS && now - attempts.lastAttempt < LOCKOUT_TIME
+            ? new Date(attempts.lastAttempt + LOCKOUT_TIME).toISOString()
+            : null
+    }));
+    if (!audit) {
+        return res.json({ enabled: false, logins: [], sessions: [], lockouts, truncated: false });
+    }
+
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 7));
+    try {
+        const { entries, truncated } = await audit.read({ since: now - days * 24 * 60 * 60 * 1000, limit: AUDIT_MAX_ENTRIES });
+        // Recordings are linked to their session by the start of its ID
+        const allRecordings = await recordings.list();
+        const sessions = getSessionHistory(entries).map(entry => ({
+            ...entry,
+            running: !!terminalSessions.get(entry.session),
+            recordings: allRecordings
+                .filter(recording => recording.user === entry.user && recording.session === entry.session.slice(0, 8))
+                .map(({ user, name }) => ({ user, name }))
+        }));
+
+        res.json({
+            enabled: true,
+            logins: entries.filter(entry => LOGIN_EVENTS.includes(entry.event)),
+            sessions,
+            lockouts,
+            truncated
+        });
+    } catch (error) {
+        console.error('Failed to read the audit log:', error.message);
+        res.status(500).json({ error: 'Failed to read the audit log' });
+    }
+});
+
+// Status codes for the errors FileTransfer reports
+const TRANSFER_ERROR_STATUS = {
+    EINVAL: 400,
+    EACCES: 403,
+    EDISABLED: 403,
+    ENOENT: 404,
+    EEXIST: 409,
+    ECHANGED: 409,
+    ETOOBIG: 413,
+    EBINARY: 415
+};
+
+/**
+ * Folders an account's file browser and file transfers are limited to
+ * @param {object} account
+ * @returns {string[]|null} Null for no limit
+ */
+function getAllowedPaths(account) {
+    return account.paths || (ALLOWED_PATHS.length ? ALLOWED_PATHS : null);
+}
+
+/**
+ * Resolve a path against the working directory of the requesting user's terminal, sending an
+ * error response if the terminal isn't theirs or the path is outside their allowed folders
+ * @param {object} params - session (optional, home is used without one) and path
+ * @param {object} [options]
+ * @param {boolean} [options.fallbackToRoot] - With no path given, use the first allowed folder
+ * when the terminal is outside them
+ * @returns {Promise<string|null>} Absolute path, or null if a response was sent
+ */
+async function resolveTerminalPath(req, res, { session: sessionId, path: requestedPath } = req.query, { fallbackToRoot = false } = {}) {
+    if (DEMO_MODE) {
+        res.status(403).json({ error: 'File access is disabled in demo mode' });
+        return null;
+    }
+    if ([sessionId, requestedPath].some(value => value !== undefined && typeof value !== 'string')) {
+        res.status(400).json({ error: 'Invalid path or session' });
+        return null;
+    }
+
+    const home = getHome(req.account);
+    let cwd = home;
+    if (sessionId) {
+        const session = terminalSessions.get(sessionId);
+        if (!session || session.user !== req.account.username) {
+            res.status(404).json({ error: 'Terminal not found' });
+            return null;
+        }
+        cwd = await fileTransfer.getWorkingDirectory(session.pid) || home;
+    }
+
+    const roots = getAllowedPaths(req.account);
+    let file = fileTransfer.resolvePath(cwd, home, requestedPath);
+    if (!requestedPath && fallbackToRoot && !fileTransfer.isAllowed(file, roots)) {
+        file = roots[0];
+    }
+    if (!fileTransfer.isAllowed(file, roots)) {
+        res.status(403).json({ error: `Outside the folders you can access: ${file}` });
+        return null;
+    }
+    return file;
+}
+
+// Send a FileTransfer error, hiding the details of unexpected ones
+function sendTransferError(res, error, fallback) {
+    const status = TRANSFER_ERROR_STATUS[error.code] || 500;
+    if (status === 500) console.error(`${fallback}:`, error.message);
+    res.status(status).json({ error: status === 500 ? fallback : error.message });
+}
+
+// Upload a file into a terminal's working directory, or the directory given as ?path=
+app.post(BASE_PATH + '/api/upload', async (req, res) => {
+    const dir = await resolveTerminalPath(req, res);
+    if (!dir) return;
+
+    try {
+        const file = await fileTransfer.upload(req, {
+            dir,
+            name: req.query.name,
+            size: parseInt(req.get('content-length'), 10) || 0,
+            uid: req.account.uid,
+            gid: req.account.gid
+        });
+        debugLog('Uploaded', file.path, `(${file.size} bytes) for user:`, req.account.username);
+        res.json({ success: true, ...file });
+    } catch (error) {
+        debugLog('Upload failed:', error.message);
+        // Don't keep reading a body we've given up on
+        if (!req.readableEnded) res.set('Connection', 'close');
+        sendTransferError(res, error, 'Upload failed');
+    }
+});
+
+// Check a file or folder can be downloaded before starting the download
+app.get(BASE_PATH + '/api/download/info', async (req, res) => {
+    const file = await resolveTerminalPath(req, res);
+    if (!file) return;
+
+    try {
+        res.json(await fileTransfer.stat(file, req.account));
+    } catch (error) {
+        sendTransferError(res, error, 'Download failed');
+    }
+});
+
+// Download a file, or a folder as a .tar.gz archive
+app.get(BASE_PATH + '/api/download', async (req, res) => {
+    const file = await resolveTerminalPath(req, res);
+    if (!file) return;
+
+    let info;
+    try {
+        info = await fileTransfer.stat(file, req.account);
+    } catch (error) {
+        return sendTransferError(res, error, 'Download failed');
+    }
+
+    debugLog('Download of', info.path, 'for user:', req.account.username);
+    res.attachment(info.type === 'directory' ? `${info.name}.tar.gz` : info.name);
+    if (info.size !== null) res.set('Content-Length', info.size);
+    try {
+        await pipeline(fileTransfer.download(info, req.account), res);
+    } catch (error) {
+        // Headers are already sent, all we can do is cut the download short
+        debugLog('Download failed:', error.message);
+    }
+});
+
+// File browser - list a folder, the terminal's working directory by default
+app.get(BASE_PATH + '/api/files', async (req, res) => {
+    const dir = await resolveTerminalPath(req, res, req.query, { fallbackToRoot: true });
+    if (!dir) return;
+
+    try {
+        const entries = await fileTransfer.list(dir, req.account);
+        const parent = path.dirname(dir);
+        res.json({
+            path: dir,
+            // No way up out of the allowed folders
+            parent: parent !== dir && fileTransfer.isAllowed(parent, getAllowedPaths(req.account)) ? parent : null,
+            entries
+        });
+    } catch (error) {
+        sendTransferError(res, error, 'Failed to list folder');
+    }
+});
+
+app.post(BASE_PATH + '/api/files/mkdir', async (req, res) => {
+    const dir = await resolveTerminalPath(req, res, req.body);
+    if (!dir) return;
+
+    try {
+        res.json({ success: true, path: await fileTransfer.mkdir(dir, req.body.name, req.account) });
+    } catch (error) {
+        sendTransferError(res, error, 'Failed to create folder');
+    }
+});
+
+app.post(BASE_PATH + '/api/files/rename', async (req, res) => {
+    const file = await resolveTerminalPath(req, res, req.body);
+    if (!file) return;
+    if (!fileTransfer.isAllowed(path.dirname(file), getAllowedPaths(req.account))) {
+        return res.status(403).json({ error: 'Can\'t rename a folder you were given access to' });
+    }
+
+    try {
+        res.json({ success: true, path: await fileTransfer.rename(file, req.body.name, req.account) });
+    } catch (error) {
+        sendTransferError(res, error, 'Failed to rename');
+    }
+});
+
+app.post(BASE_PATH + '/api/files/delete', async (req, res) => {
+    const file = await resolveTerminalPath(req, res, req.body);
+    if (!file) return;
+    // Deleting an allowed folder itself would need access to its parent
+    if (!fileTransfer.isAllowed(path.dirname(file), getAllowedPaths(req.account))) {
+        return res.status(403).json({ error: 'Can\'t delete a folder you were given access to' });
+    }
+
+    try {
+        await fileTransfer.remove(file, req.account);
+        debugLog('Deleted', file, 'for user:', req.account.username);
+        res.json({ success: true });
+    } catch (error) {
+        sendTransferError(res, error, 'Failed to delete');
+    }
+});
+
+// Editor - read a text file
+app.get(BASE_PATH + '/api/files/read', async (req, res) => {
+    const file = await resolveTerminalPath(req, res);
+    if (!file) return;
+
+    try {
+        res.json(await fileTransfer.readText(file, req.account));
+    } catch (error) {
+        sendTransferError(res, error, 'Failed to open file');
+    }
+});
+
+// Editor - save a text file sent as the raw body. ?modified= is the time it had when opened,
+// leave it out to overwrite changes made since
+app.post(BASE_PATH + '/api/files/save', async (req, res) => {
+    const file = await resolveTerminalPath(req, res);
+    if (!file) return;
+
+    try {
+        const saved = await fileTransfer.saveText(req, {
+            file,
+            modified: req.query.modified,
+            uid: req.account.uid,
+            gid: req.account.gid
+        });
+        debugLog('Saved', saved.path, `(${saved.size} bytes) for user:`, req.account.username);
+        res.json({ success: true, ...saved });
+    } catch (error) {
+        if (!req.readableEnded) res.set('Connection', 'close');
+        sendTransferError(res, error, 'Failed to save file');
     }
 });
 
 app.get(BASE_PATH + '/api/require-pin', (req, res) => {
     // If no PIN is set, return success
-    if (!PIN || PIN.trim() === '') {
+    if (!isAuthRequired) {
         return res.json({ success: true, required: false });
     }
 
-    // Check for PIN cookie
-    const pinCookie = req.cookies[`${projectName}_PIN`];
-    if (!pinCookie || !verifyPin(PIN, pinCookie)) {
+    // Check for a valid auth token
+    if (!authenticate(req)) {
         return res.json({ success: false, required: true });
     }
 
-    // Valid PIN cookie found
+    // Valid auth token found
     return res.json({ success: true, required: true });
 });
 
 // Logout endpoint
 app.post(BASE_PATH + '/logout', (req, res) => {
     debugLog('Logout request received');
+
+    // Logging out revokes every token the user holds, so other browsers are logged out too
+    const account = isAuthRequired ? authenticate(req) : null;
+    if (account) {
+        auditEvent(req, 'logout', { user: account.username });
+        tokens.revokeUser(account.username);
+        disconnectUser(account.username);
+    }
     
     const cookieOptions = {
-        httpOnly: true,
-        secure: req.secure || (BASE_URL.startsWith('https') && NODE_ENV === 'production'),
-        sameSite: 'strict',
-        path: BASE_PATH || '/',  // Match the path used when setting cookies
+        ...getAuthCookieOptions(req), // Match the path used when setting cookies
         expires: new Date(0),    // Immediately expire the cookie
         maxAge: 0               // Belt and suspenders - also set maxAge to 0
     };
     
-    // Clear both cookies with consistent options
+    // Clear all cookies with consistent options (including the legacy PIN cookie)
+    res.clearCookie(AUTH_COOKIE, cookieOptions);
     res.clearCookie(`${projectName}_PIN`, cookieOptions);
     res.clearCookie('connect.sid', cookieOptions);
     
@@ -389,16 +1312,49 @@ app.post(BASE_PATH + '/logout', (req, res) => {
     });
 });
 
+// Inactivity lock: log this browser out, leaving the user's other browsers logged in. Its
+// terminals keep running for TERMINAL_GRACE_PERIOD, so they're still there after logging back in.
+app.post(BASE_PATH + '/lock', (req, res) => {
+    const token = req.cookies[AUTH_COOKIE];
+    const claims = tokens.verify(token);
+    if (claims) {
+        auditEvent(req, 'lock', { user: claims.sub });
+        tokens.revoke(token);
+        wss.clients.forEach((ws) => {
+            if (ws.authToken === token) ws.close(4005, 'Locked after inactivity');
+        });
+    }
+
+    const cookieOptions = { ...getAuthCookieOptions(req), expires: new Date(0), maxAge: 0 };
+    res.clearCookie(AUTH_COOKIE, cookieOptions);
+    req.session.destroy((err) => {
+        if (err) debugLog('Error destroying session:', err);
+        res.json({ success: true });
+    });
+});
+
+// The inactivity lock's browser side reports keyboard, mouse and touch input here, which keeps
+// the server from ending the login for being idle
+app.post(BASE_PATH + '/activity', (req, res) => {
+    res.json({ success: tokens.touch(req.cookies[AUTH_COOKIE]) });
+});
+
 // WebSocket server configuration
 const wss = new WebSocketServer({ 
     server,
+    // Newer clients ask for binary terminal I/O, see scripts/terminal-protocol.js
+    handleProtocols: (protocols) => terminalProtocol.selectProtocol(protocols),
+    perMessageDeflate: WS_COMPRESSION ? {
+        threshold: WS_COMPRESSION_THRESHOLD,
+        zlibDeflateOptions: { level: WS_COMPRESSION_LEVEL }
+    } : false,
     verifyClient: (info, callback) => {
         debugLog('Verifying WebSocket connection from:', info.req.headers.origin);
         
         const isOriginValid = validateOrigin(info.req.headers.origin);
         if (isOriginValid) callback(true); // allow the connection
         else {
-            console.warn("Blocked connection from origin:", {origin});
+            console.warn("Blocked connection from origin:", info.req.headers.origin);
             callback(false, 403, 'Forbidden'); // reject the connection
         }
     }
@@ -410,6 +1366,12 @@ wss.on('connection', (ws, req) => {
     
     // Keep track of connection status
     ws.isAlive = true;
+    // Tells the clients of a shared terminal apart, even when they're the same user
+    ws.clientId = crypto.randomUUID();
+    ws.protocolVersion = terminalProtocol.getVersion(ws.protocol);
+    ws.ip = getClientAddress(req);
+    ws.traffic = { messages: 0, bytes: 0, since: Date.now() };
+    ws.activityAt = 0;
     
     // Setup ping/pong heartbeat
     ws.on('pong', () => {
@@ -423,38 +1385,62 @@ wss.on('connection', (ws, req) => {
         ws.terminate();
     });
 
-    // If no PIN is set, allow the connection
-    if (!PIN || PIN.trim() === '') {
-        debugLog('No PIN required, creating terminal');
-        createTerminal(ws);
+    // Validate the signed auth token from the upgrade request's cookies
+    cookieParser()(req, null, () => {});
+
+    // Share links give read-only access without logging in
+    const shareToken = new URL(req.url, 'http://localhost').searchParams.get('share');
+    if (shareToken) {
+        watchTerminal(ws, req, shareToken);
         return;
     }
 
-    if (!req.headers.cookie) {
-        debugLog('No cookies found, closing connection');
+    const account = authenticate(req);
+    if (!account || !hasPermission(account, 'terminal')) {
+        debugLog('No valid auth token, closing connection');
+        auditEvent(req, 'connect_denied', { user: account ? account.username : undefined });
         ws.close(1008, 'Authentication required'); // Use 1008 for policy violation
         return;
     }
 
-    // Parse the cookies
-    const parsedCookies = {};
-    req.headers.cookie.split(';').forEach(cookie => {
-        const parts = cookie.split('=');
-        parsedCookies[parts[0].trim()] = parts[1].trim();
-    });
+    ws.username = account.username;
+    // Locking a browser closes its connections. Proxy users aren't locked, whatever their cookie
+    ws.authToken = proxyAuth.getUser(req) ? null : req.cookies[AUTH_COOKIE];
 
-    // Check if the user has the correct PIN cookie
-    const pinCookie = parsedCookies[`${projectName}_PIN`];
-    if (!pinCookie || !verifyPin(PIN, pinCookie)) {
-        debugLog('Invalid PIN cookie, closing connection');
-        ws.close(1008, 'Authentication required'); // Use 1008 for policy violation
+    const joinToken = new URL(req.url, 'http://localhost').searchParams.get('join');
+    if (joinToken) {
+        joinTerminal(ws, req, account, joinToken);
         return;
     }
 
-    debugLog('Authentication successful, creating terminal');
-    createTerminal(ws);
+    debugLog('Authentication successful for user:', account.username, 'creating terminal');
+    createTerminal(ws, req, account);
 });
 
+// Close every WebSocket belonging to a user, sending their browsers back to the login page
+function disconnectUser(username) {
+    wss.clients.forEach((ws) => {
+        if (ws.username === username) {
+            ws.close(1008, 'Logged out'); // 1008 makes the client redirect to login
+        }
+    });
+}
+
+// Typing into a terminal is activity for the inactivity lock, whatever the browser reports
+function recordActivity(ws) {
+    if (!INACTIVITY_LOCK || !ws.authToken || Date.now() - ws.activityAt < ACTIVITY_REPORT_INTERVAL) return;
+    ws.activityAt = Date.now();
+    tokens.touch(ws.authToken);
+}
+
+// Close the connections of logins that have ended, which with the lock on mostly means the server
+// found them idle: their browsers may not have locked themselves
+const lockInterval = INACTIVITY_LOCK ? setInterval(() => {
+    wss.clients.forEach((ws) => {
+        if (ws.authToken && !tokens.verify(ws.authToken)) ws.close(4005, 'Locked after inactivity');
+    });
+}, ACTIVITY_REPORT_INTERVAL) : null;
+
 // Heartbeat check interval with more frequent checks
 const heartbeatInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
@@ -475,43 +1461,202 @@ const heartbeatInterval = setInterval(() => {
 // Clean up interval on server shutdown
 process.on('SIGTERM', () => {
     clearInterval(heartbeatInterval);
+    clearInterval(lockInterval);
     wss.close();
+    terminalSessions.killAll();
 });
 
-// Terminal creation helper function
-function createTerminal(ws) {
-    // Create terminal process
-    const shell = process.env.SHELL || (os.platform() === 'win32' ? 'powershell.exe' : 'bash');
-    
-    const term = ptyModule.spawn(shell, [], {
+// Home directory an account's shells start in
+function getHome(account) {
+    return account.home && fs.existsSync(account.home) ? account.home : (process.env.HOME || '/root');
+}
+
+// Spawn a new shell process for a terminal session, as the account's shell user if it has one
+function spawnShell(account, { cwd, helperToken } = {}) {
+    const shell = account.shell || process.env.SHELL || (os.platform() === 'win32' ? 'powershell.exe' : 'bash');
+    const home = getHome(account);
+    const userEnv = account.shellUser ? { USER: account.shellUser, LOGNAME: account.shellUser, SHELL: shell } : {};
+    // node-pty's uid/gid options only call setgid/setuid, which leaves the shell with the server's
+    // supplementary groups (root's disk group, in Docker), so the switch goes through setpriv
+    const switchUser = !DEMO_MODE && account.uid !== undefined;
+    const [file, args] = switchUser
+        ? ['setpriv', [`--reuid=${account.uid}`, `--regid=${account.gid}`, '--init-groups', '--', shell]]
+        : [shell, []];
+
+    const term = ptyModule.spawn(file, args, {
         name: 'xterm-256color',
+        // Raw bytes, so in-band file transfers (ZMODEM, trzsz) get through intact; TerminalSession
+        // decodes everything else. This leaves IUTF8 off, which only affects erasing multibyte
+        // characters in canonical mode, not shells with their own line editing.
+        encoding: null,
         cols: 80,
         rows: 24,
-        cwd: DEMO_MODE ? '/home/demo' : (process.env.HOME || '/root'),
+        cwd: DEMO_MODE ? '/home/demo' : (cwd || home),
         env: {
             ...process.env,
+            ...userEnv,
+            HOME: home,
             TERM: 'xterm-256color',
             COLORTERM: 'truecolor',
             LANG: 'en_US.UTF-8',
             // Force buffer flushing for better alternate buffer handling
             STDBUF: 'L',
             // Ensure proper handling of alternate buffer in applications
-            TERM_PROGRAM: 'xterm-256color'
+            TERM_PROGRAM: 'xterm-256color',
+            // dt-download and dt-edit prove their requests came from this shell with it
+            DUMBTERM_HELPER_TOKEN: helperToken
         }
     });
 
-    debugLog(`Terminal created with PID: ${term.pid}${DEMO_MODE ? ' (Demo Mode)' : ''}`);
+    debugLog(`Terminal created with PID: ${term.pid} for user: ${account.username}${DEMO_MODE ? ' (Demo Mode)' : ''}`);
+    return term;
+}
+
+// PTYs outlive their WebSocket for TERMINAL_GRACE_PERIOD so clients can reattach
+const terminalSessions = new TerminalSessionManager({
+    spawn: spawnShell,
+    gracePeriod: TERMINAL_GRACE_PERIOD,
+    bufferSize: TERMINAL_BUFFER_SIZE,
+    resizePolicy: COLLAB_RESIZE,
+    batchDelay: TERMINAL_BATCH_DELAY,
+    idleTimeout: TERMINAL_IDLE_TIMEOUT,
+    idleWarning: TERMINAL_IDLE_WARNING,
+    audit,
+    debugLog
+});
+
+const recordings = new RecordingStore({ dir: RECORDINGS_DIR, debugLog });
+const fileTransfer = new FileTransfer({ maxUploadSize: UPLOAD_MAX_SIZE, debugLog });
+
+function startRecording(session) {
+    if (session.isRecording) return;
+    try {
+        session.startRecording(recordings.create(session));
+    } catch (error) {
+        console.error(`Failed to start recording session ${session.id}:`, error.message);
+    }
+}
+
+// Removing or disabling an account also ends its running terminals
+if (isMultiUser) {
+    userStore.watch((revoked) => {
+        revoked.forEach((username) => {
+            debugLog('Account revoked, killing its terminals:', username);
+            terminalSessions.killUser(username);
+            // Including the ones it joined as a collaborator
+            disconnectUser(username);
+        });
+    });
+}
+
+/**
+ * Folder a new terminal was asked to start in, e.g. "Open terminal here" in the file browser
+ * @param {object} account
+ * @param {string|null} requested - Absolute path
+ * @returns {string|undefined} The folder, or undefined to start in the home directory
+ */
+function getStartDirectory(account, requested) {
+    if (!requested || !path.isAbsolute(requested) || DEMO_MODE) return undefined;
+    if (!fileTransfer.isAllowed(requested, getAllowedPaths(account))) return undefined;
+    const stats = fs.statSync(requested, { throwIfNoEntry: false });
+    return stats && stats.isDirectory() ? requested : undefined;
+}
+
+// Terminal creation helper function - reattaches to an existing session when the client asks for one
+function createTerminal(ws, req, account) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const requestedId = params.get('session');
+    const lastSeq = parseInt(params.get('seq'), 10) || 0;
+    let session = terminalSessions.get(requestedId);
+
+    // Only the account that started a session may reattach to it
+    if (session && session.user !== account.username) {
+        debugLog('Session belongs to another user, starting a new one:', requestedId);
+        session = null;
+    }
+    const resumed = !!session;
+
+    if (resumed) {
+        debugLog('Reattaching to terminal session:', session.id, 'PID:', session.pid);
+    } else {
+        if (requestedId) debugLog('Requested session not found, starting a new one:', requestedId);
+        try {
+            session = terminalSessions.create(account, { cwd: getStartDirectory(account, params.get('cwd')) });
+        } catch (error) {
+            console.error(`Failed to start terminal for user ${account.username}:`, error.message);
+            ws.close(1011, 'Failed to start terminal');
+            return;
+        }
+        if (RECORD_SESSIONS) startRecording(session);
+    }
+
+    session.attach(ws);
+    auditEvent(req, 'connect', { user: account.username, session: session.id, role: 'owner', resumed });
+
+    // Replay whatever the client hasn't seen yet; a new session replays from the start
+    const replay = session.replay(resumed ? lastSeq : 0);
+    session.send({
+        type: 'session',
+        sessionId: session.id,
+        clientId: ws.clientId,
+        role: 'owner',
+        helperToken: session.helperToken,
+        resumed,
+        truncated: resumed && replay.truncated,
+        recording: session.isRecording,
+        share: session.shareState,
+        presence: session.presence,
+        idleClosesIn: session.idleClosesAt && session.idleClosesAt - Date.now()
+    });
+    if (replay.data) {
+        // Marked as a replay so the client doesn't act on requests (like downloads) a second time
+        session.send({ type: 'output', data: replay.data, seq: replay.seq, replay: true });
+    }
 
     // Handle incoming data from client
-    ws.on('message', (data) => {
+    ws.on('message', (data, isBinary) => {
         try {
-            const message = JSON.parse(data);
+            const message = terminalProtocol.decode(data, isBinary);
             switch(message.type) {
                 case 'input':
-                    term.write(message.data);
+                    recordActivity(ws);
+                    session.input(ws, message.data, !!message.binary);
+                    break;
+                case 'raw':
+                    session.setRaw(ws, !!message.enabled);
+                    break;
+                case 'ack':
+                    session.ack(ws, message.seq);
+                    break;
+                case 'stats':
+                    session.send({ type: 'stats', ...getConnectionStats(ws, req.socket, session) });
                     break;
                 case 'resize':
-                    term.resize(message.cols, message.rows);
+                    session.reportSize(ws, message.cols, message.rows);
+                    break;
+                case 'keepalive':
+                    session.keepAlive(ws);
+                    break;
+                case 'record':
+                    if (message.enabled) {
+                        startRecording(session);
+                    } else if (!RECORD_SESSIONS) {
+                        session.stopRecording();
+                    }
+                    break;
+                case 'share':
+                    session.share(SHARE_LINK_TTL, message.mode);
+                    break;
+                case 'unshare':
+                    session.revokeShare(message.mode);
+                    break;
+                case 'keyboard':
+                    session.setKeyboard(message.holder === undefined ? null : message.holder);
+                    break;
+                case 'terminate':
+                    // Tab was closed on purpose, no need to wait for a reattach
+                    debugLog('Client closed terminal, killing process:', session.pid);
+                    session.kill();
                     break;
             }
         } catch (error) {
@@ -519,29 +1664,120 @@ function createTerminal(ws) {
         }
     });
 
-    // Handle terminal data with control sequence filtering
-    term.on('data', (data) => {
-        if (ws.readyState === ws.OPEN) {
-            // Raw send without any filtering - let the client handle buffer switches
-            ws.send(JSON.stringify({ 
-                type: 'output',
-                data: data
-            }));
+    // Detach on close - the PTY keeps running until the grace period expires
+    ws.on('close', () => {
+        debugLog('WebSocket closed, detaching from terminal process:', session.pid);
+        session.detach(ws);
+    });
+}
+
+/**
+ * What a terminal connection has cost, to see what output batching and compression save
+ * @param {WebSocket} ws - The owner's connection
+ * @param {net.Socket} socket - The connection's socket, which counts the bytes actually sent
+ * @param {object} session - Terminal session
+ * @returns {object}
+ */
+function getConnectionStats(ws, socket, session) {
+    return {
+        protocol: ws.protocolVersion,
+        compression: ws.extensions.includes('permessage-deflate') ? { threshold: WS_COMPRESSION_THRESHOLD, level: WS_COMPRESSION_LEVEL } : null,
+        batchDelay: TERMINAL_BATCH_DELAY,
+        since: ws.traffic.since,
+        // Everything the shell wrote since it started, and how many messages that took
+        chunks: session.stats.chunks,
+        batches: session.stats.messages,
+        // This connection's messages before compression, then bytes on the wire both ways
+        messages: ws.traffic.messages,
+        bytes: ws.traffic.bytes,
+        sent: socket.bytesWritten,
+        received: socket.bytesRead,
+        paused: session.paused
+    };
+}
+
+// Attach a logged in user to someone else's terminal through a collaboration link
+function joinTerminal(ws, req, account, token) {
+    const session = terminalSessions.getShared(token, 'collaborate');
+    if (!session) {
+        debugLog('Collaboration link not found or expired');
+        ws.close(4003, 'Share link expired or revoked');
+        return;
+    }
+    debugLog('Collaborator joined session:', session.id, account.username);
+    auditEvent(req, 'connect', { user: account.username, session: session.id, role: 'collaborator', owner: session.user });
+
+    const replay = session.replay(0);
+    ws.send(JSON.stringify({
+        type: 'session',
+        clientId: ws.clientId,
+        role: 'collaborator',
+        owner: session.user,
+        recording: session.isRecording,
+        presence: session.presence,
+        idleClosesIn: session.idleClosesAt && session.idleClosesAt - Date.now()
+    }));
+    if (replay.data) {
+        ws.send(terminalProtocol.encode({ type: 'output', data: replay.data, seq: replay.seq }, ws.protocolVersion));
+    }
+    session.addCollaborator(ws, account.username);
+
+    // Collaborators can type and report their size; the rest of the session is the owner's to control
+    ws.on('message', (data, isBinary) => {
+        try {
+            const message = terminalProtocol.decode(data, isBinary);
+            if (message.type === 'input') {
+                recordActivity(ws);
+                session.input(ws, message.data, !!message.binary);
+            } else if (message.type === 'ack') {
+                session.ack(ws, message.seq);
+            } else if (message.type === 'resize') {
+                session.reportSize(ws, message.cols, message.rows);
+            } else if (message.type === 'keepalive') {
+                session.keepAlive(ws);
+            }
+        } catch (error) {
+            debugLog('Error processing WebSocket message:', error);
         }
     });
 
-    // Clean up on close
     ws.on('close', () => {
-        debugLog('WebSocket closed, killing terminal process:', term.pid);
-        term.kill();
+        debugLog('Collaborator left session:', session.id, account.username);
+        session.removeCollaborator(ws);
     });
+}
 
-    // Handle terminal exit
-    term.on('exit', (code) => {
-        debugLog('Terminal process exited with code:', code);
-        if (ws.readyState === ws.OPEN) {
-            ws.close();
-        }
+// Attach a share link viewer - output only, anything the viewer sends is ignored
+function watchTerminal(ws, req, token) {
+    const session = terminalSessions.getShared(token);
+    if (!session) {
+        debugLog('Share link not found or expired');
+        ws.close(4003, 'Share link expired or revoked');
+        return;
+    }
+
+    // Show the owner who is watching - the username if they're logged in, otherwise their address
+    const account = isAuthRequired ? authenticate(req) : null;
+    const name = account ? account.username : `Guest (${ws.ip})`;
+    debugLog('Viewer joined shared session:', session.id, name);
+    auditEvent(req, 'connect', { user: account ? account.username : undefined, session: session.id, role: 'viewer', owner: session.user });
+
+    const replay = session.replay(0);
+    ws.send(JSON.stringify({
+        type: 'session',
+        owner: session.user,
+        cols: session.cols,
+        rows: session.rows,
+        expiresAt: session.shareLinks.view.expiresAt
+    }));
+    if (replay.data) {
+        ws.send(terminalProtocol.encode({ type: 'output', data: replay.data, seq: replay.seq }, ws.protocolVersion));
+    }
+
+    session.addViewer(ws, name);
+    ws.on('close', () => {
+        debugLog('Viewer left shared session:', session.id, name);
+        session.removeViewer(ws);
     });
 }
 
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TokenService } = require('../scripts/auth-tokens');
+
+const MINUTE = 60 * 1000;
+
+// Stand in for the clock, returning a function that moves it on
+function mockClock(t) {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    return (ms) => { now += ms; };
+}
+
+function createTokens(options = {}) {
+    return new TokenService({
+        secret: 'test-secret',
+        maxAge: 24 * 60 * MINUTE,
+        getCredential: (username) => (username === 'alice' ? '1234' : null),
+        ...options
+    });
+}
+
+test('verifies the tokens it issues', () => {
+    const tokens = createTokens();
+    const token = tokens.issue('alice');
+    assert.strictEqual(tokens.verify(token).sub, 'alice');
+    assert.strictEqual(tokens.verify(`${token}x`), null);
+});
+
+test('revokes a single token and leaves the user\'s others alone', () => {
+    const tokens = createTokens();
+    const first = tokens.issue('alice');
+    const second = tokens.issue('alice');
+    tokens.revoke(first);
+    assert.strictEqual(tokens.verify(first), null);
+    assert.strictEqual(tokens.verify(second).sub, 'alice');
+});
+
+test('revokes tokens that go without activity for the idle timeout', (t) => {
+    const tick = mockClock(t);
+    const tokens = createTokens({ idleTimeout: 15 * MINUTE });
+    const active = tokens.issue('alice');
+    const idle = tokens.issue('alice');
+
+    tick(10 * MINUTE);
+    assert.strictEqual(tokens.touch(active), true);
+    tick(10 * MINUTE);
+
+    assert.strictEqual(tokens.verify(active).sub, 'alice');
+    assert.strictEqual(tokens.verify(idle), null);
+    // Activity after the lock doesn't bring the token back
+    assert.strictEqual(tokens.touch(idle), false);
+    assert.strictEqual(tokens.verify(idle), null);
+});
+
+test('never revokes tokens for idleness without an idle timeout', (t) => {
+    const tick = mockClock(t);
+    const tokens = createTokens();
+    const token = tokens.issue('alice');
+    tick(12 * 60 * MINUTE);
+    assert.strictEqual(tokens.verify(token).sub, 'alice');
+});
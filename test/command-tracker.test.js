@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CommandTracker } = require('../scripts/command-tracker');
+
+const PROMPT = '\x1b[32mroot@host\x1b[0m:~# ';
+
+// Type each key the way xterm sends them, with the shell echoing it back before the next
+function typeKeys(tracker, keys, echo = true) {
+    const commands = [];
+    for (const key of keys) {
+        commands.push(...tracker.input(key, 'alice'));
+        if (echo && key >= ' ') commands.push(...tracker.output(key));
+    }
+    return commands;
+}
+
+test('logs a typed command once Enter is pressed', () => {
+    const tracker = new CommandTracker();
+    assert.deepStrictEqual(typeKeys(tracker, 'ls -la'), []);
+    assert.deepStrictEqual(tracker.input('\r', 'alice'), [{ command: 'ls -la', approximate: false, by: 'alice' }]);
+});
+
+test('follows line editing keys', () => {
+    const tracker = new CommandTracker();
+    typeKeys(tracker, 'cat fiel');
+    typeKeys(tracker, ['\x7f', '\x7f', 'l', 'e']);
+    assert.deepStrictEqual(tracker.input('\r', 'alice'), [{ command: 'cat file', approximate: false, by: 'alice' }]);
+});
+
+test('marks lines that used history as approximate', () => {
+    const tracker = new CommandTracker();
+    tracker.input('\x1b[A', 'alice');
+    tracker.output('ls -la');
+    assert.deepStrictEqual(tracker.input('\r', 'alice'), [{ command: '', approximate: true, by: 'alice' }]);
+});
+
+test('leaves out a password typed at a prompt that does not echo', () => {
+    const tracker = new CommandTracker();
+    assert.deepStrictEqual(typeKeys(tracker, 'hunter2\r', false), []);
+    assert.deepStrictEqual(tracker.output(`\r\n${PROMPT}`), []);
+    assert.deepStrictEqual(typeKeys(tracker, 'id'), []);
+    assert.deepStrictEqual(tracker.input('\r', 'alice'), [{ command: 'id', approximate: false, by: 'alice' }]);
+});
+
+test('leaves out a password pasted together with Enter', () => {
+    const tracker = new CommandTracker();
+    // Output from before the paste, like the password prompt itself, doesn't count as echo
+    tracker.output('[sudo] password for alice: ');
+    assert.deepStrictEqual(tracker.input('pasted-secret\r', 'alice'), []);
+    assert.deepStrictEqual(tracker.output('\r\n'), []);
+    assert.deepStrictEqual(tracker.output(PROMPT), []);
+    assert.deepStrictEqual(typeKeys(tracker, 'whoami\r'), [{ command: 'whoami', approximate: false, by: 'alice' }]);
+});
+
+test('leaves out a pasted password when other output follows it', () => {
+    const tracker = new CommandTracker();
+    assert.deepStrictEqual(tracker.input('pasted-secret\r', 'alice'), []);
+    assert.deepStrictEqual(tracker.output('\r\nSorry, try again.\r\n[sudo] password for alice: '), []);
+    assert.deepStrictEqual(tracker.input('\x03', 'alice'), []);
+});
+
+test('logs a command pasted together with Enter once the shell echoes it', () => {
+    const tracker = new CommandTracker();
+    assert.deepStrictEqual(tracker.input('echo hello\r', 'alice'), []);
+    assert.deepStrictEqual(tracker.output('\x1b[?2004lecho hello\r\n'), [{ command: 'echo hello', approximate: false, by: 'alice' }]);
+});
+
+test('logs every line of a multi-line paste', () => {
+    const tracker = new CommandTracker();
+    assert.deepStrictEqual(tracker.input('cd /tmp\rls\r', 'alice'), []);
+    assert.deepStrictEqual(tracker.output('cd /tmp\r\n'), [{ command: 'cd /tmp', approximate: false, by: 'alice' }]);
+    assert.deepStrictEqual(tracker.output(`${PROMPT}ls\r\nfile.txt\r\n`), [{ command: 'ls', approximate: false, by: 'alice' }]);
+});
+
+test('leaves out input to full screen programs', () => {
+    const tracker = new CommandTracker();
+    tracker.output('\x1b[?1049h');
+    assert.deepStrictEqual(typeKeys(tracker, ':wq\r'), []);
+    tracker.output('\x1b[?1049l');
+    assert.deepStrictEqual(typeKeys(tracker, 'pwd\r'), [{ command: 'pwd', approximate: false, by: 'alice' }]);
+});
+
+test('keeps a finished line waiting for its echo when more is typed before it comes', () => {
+    const tracker = new CommandTracker();
+    assert.deepStrictEqual(tracker.input('rm -rf /data\r', 'alice'), []);
+    assert.deepStrictEqual(tracker.input('l', 'alice'), []);
+    assert.deepStrictEqual(tracker.output('rm -rf /data\r\n'), [{ command: 'rm -rf /data', approximate: false, by: 'alice' }]);
+});
+
+test('forgets lines that go unechoed for too long', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const tracker = new CommandTracker();
+    tracker.input('secret\r', 'alice');
+    t.mock.timers.tick(60 * 1000);
+    assert.deepStrictEqual(tracker.output('secret'), []);
+});
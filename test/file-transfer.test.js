@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { FileTransfer } = require('../scripts/file-transfer');
+
+const files = new FileTransfer();
+let dir;
+let root;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbterm-test-'));
+    root = path.join(dir, 'root');
+    fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'root-sibling'));
+    fs.mkdirSync(path.join(dir, 'outside'));
+    fs.mkdirSync(path.join(dir, '--checkpoint-action=exec=touch pwned'));
+    fs.writeFileSync(path.join(dir, '--checkpoint-action=exec=touch pwned', 'notes.txt'), 'hello');
+    fs.symlinkSync(path.join(dir, 'outside'), path.join(root, 'escape'));
+    fs.symlinkSync(path.join(dir, 'outside', 'missing'), path.join(root, 'broken'));
+    fs.symlinkSync(path.join(root, 'sub'), path.join(dir, 'outside', 'into-root'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('allows everything without a limit', () => {
+    assert.strictEqual(files.isAllowed('/etc/passwd', null), true);
+});
+
+test('allows the root and what is inside it', () => {
+    assert.strictEqual(files.isAllowed(root, [root]), true);
+    assert.strictEqual(files.isAllowed(path.join(root, 'sub'), [root]), true);
+    assert.strictEqual(files.isAllowed(path.join(dir, 'outside'), [root]), false);
+});
+
+test('doesn\'t take a folder that only starts with the root\'s name for part of it', () => {
+    assert.strictEqual(files.isAllowed(path.join(dir, 'root-sibling'), [root]), false);
+    assert.strictEqual(files.isAllowed(path.join(dir, 'root-sibling', 'new.txt'), [root]), false);
+});
+
+test('follows symlinks out of the root', () => {
+    assert.strictEqual(files.isAllowed(path.join(root, 'escape'), [root]), false);
+    assert.strictEqual(files.isAllowed(path.join(root, 'escape', 'new.txt'), [root]), false);
+    assert.strictEqual(files.isAllowed(path.join(root, 'broken'), [root]), false);
+    // ...and into it
+    assert.strictEqual(files.isAllowed(path.join(dir, 'outside', 'into-root', 'new.txt'), [root]), true);
+});
+
+test('checks paths that don\'t exist yet by the folder they would be in', () => {
+    assert.strictEqual(files.isAllowed(path.join(root, 'new', 'deeper', 'file.txt'), [root]), true);
+    assert.strictEqual(files.isAllowed(path.join(dir, 'new', 'file.txt'), [root]), false);
+    // A root that doesn't exist allows nothing
+    assert.strictEqual(files.isAllowed(path.join(root, 'sub'), [path.join(dir, 'missing')]), false);
+});
+
+test('resolves paths the way the shell would', () => {
+    assert.strictEqual(files.resolvePath('/srv/app', '/home/alice'), '/srv/app');
+    assert.strictEqual(files.resolvePath('/srv/app', '/home/alice', 'logs/out.log'), '/srv/app/logs/out.log');
+    assert.strictEqual(files.resolvePath('/srv/app', '/home/alice', '~/notes.txt'), '/home/alice/notes.txt');
+    assert.strictEqual(files.resolvePath('/srv/app', '/home/alice', '../../etc/passwd'), '/etc/passwd');
+});
+
+test('archives a folder whose name starts with a dash', async () => {
+    const folder = path.join(dir, '--checkpoint-action=exec=touch pwned');
+    const chunks = [];
+    for await (const chunk of files.download({ path: folder, type: 'directory' })) chunks.push(chunk);
+
+    const listing = execFileSync('tar', ['-tzf', '-'], { input: Buffer.concat(chunks) }).toString().split('\n');
+    assert.ok(listing.includes('--checkpoint-action=exec=touch pwned/notes.txt'));
+    assert.strictEqual(fs.existsSync(path.join(dir, 'pwned')), false);
+});
+
+const asNobody = { uid: 65534, gid: 65534 };
+const canSwitchUser = process.getuid?.() === 0 && process.getgroups().includes(0)
+    && fs.existsSync('/usr/bin/setpriv');
+
+test('reads and writes as the shell user', { skip: !canSwitchUser && 'needs root and setpriv' }, async (t) => {
+    const shared = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbterm-test-'));
+    t.after(() => fs.rmSync(shared, { recursive: true, force: true }));
+    fs.chmodSync(shared, 0o777);
+    const secret = path.join(shared, 'secret.txt');
+    fs.writeFileSync(secret, 'root group only', { mode: 0o640 });
+
+    // Readable by the server's group, but not by the shell user
+    assert.strictEqual(await files.canRead(secret, 'file', asNobody.uid, asNobody.gid), false);
+    await files.mkdir(shared, 'made', asNobody);
+    assert.strictEqual(fs.statSync(path.join(shared, 'made')).uid, asNobody.uid);
+});
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { OidcProvider } = require('../scripts/oidc');
+
+const CLIENT_ID = 'dumbterm';
+const REDIRECT_URI = 'http://localhost/oidc/callback';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// A local provider: discovery, keys, an authorization step that hands out codes, and a token
+// endpoint that checks PKCE and issues ID tokens with whatever claims the test gives the code
+let server;
+let issuer;
+const codes = new Map(); // code -> { challenge, nonce, claims }
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signIdToken(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { iss: issuer, aud: CLIENT_ID, iat: now, exp: now + 300, ...claims };
+    const data = `${base64url({ alg: 'RS256', kid: 'test' })}.${base64url(payload)}`;
+    return `${data}.${crypto.sign('sha256', Buffer.from(data), privateKey).toString('base64url')}`;
+}
+
+function handle(req, res) {
+    const url = new URL(req.url, issuer);
+    const json = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+        return json(200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256']
+        });
+    }
+    if (url.pathname === '/jwks') {
+        return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'RS256', use: 'sig' }] });
+    }
+    if (url.pathname === '/token') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const params = new URLSearchParams(body);
+            const grant = codes.get(params.get('code'));
+            codes.delete(params.get('code'));
+            const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+            if (!grant || grant.challenge !== challenge) return json(400, { error: 'invalid_grant' });
+            json(200, {
+                access_token: 'access-token',
+                token_type: 'Bearer',
+                id_token: signIdToken({ nonce: grant.nonce, ...grant.claims })
+            });
+        });
+        return;
+    }
+    json(404, {});
+}
+
+before(async () => {
+    server = http.createServer(handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function createProvider(options = {}) {
+    return new OidcProvider({ issuer, clientId: CLIENT_ID, redirectUri: REDIRECT_URI, ...options });
+}
+
+// The browser's round trip through the provider, ending in the request to our callback
+async function authorize(provider, claims, { nonce } = {}) {
+    const { url, checks } = await provider.getAuthorizationUrl();
+    const params = new URL(url).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, {
+        challenge: params.get('code_challenge'),
+        nonce: nonce || params.get('nonce'),
+        claims: { sub: '1', ...claims }
+    });
+    return { params, checks, req: { method: 'GET', url: `/oidc/callback?code=${code}&state=${params.get('state')}` } };
+}
+
+test('sends the browser to the provider with state, nonce and a PKCE challenge', async () => {
+    const { params, checks } = await authorize(createProvider(), {});
+    assert.strictEqual(params.get('client_id'), CLIENT_ID);
+    assert.strictEqual(params.get('redirect_uri'), REDIRECT_URI);
+    assert.strictEqual(params.get('code_challenge_method'), 'S256');
+    assert.strictEqual(params.get('state'), checks.state);
+    assert.strictEqual(params.get('nonce'), checks.nonce);
+    const challenge = crypto.createHash('sha256').update(checks.codeVerifier).digest('base64url');
+    assert.strictEqual(params.get('code_challenge'), challenge);
+});
+
+test('logs in the user from the ID token', async () => {
+    const provider = createProvider({ allowedGroups: 'admins' });
+    const { req, checks } = await authorize(provider, { preferred_username: 'alice', groups: ['admins'] });
+    assert.strictEqual(await provider.handleCallback(req, checks), 'alice');
+});
+
+test('turns away users outside the allowed users and groups', async () => {
+    const provider = createProvider({ allowedGroups: 'admins' });
+    const { req, checks } = await authorize(provider, { preferred_username: 'mallory', groups: ['users'] });
+    assert.strictEqual(await provider.handleCallback(req, checks), null);
+});
+
+test('rejects a callback with the wrong state', async () => {
+    const provider = createProvider({ allowedUsers: 'alice' });
+    const { req, checks } = await authorize(provider, { preferred_username: 'alice' });
+    await assert.rejects(provider.handleCallback(req, { ...checks, state: 'another-state' }), /state mismatch/);
+});
+
+test('rejects an ID token with the wrong nonce', async () => {
+    const provider = createProvider({ allowedUsers: 'alice' });
+    const { req, checks } = await authorize(provider, { preferred_username: 'alice' }, { nonce: 'replayed' });
+    await assert.rejects(provider.handleCallback(req, checks), /nonce mismatch/);
+});
+
+test('rejects a code redeemed without the matching PKCE verifier', async () => {
+    const provider = createProvider({ allowedUsers: 'alice' });
+    const { req, checks } = await authorize(provider, { preferred_username: 'alice' });
+    await assert.rejects(provider.handleCallback(req, { ...checks, codeVerifier: 'x'.repeat(43) }), /invalid_grant/);
+});
+
+test('allows users by name, group, email address or email domain', () => {
+    const provider = createProvider({ allowedUsers: 'alice, bob@example.com, @corp.example', allowedGroups: 'admins,ops' });
+    assert.strictEqual(provider.isAllowed('alice', []), true);
+    assert.strictEqual(provider.isAllowed('carol', ['users', 'ops']), true);
+    assert.strictEqual(provider.isAllowed('carol', 'admins'), true);
+    assert.strictEqual(provider.isAllowed('carol', undefined), false);
+    assert.strictEqual(provider.isAllowed('bob', [], 'Bob@Example.com'), true);
+    assert.strictEqual(provider.isAllowed('dave', [], 'dave@corp.example'), true);
+    assert.strictEqual(provider.isAllowed('eve', [], 'eve@corp.example.evil'), false);
+    assert.strictEqual(provider.isAllowed('eve', [], 'eve@example.com'), false);
+});
+
+test('ignores email addresses the provider hasn\'t verified', async () => {
+    const provider = createProvider({ allowedUsers: '@corp.example' });
+    const verified = await authorize(provider, { preferred_username: 'dave', email: 'dave@corp.example' });
+    assert.strictEqual(await provider.handleCallback(verified.req, verified.checks), 'dave');
+
+    const unverified = await authorize(provider, { preferred_username: 'eve', email: 'eve@corp.example', email_verified: false });
+    assert.strictEqual(await provider.handleCallback(unverified.req, unverified.checks), null);
+});
@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+const { PasskeyStore } = require('../scripts/passkeys');
+
+const SITE = { rpName: 'DumbTerm', rpID: 'term.example.com', origin: 'https://term.example.com' };
+
+function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbterm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new PasskeyStore(path.join(dir, 'passkeys.json'), () => {}, SITE);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+// A software authenticator with one ES256 passkey that verifies its user, like a platform one
+function createAuthenticator() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const id = crypto.randomBytes(16);
+
+    const authData = (flags, counter, attested = Buffer.alloc(0)) => {
+        const count = Buffer.alloc(4);
+        count.writeUInt32BE(counter);
+        return Buffer.concat([sha256(SITE.rpID), Buffer.from([flags]), count, attested]);
+    };
+    const clientData = (type, challenge) => Buffer.from(JSON.stringify({
+        type, challenge, origin: SITE.origin, crossOrigin: false
+    }));
+
+    return {
+        counter: 0,
+        create(options) {
+            const cose = isoCBOR.encode(new Map([
+                [1, 2], [3, -7], [-1, 1],
+                [-2, Buffer.from(jwk.x, 'base64url')],
+                [-3, Buffer.from(jwk.y, 'base64url')]
+            ]));
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(id.length);
+            const attested = Buffer.concat([Buffer.alloc(16), length, id, cose]);
+            // User present, user verified, attested credential data included
+            const attestationObject = isoCBOR.encode(new Map([
+                ['fmt', 'none'],
+                ['attStmt', new Map()],
+                ['authData', authData(0x45, this.counter, attested)]
+            ]));
+            return {
+                id: id.toString('base64url'),
+                rawId: id.toString('base64url'),
+                type: 'public-key',
+                clientExtensionResults: {},
+                response: {
+                    clientDataJSON: clientData('webauthn.create', options.challenge).toString('base64url'),
+                    attestationObject: Buffer.from(attestationObject).toString('base64url'),
+                    transports: ['internal']
+                }
+            };
+        },
+        get(options) {
+            this.counter += 1;
+            const data = authData(0x05, this.counter);
+            const json = clientData('webauthn.get', options.challenge);
+            const signature = crypto.sign('sha256', Buffer.concat([data, sha256(json)]), privateKey);
+            return {
+                id: id.toString('base64url'),
+                rawId: id.toString('base64url'),
+                type: 'public-key',
+                clientExtensionResults: {},
+                response: {
+                    clientDataJSON: json.toString('base64url'),
+                    authenticatorData: data.toString('base64url'),
+                    signature: signature.toString('base64url')
+                }
+            };
+        }
+    };
+}
+
+async function register(store, authenticator) {
+    const options = await store.registrationOptions('alice');
+    const pending = { challenge: options.challenge, userId: options.user.id };
+    const response = authenticator.create(options);
+    await store.verifyRegistration('alice', pending, response, 'Laptop');
+    return response.id;
+}
+
+test('registers a passkey and logs in with it', async (t) => {
+    const store = createStore(t);
+    const authenticator = createAuthenticator();
+    const id = await register(store, authenticator);
+
+    assert.strictEqual(store.getCredentials('alice').length, 1);
+    const options = await store.loginOptions();
+    const response = authenticator.get(options);
+    const passkey = store.find(response.id);
+    assert.strictEqual(passkey.username, 'alice');
+    await store.verifyLogin(passkey, response, options.challenge);
+    assert.strictEqual(store.find(id).credential.counter, 1);
+
+    // What was saved loads back into a new store
+    const reloaded = new PasskeyStore(store.file, () => {}, SITE);
+    assert.strictEqual(reloaded.find(id).credential.counter, 1);
+});
+
+test('rejects a login answering a different challenge', async (t) => {
+    const store = createStore(t);
+    const authenticator = createAuthenticator();
+    const id = await register(store, authenticator);
+
+    const issued = await store.loginOptions();
+    const response = authenticator.get(await store.loginOptions());
+    await assert.rejects(store.verifyLogin(store.find(id), response, issued.challenge));
+    assert.strictEqual(store.find(id).credential.counter, 0);
+});
+
+test('rejects a registration answering a different challenge', async (t) => {
+    const store = createStore(t);
+    const options = await store.registrationOptions('alice');
+    const response = createAuthenticator().create(options);
+    const pending = { challenge: (await store.registrationOptions('alice')).challenge, userId: options.user.id };
+    await assert.rejects(store.verifyRegistration('alice', pending, response, 'Laptop'));
+    assert.strictEqual(store.getCredentials('alice').length, 0);
+});
+
+test('rejects a login whose signature counter went backwards, as from a cloned authenticator', async (t) => {
+    const store = createStore(t);
+    const authenticator = createAuthenticator();
+    const id = await register(store, authenticator);
+
+    authenticator.counter = 9;
+    let options = await store.loginOptions();
+    await store.verifyLogin(store.find(id), authenticator.get(options), options.challenge);
+    assert.strictEqual(store.find(id).credential.counter, 10);
+
+    authenticator.counter = 4;
+    options = await store.loginOptions();
+    await assert.rejects(store.verifyLogin(store.find(id), authenticator.get(options), options.challenge));
+    assert.strictEqual(store.find(id).credential.counter, 10);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { FileSessionStore } = require('../scripts/session-store');
+
+const MINUTE = 60 * 1000;
+
+function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbterm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new FileSessionStore({ dir, ttl: 60 * MINUTE });
+    t.after(() => clearInterval(store.cleanupTimer));
+    return { dir, store };
+}
+
+function session(expiresIn, data = {}) {
+    return { cookie: { expires: new Date(Date.now() + expiresIn) }, ...data };
+}
+
+test('keeps a session readable through concurrent writes and touches', async (t) => {
+    const { dir, store } = createStore(t);
+    const set = promisify(store.set.bind(store));
+    const touch = promisify(store.touch.bind(store));
+    const get = promisify(store.get.bind(store));
+
+    await set('sid', session(60 * MINUTE, { totpSetup: 'pending' }));
+    // Like parallel requests past the touch threshold, each rewriting the file
+    const writes = Array.from({ length: 30 }, (_, i) => (i % 2
+        ? touch('sid', session(90 * MINUTE + i, { totpSetup: 'pending' }))
+        : set('sid', session(90 * MINUTE + i, { totpSetup: 'pending' }))));
+    const reads = Array.from({ length: 30 }, () => get('sid'));
+
+    await Promise.all(writes);
+    for (const read of await Promise.all(reads)) {
+        assert.strictEqual(read.totpSetup, 'pending');
+    }
+    assert.strictEqual((await get('sid')).totpSetup, 'pending');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['sid.json']);
+});
+
+test('skips rewriting the file for touches that barely move the expiry', async (t) => {
+    const { dir, store } = createStore(t);
+    const set = promisify(store.set.bind(store));
+    const touch = promisify(store.touch.bind(store));
+
+    await set('sid', session(60 * MINUTE));
+    const { mtimeMs } = fs.statSync(path.join(dir, 'sid.json'));
+    fs.utimesSync(path.join(dir, 'sid.json'), 0, 0);
+    await touch('sid', session(60 * MINUTE + 1000));
+    assert.strictEqual(fs.statSync(path.join(dir, 'sid.json')).mtimeMs, 0);
+    await touch('sid', session(62 * MINUTE));
+    assert.ok(fs.statSync(path.join(dir, 'sid.json')).mtimeMs >= mtimeMs);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MessageType, selectProtocol, getVersion, encode, decode } = require('../scripts/terminal-protocol');
+
+// What a version 2 client makes of an output frame, the way public/managers/protocol.js reads it
+function readOutput(frame) {
+    return { type: frame[0], seq: frame.readDoubleBE(1), data: frame.toString('utf8', 9) };
+}
+
+test('picks the newest version a client offers', () => {
+    assert.strictEqual(selectProtocol(new Set(['dumbterm.v2', 'something-else'])), 'dumbterm.v2');
+    assert.strictEqual(selectProtocol(new Set(['something-else'])), false);
+    assert.strictEqual(getVersion('dumbterm.v2'), 2);
+    assert.strictEqual(getVersion(''), 1);
+});
+
+test('sends output as JSON in version 1', () => {
+    const message = { type: 'output', data: 'héllo 🙂', seq: 42 };
+    assert.deepStrictEqual(JSON.parse(encode(message, 1)), message);
+});
+
+test('sends output and replays as binary frames in version 2', () => {
+    const output = readOutput(encode({ type: 'output', data: 'héllo 🙂\r\n', seq: 2 ** 40 }, 2));
+    assert.deepStrictEqual(output, { type: MessageType.OUTPUT, seq: 2 ** 40, data: 'héllo 🙂\r\n' });
+
+    const replay = readOutput(encode({ type: 'output', data: 'before', seq: 6, replay: true }, 2));
+    assert.deepStrictEqual(replay, { type: MessageType.REPLAY, seq: 6, data: 'before' });
+});
+
+test('keeps control messages as JSON in version 2', () => {
+    const message = { type: 'resize', cols: 120, rows: 40 };
+    assert.deepStrictEqual(JSON.parse(encode(message, 2)), message);
+});
+
+test('sends transfer bytes untouched', () => {
+    const bytes = Buffer.from([0x18, 0x42, 0x00, 0xff, 0x8a]);
+    const frame = encode({ type: 'output', data: bytes, binary: true }, 2);
+    assert.strictEqual(frame[0], MessageType.RAW_OUTPUT);
+    assert.deepStrictEqual(frame.subarray(1), bytes);
+
+    const json = JSON.parse(encode({ type: 'output', data: bytes, binary: true }, 1));
+    assert.deepStrictEqual(Buffer.from(json.data, 'base64'), bytes);
+});
+
+test('decodes input in both versions', () => {
+    const text = 'ls -la 🙂\r';
+    assert.deepStrictEqual(decode(Buffer.from(JSON.stringify({ type: 'input', data: text })), false), { type: 'input', data: text });
+    assert.deepStrictEqual(decode(Buffer.concat([Buffer.from([MessageType.INPUT]), Buffer.from(text)]), true), { type: 'input', data: text });
+});
+
+test('decodes transfer bytes in both versions', () => {
+    const bytes = Buffer.from([0x18, 0x42, 0x00, 0xff, 0x8a]);
+    const json = Buffer.from(JSON.stringify({ type: 'input', data: bytes.toString('base64'), binary: true }));
+    assert.deepStrictEqual(decode(json, false), { type: 'input', data: bytes, binary: true });
+
+    const frame = Buffer.concat([Buffer.from([MessageType.RAW_INPUT]), bytes]);
+    const message = decode(frame, true);
+    assert.strictEqual(message.binary, true);
+    assert.deepStrictEqual(Buffer.from(message.data), bytes);
+});
+
+test('ignores binary frames of an unknown type', () => {
+    assert.deepStrictEqual(decode(Buffer.from([0x7f, 0x61]), true), {});
+});
@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { setImmediate: nextTick } = require('timers/promises');
+const { TerminalSession } = require('../scripts/terminal-sessions');
+
+// Stands in for node-pty, echoing what is written to it the way a terminal does
+function createTerm() {
+    const term = new EventEmitter();
+    Object.assign(term, {
+        pid: 1234,
+        cols: 80,
+        rows: 24,
+        written: [],
+        write(data) {
+            this.written.push(data);
+            setImmediate(() => this.emit('data', Buffer.from(data)));
+        },
+        pause() {},
+        resume() {},
+        resize() {},
+        kill() {}
+    });
+    return term;
+}
+
+function createClient() {
+    return { OPEN: 1, readyState: 1, sent: [], send(data) { this.sent.push(data); }, close() {} };
+}
+
+function createSession(options = {}) {
+    const term = createTerm();
+    const entries = [];
+    const audit = { log: (event, details) => entries.push({ event, ...details }) };
+    const session = new TerminalSession('session', term, 'alice', { batchDelay: 0, audit, ...options });
+    const ws = createClient();
+    session.attach(ws);
+    const commands = () => entries.filter(entry => entry.event === 'command').map(entry => entry.command);
+    return { term, session, ws, commands };
+}
+
+test('replays the output a client hasn\'t seen', () => {
+    const { term, session } = createSession();
+    term.emit('data', Buffer.from('hello '));
+    term.emit('data', Buffer.from('world'));
+    assert.deepStrictEqual(session.replay(0), { data: 'hello world', seq: 11, truncated: false });
+    assert.deepStrictEqual(session.replay(3), { data: 'lo world', seq: 11, truncated: false });
+    assert.deepStrictEqual(session.replay(11), { data: '', seq: 11, truncated: false });
+    // A client ahead of the session saw another one with the same ID, so it gets everything
+    assert.deepStrictEqual(session.replay(50), { data: 'hello world', seq: 11, truncated: false });
+});
+
+test('drops the oldest output once the replay buffer is full', () => {
+    const { term, session } = createSession({ bufferSize: 10 });
+    ['aaaa', 'bbbb', 'cccc'].forEach(chunk => term.emit('data', Buffer.from(chunk)));
+    assert.deepStrictEqual(session.replay(0), { data: 'bbbbcccc', seq: 12, truncated: true });
+    assert.deepStrictEqual(session.replay(6), { data: 'bbcccc', seq: 12, truncated: false });
+
+    // The newest chunk stays even when it's bigger than the buffer
+    term.emit('data', Buffer.from('d'.repeat(20)));
+    assert.deepStrictEqual(session.replay(12), { data: 'd'.repeat(20), seq: 32, truncated: false });
+});
+
+test('keeps characters split across PTY reads in one piece', () => {
+    const { term, session } = createSession();
+    const bytes = Buffer.from('é🙂');
+    term.emit('data', bytes.subarray(0, 1));
+    term.emit('data', bytes.subarray(1, 4));
+    term.emit('data', bytes.subarray(4));
+    assert.strictEqual(session.replay(0).data, 'é🙂');
+});
+
+test('resumes a paused PTY when the client that fell behind is replaced', () => {
+    const { term, session, ws } = createSession();
+    let paused = false;
+    term.pause = () => paused = true;
+    term.resume = () => paused = false;
+
+    session.ack(ws, 0);
+    term.emit('data', Buffer.from('x'.repeat(300 * 1024)));
+    assert.strictEqual(paused, true);
+
+    // A new client that hasn't asked for a replay yet
+    session.attach(createClient());
+    assert.strictEqual(paused, false);
+});
+
+test('ignores binary input outside raw mode, so it can\'t get past the audit log', async () => {
+    const { term, session, ws, commands } = createSession();
+    session.input(ws, Buffer.from('echo hidden_cmd\r'), true);
+    session.input(ws, 'echo visible_cmd\r');
+    await nextTick();
+    assert.deepStrictEqual(term.written, ['echo visible_cmd\r']);
+    assert.deepStrictEqual(commands(), ['echo visible_cmd']);
+});
+
+const ZRQINIT = '**\x18B00000000000000\r\x8a\x11';
+const ZFIN = '**\x18B0800000000022d\r\x8a';
+
+test('only switches to raw mode once the shell has started a transfer', () => {
+    const { term, session, ws } = createSession();
+    session.setRaw(ws, true);
+    assert.strictEqual(session.rawClient, null);
+    assert.deepStrictEqual(JSON.parse(ws.sent.at(-1)), { type: 'raw', enabled: false });
+
+    term.emit('data', Buffer.from(`sz file.txt\r\n${ZRQINIT}`));
+    session.setRaw(ws, true);
+    assert.strictEqual(session.rawClient, ws);
+    session.input(ws, Buffer.from([0x18, 0x42]), true);
+    assert.deepStrictEqual(term.written, [Buffer.from([0x18, 0x42])]);
+
+    session.setRaw(ws, false);
+    assert.strictEqual(session.rawClient, null);
+});
+
+test('leaves raw mode by itself once the transfer ends', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const { term, session, ws } = createSession();
+    term.emit('data', Buffer.from(ZRQINIT));
+    session.setRaw(ws, true);
+
+    term.emit('data', Buffer.from(ZFIN));
+    assert.strictEqual(session.rawClient, ws);
+    t.mock.timers.tick(2000);
+    assert.strictEqual(session.rawClient, null);
+    assert.deepStrictEqual(JSON.parse(ws.sent.at(-1)), { type: 'raw', enabled: false });
+
+    // Output is text again, so it's kept for replay
+    term.emit('data', Buffer.from('$ '));
+    assert.strictEqual(session.replay(0).data.endsWith('$ '), true);
+});
+
+test('leaves raw mode when the transfer stalls, and doesn\'t take a second one without a new handshake', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const { term, session, ws } = createSession();
+    term.emit('data', Buffer.from('::TRZSZ:TRANSFER:R:1.1.5:0000000000\r\n'));
+    session.setRaw(ws, true);
+
+    t.mock.timers.tick(20 * 1000);
+    session.input(ws, Buffer.from('#ACT:eJy'), true);
+    t.mock.timers.tick(20 * 1000);
+    assert.strictEqual(session.rawClient, ws);
+    t.mock.timers.tick(10 * 1000);
+    assert.strictEqual(session.rawClient, null);
+
+    session.setRaw(ws, true);
+    assert.strictEqual(session.rawClient, null);
+});
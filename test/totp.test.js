@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TotpStore } = require('../scripts/totp');
+
+// The RFC 6238 test secret ("12345678901234567890") and its codes, cut to six digits
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const CODES = {
+    1111111109: '081804', // time step 37037036
+    1111111111: '050471' // time step 37037037
+};
+
+function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dumbterm-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new TotpStore(path.join(dir, 'totp.json'));
+}
+
+// Stand in for the clock, at a time in seconds
+function setTime(t, seconds) {
+    t.mock.timers.enable({ apis: ['Date'], now: seconds * 1000 });
+}
+
+test('enrolls with a code from the authenticator and verifies later ones', (t) => {
+    setTime(t, 1111111109);
+    const store = createStore(t);
+    assert.strictEqual(store.enroll('alice', SECRET, '000000'), null);
+    assert.strictEqual(store.enroll('alice', SECRET, CODES[1111111109]).length, 10);
+    assert.strictEqual(store.isEnrolled('alice'), true);
+
+    t.mock.timers.tick(2000);
+    assert.strictEqual(store.verify('alice', CODES[1111111111]), true);
+});
+
+test('accepts codes one time step either side of the current one', (t) => {
+    setTime(t, 1111111109);
+    const store = createStore(t);
+    store.users.alice = { secret: SECRET, lastCounter: -1, recoveryCodes: [] };
+    // The next step's code, from a clock that runs ahead
+    assert.strictEqual(store.verify('alice', CODES[1111111111]), true);
+
+    store.users.bob = { secret: SECRET, lastCounter: -1, recoveryCodes: [] };
+    t.mock.timers.tick(30 * 1000);
+    assert.strictEqual(store.verify('bob', CODES[1111111109]), true);
+
+    store.users.carol = { secret: SECRET, lastCounter: -1, recoveryCodes: [] };
+    t.mock.timers.tick(30 * 1000);
+    assert.strictEqual(store.verify('carol', CODES[1111111109]), false);
+});
+
+test('rejects a code that was already used, or one from before it', (t) => {
+    setTime(t, 1111111111);
+    const store = createStore(t);
+    store.users.alice = { secret: SECRET, lastCounter: -1, recoveryCodes: [] };
+    assert.strictEqual(store.verify('alice', CODES[1111111111]), true);
+    assert.strictEqual(store.verify('alice', CODES[1111111111]), false);
+    assert.strictEqual(store.verify('alice', CODES[1111111109]), false);
+});
+
+test('takes each recovery code once', (t) => {
+    setTime(t, 1111111109);
+    const store = createStore(t);
+    const [recoveryCode] = store.enroll('alice', SECRET, CODES[1111111109]);
+    assert.strictEqual(store.verify('alice', ` ${recoveryCode.toUpperCase()} `), true);
+    assert.strictEqual(store.verify('alice', recoveryCode), false);
+    assert.strictEqual(store.verify('bob', recoveryCode), false);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TrustedProxyAuth } = require('../scripts/trusted-proxy');
+
+function createAuth(t, ranges) {
+    // Invalid entries are reported on the console
+    t.mock.method(console, 'error', () => {});
+    return new TrustedProxyAuth({ header: 'Remote-User', ranges });
+}
+
+function request(remoteAddress, headers = { 'remote-user': 'alice' }) {
+    return { socket: { remoteAddress }, headers };
+}
+
+test('matches addresses against CIDR ranges', (t) => {
+    const auth = createAuth(t, '172.16.0.0/12, 10.0.0.5, fd00::/8');
+    assert.strictEqual(auth.isTrusted('172.16.0.1'), true);
+    assert.strictEqual(auth.isTrusted('172.31.255.255'), true);
+    assert.strictEqual(auth.isTrusted('172.32.0.1'), false);
+    assert.strictEqual(auth.isTrusted('10.0.0.5'), true);
+    assert.strictEqual(auth.isTrusted('10.0.0.6'), false);
+    assert.strictEqual(auth.isTrusted('fd12:3456::1'), true);
+    assert.strictEqual(auth.isTrusted('fe80::1'), false);
+    assert.strictEqual(auth.isTrusted(undefined), false);
+});
+
+test('matches IPv4 addresses from dual-stack sockets', (t) => {
+    const auth = createAuth(t, '172.16.0.0/12');
+    assert.strictEqual(auth.isTrusted('::ffff:172.20.0.3'), true);
+    assert.strictEqual(auth.isTrusted('::ffff:192.168.1.3'), false);
+});
+
+test('ignores invalid ranges, and is disabled without a valid one', (t) => {
+    const auth = createAuth(t, '10.0.0.0/99, not-an-ip, 10.0.0.0/abc');
+    assert.strictEqual(auth.enabled, false);
+    assert.strictEqual(console.error.mock.callCount(), 4);
+});
+
+test('only takes the header from trusted proxies', (t) => {
+    const auth = createAuth(t, '172.16.0.0/12');
+    assert.strictEqual(auth.getUser(request('172.16.0.2')), 'alice');
+    assert.strictEqual(auth.getUser(request('203.0.113.7')), null);
+    // X-Forwarded-For is just another header
+    assert.strictEqual(auth.getUser(request('203.0.113.7', { 'remote-user': 'alice', 'x-forwarded-for': '172.16.0.2' })), null);
+    assert.strictEqual(auth.getUser(request('172.16.0.2', {})), null);
+});
+
+test('rejects usernames that aren\'t plain names', (t) => {
+    const auth = createAuth(t, '172.16.0.2');
+    assert.strictEqual(auth.getUser(request('172.16.0.2', { 'remote-user': '  bob ' })), 'bob');
+    assert.strictEqual(auth.getUser(request('172.16.0.2', { 'remote-user': 'alice,bob' })), null);
+    assert.strictEqual(auth.getUser(request('172.16.0.2', { 'remote-user': 'a\nb' })), null);
+    assert.strictEqual(auth.getUser(request('172.16.0.2', { 'remote-user': 'x'.repeat(129) })), null);
+});